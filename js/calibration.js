@@ -0,0 +1,440 @@
+/**
+ * Calibration - 延迟校准
+ * 音频步骤：播放节拍器，玩家跟着声音按键，测量音频输出 + 输入的总延迟
+ * 画面步骤：无声下落的音符，玩家在音符到达判定线时按键，测量显示 + 输入延迟
+ */
+
+// 保存校准结果的 localStorage 键
+const CALIBRATION_STORAGE_KEY = 'fingerflow-calibration';
+
+// 校准参数
+const CALIBRATION_CONFIG = {
+    bpm: 100,
+    countIn: 4,             // 音频步骤开始前的预备拍（不计入结果）
+    beats: 16,              // 计入结果的拍数
+    minTaps: 8,             // 至少需要的有效按键数
+    maxDeviation: 0.25,     // 偏离最近拍点超过该值（秒）的按键视为无效
+    fallSpeed: 400,         // 画面步骤音符下落速度（像素/秒，与游戏一致）
+    lineY: 40,              // 画面步骤判定线距底部的距离（像素）
+    adjustStep: 5,          // 游戏中用快捷键微调的步长（毫秒）
+    maxOffset: 500          // 偏移的最大绝对值（毫秒）
+};
+
+/**
+ * 延迟校准器
+ */
+class LatencyCalibrator {
+    constructor() {
+        this.isOpen = false;
+        this.offsets = this.load();   // {audio, visual}（毫秒）
+        this.draft = { ...this.offsets };
+        
+        this.step = null;             // 正在进行的步骤：'audio' | 'visual' | null
+        this.beatTimes = [];          // 拍点时间（音频步骤为 AudioContext 时间，画面步骤为 performance 时间，秒）
+        this.deviations = [];         // 每次按键相对最近拍点的偏差（秒）
+        this.finishTimer = null;
+        this.animationId = null;
+        
+        // DOM 元素
+        this.container = null;
+        this.instructions = null;
+        this.progress = null;
+        this.note = null;
+        this.audioInput = null;
+        this.visualInput = null;
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.animate = this.animate.bind(this);
+    }
+    
+    /**
+     * 从 localStorage 读取校准结果
+     * @returns {{audio: number, visual: number}} 毫秒
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY) || '{}');
+            return {
+                audio: this.clampOffset(saved.audio),
+                visual: this.clampOffset(saved.visual)
+            };
+        } catch (error) {
+            console.warn('⚠️ 校准数据读取失败:', error);
+            return { audio: 0, visual: 0 };
+        }
+    }
+    
+    /**
+     * 保存校准结果并通知外部应用
+     * @param {{audio: number, visual: number}} offsets - 毫秒
+     */
+    save(offsets) {
+        this.offsets = {
+            audio: this.clampOffset(offsets.audio),
+            visual: this.clampOffset(offsets.visual)
+        };
+        try {
+            localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(this.offsets));
+        } catch (error) {
+            console.warn('⚠️ 校准数据保存失败:', error);
+        }
+        this.onChange(this.offsets);
+        console.log(`🎧 延迟校准: 音频 ${this.offsets.audio}ms, 画面 ${this.offsets.visual}ms`);
+    }
+    
+    /**
+     * 在游戏中微调偏移
+     * @param {string} key - 'audio' | 'visual'
+     * @param {number} direction - +1 或 -1
+     */
+    adjust(key, direction) {
+        this.save({ ...this.offsets, [key]: this.offsets[key] + direction * CALIBRATION_CONFIG.adjustStep });
+    }
+    
+    /**
+     * 限制偏移范围（非数字视为 0）
+     * @param {*} value
+     * @returns {number}
+     */
+    clampOffset(value) {
+        if (!isFiniteNumber(value)) return 0;
+        return Math.round(Math.max(-CALIBRATION_CONFIG.maxOffset, Math.min(CALIBRATION_CONFIG.maxOffset, value)));
+    }
+    
+    /**
+     * 获取 DOM 元素并绑定事件（DOM 加载完成后调用一次）
+     */
+    setup() {
+        this.container = document.getElementById('calibration');
+        if (!this.container) return;
+        
+        this.instructions = document.getElementById('calibration-instructions');
+        this.progress = document.getElementById('calibration-progress');
+        this.note = document.getElementById('calibration-note');
+        this.audioInput = document.getElementById('calibration-audio-input');
+        this.visualInput = document.getElementById('calibration-visual-input');
+        
+        const buttons = {
+            'calibration-audio-btn': () => this.startAudioStep(),
+            'calibration-visual-btn': () => this.startVisualStep(),
+            'calibration-reset-btn': () => this.setDraft({ audio: 0, visual: 0 }),
+            'calibration-save-btn': () => {
+                this.save(this.draft);
+                this.close();
+            },
+            'calibration-close-btn': () => this.close()
+        };
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    // 避免按钮保持焦点后被空格键再次触发
+                    e.currentTarget.blur();
+                    handler();
+                });
+            }
+        });
+        
+        [[this.audioInput, 'audio'], [this.visualInput, 'visual']].forEach(([input, key]) => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                this.setDraft({ ...this.draft, [key]: parseFloat(input.value) });
+            });
+        });
+        
+        // 鼠标/触摸也可以打拍
+        const stage = document.getElementById('calibration-stage');
+        if (stage) {
+            stage.addEventListener('pointerdown', (e) => this.tap(e.timeStamp));
+        }
+    }
+    
+    /**
+     * 打开校准界面
+     */
+    open() {
+        if (!this.container) return;
+        
+        this.isOpen = true;
+        this.setDraft(this.offsets);
+        this.container.classList.remove('hidden');
+        document.addEventListener('keydown', this.handleKeyDown);
+        this.setInstructions('先进行音频校准，再进行画面校准。两步都可以重复进行，结果可以手动微调。');
+        this.setProgress('');
+        console.log('🎧 延迟校准已打开');
+    }
+    
+    /**
+     * 关闭校准界面（未保存的结果会被丢弃）
+     */
+    close() {
+        if (!this.isOpen) return;
+        
+        this.stopStep();
+        this.isOpen = false;
+        this.container.classList.add('hidden');
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.onClose();
+        console.log('🎧 延迟校准已关闭');
+    }
+    
+    /**
+     * 偏移变化回调（供外部监听）
+     * @param {{audio: number, visual: number}} offsets - 毫秒
+     */
+    onChange(offsets) {
+        // 这个方法可以被 main.js 重写，例如: latencyCalibrator.onChange = (offsets) => { ... }
+    }
+    
+    /**
+     * 关闭回调（供外部监听）
+     */
+    onClose() {
+        // 这个方法可以被 main.js 重写
+    }
+    
+    /**
+     * 开始音频步骤：用 AudioContext 精确安排节拍器的点击声
+     */
+    async startAudioStep() {
+        const context = audioManager.audioContext;
+        if (!context) {
+            this.setProgress('❌ 音频系统未初始化', true);
+            return;
+        }
+        if (context.state === 'suspended') {
+            await context.resume();
+        }
+        
+        this.stopStep();
+        this.step = 'audio';
+        this.deviations = [];
+        this.beatTimes = [];
+        
+        const interval = 60 / CALIBRATION_CONFIG.bpm;
+        const start = context.currentTime + 0.5;
+        const total = CALIBRATION_CONFIG.countIn + CALIBRATION_CONFIG.beats;
+        for (let i = 0; i < total; i++) {
+            const time = start + i * interval;
+            this.playClick(context, time, i < CALIBRATION_CONFIG.countIn || i % 4 === 0);
+            if (i >= CALIBRATION_CONFIG.countIn) {
+                this.beatTimes.push(time);
+            }
+        }
+        
+        const end = start + total * interval + CALIBRATION_CONFIG.maxDeviation;
+        this.finishTimer = setTimeout(() => this.finishStep(), (end - context.currentTime) * 1000);
+        
+        this.setInstructions(`🔊 先听 ${CALIBRATION_CONFIG.countIn} 下预备拍，然后跟着节拍器按任意键（或点击下方区域）。请闭上眼睛，只听声音。`);
+        this.setProgress(`0 / ${CALIBRATION_CONFIG.beats}`);
+    }
+    
+    /**
+     * 安排一次点击声
+     * @param {AudioContext} context
+     * @param {number} time - AudioContext 时间
+     * @param {boolean} accent - 是否为重音
+     */
+    playClick(context, time, accent) {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.frequency.value = accent ? 1500 : 1000;
+        gain.gain.setValueAtTime(0.6, time);
+        gain.gain.exponentialRampToValueAtTime(0.001, time + 0.05);
+        oscillator.connect(gain);
+        gain.connect(audioManager.gainNode || context.destination);
+        oscillator.start(time);
+        oscillator.stop(time + 0.06);
+    }
+    
+    /**
+     * 开始画面步骤：无声的音符按固定节奏落到判定线
+     */
+    startVisualStep() {
+        this.stopStep();
+        this.step = 'visual';
+        this.deviations = [];
+        this.beatTimes = [];
+        
+        const interval = 60 / CALIBRATION_CONFIG.bpm;
+        const start = performance.now() / 1000 + 1.5;
+        for (let i = 0; i < CALIBRATION_CONFIG.beats; i++) {
+            this.beatTimes.push(start + i * interval);
+        }
+        
+        if (this.note) this.note.style.display = 'block';
+        this.animationId = requestAnimationFrame(this.animate);
+        
+        this.setInstructions('👁️ 在音符到达判定线的瞬间按任意键（或点击下方区域）。这一步没有声音。');
+        this.setProgress(`0 / ${CALIBRATION_CONFIG.beats}`);
+    }
+    
+    /**
+     * 画面步骤的动画
+     * @param {number} timestamp - requestAnimationFrame 提供的时间戳
+     */
+    animate(timestamp) {
+        if (this.step !== 'visual') return;
+        
+        const now = timestamp / 1000;
+        const last = this.beatTimes[this.beatTimes.length - 1];
+        if (now > last + CALIBRATION_CONFIG.maxDeviation) {
+            this.finishStep();
+            return;
+        }
+        
+        // 显示下一个（或刚经过判定线不久的）音符
+        const next = this.beatTimes.find(time => time > now - 0.1);
+        if (this.note && next !== undefined) {
+            this.note.style.bottom = `${CALIBRATION_CONFIG.lineY + (next - now) * CALIBRATION_CONFIG.fallSpeed}px`;
+        }
+        
+        this.animationId = requestAnimationFrame(this.animate);
+    }
+    
+    /**
+     * 记录一次打拍
+     * @param {number} eventTime - 事件的 timeStamp（performance 时间，毫秒）
+     */
+    tap(eventTime) {
+        if (!this.step) return;
+        
+        let time = eventTime / 1000;
+        if (this.step === 'audio') {
+            time = this.toContextTime(eventTime);
+        }
+        
+        // 相对最近拍点的偏差
+        let deviation = Infinity;
+        this.beatTimes.forEach(beat => {
+            if (Math.abs(time - beat) < Math.abs(deviation)) {
+                deviation = time - beat;
+            }
+        });
+        if (Math.abs(deviation) > CALIBRATION_CONFIG.maxDeviation) return;
+        
+        this.deviations.push(deviation);
+        this.setProgress(`${this.deviations.length} / ${CALIBRATION_CONFIG.beats}  （本次 ${Math.round(deviation * 1000)}ms）`);
+    }
+    
+    /**
+     * 把事件时间（performance 时间，毫秒）换算成 AudioContext 时间（秒）
+     * @param {number} eventTime
+     * @returns {number}
+     */
+    toContextTime(eventTime) {
+        const context = audioManager.audioContext;
+        if (context.getOutputTimestamp) {
+            const stamp = context.getOutputTimestamp();
+            if (stamp.performanceTime) {
+                return stamp.contextTime + (eventTime - stamp.performanceTime) / 1000;
+            }
+        }
+        return context.currentTime - (performance.now() - eventTime) / 1000;
+    }
+    
+    /**
+     * 结束当前步骤，取偏差中位数作为结果
+     */
+    finishStep() {
+        const step = this.step;
+        const deviations = this.deviations.slice();
+        this.stopStep();
+        
+        if (deviations.length < CALIBRATION_CONFIG.minTaps) {
+            this.setProgress(`❌ 有效按键太少（${deviations.length} 次，至少需要 ${CALIBRATION_CONFIG.minTaps} 次），请重试`, true);
+            return;
+        }
+        
+        const offset = Math.round(median(deviations) * 1000);
+        this.setDraft({ ...this.draft, [step]: offset });
+        this.setProgress(`✅ ${step === 'audio' ? '音频' : '画面'}延迟: ${offset}ms（${deviations.length} 次有效按键），确认后点击保存`);
+    }
+    
+    /**
+     * 停止当前步骤
+     */
+    stopStep() {
+        this.step = null;
+        clearTimeout(this.finishTimer);
+        this.finishTimer = null;
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        if (this.note) this.note.style.display = 'none';
+    }
+    
+    /**
+     * 更新待保存的结果
+     * @param {{audio: number, visual: number}} offsets - 毫秒
+     */
+    setDraft(offsets) {
+        this.draft = {
+            audio: this.clampOffset(offsets.audio),
+            visual: this.clampOffset(offsets.visual)
+        };
+        if (this.audioInput) this.audioInput.value = this.draft.audio;
+        if (this.visualInput) this.visualInput.value = this.draft.visual;
+    }
+    
+    /**
+     * 键盘事件：任意键打拍，ESC 关闭
+     * @param {KeyboardEvent} e
+     */
+    handleKeyDown(e) {
+        // 在输入框中输入数字时不打拍
+        if (e.target instanceof HTMLInputElement) return;
+        
+        if (e.code === 'Escape' || e.keyCode === 27) {
+            e.preventDefault();
+            if (this.step) {
+                this.stopStep();
+                this.setProgress('已取消');
+            } else {
+                this.close();
+            }
+            return;
+        }
+        
+        if (e.repeat) return;
+        e.preventDefault();
+        this.tap(e.timeStamp);
+    }
+    
+    /**
+     * 设置说明文字
+     * @param {string} text
+     */
+    setInstructions(text) {
+        if (this.instructions) {
+            this.instructions.textContent = text;
+        }
+    }
+    
+    /**
+     * 设置进度文字
+     * @param {string} text
+     * @param {boolean} isError
+     */
+    setProgress(text, isError = false) {
+        if (this.progress) {
+            this.progress.textContent = text;
+            this.progress.classList.toggle('error', isError);
+        }
+    }
+}
+
+/**
+ * 计算中位数（对个别误按不敏感）
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// 创建全局实例
+const latencyCalibrator = new LatencyCalibrator();
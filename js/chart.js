@@ -0,0 +1,492 @@
+/**
+ * Chart - 谱面文件格式与加载器
+ * 负责读取、校验谱面 JSON 文件，并转换为 NoteManager 可用的数据
+ */
+
+// 谱面文件格式标识与当前版本
+const CHART_FORMAT = 'finger-flow-chart';
+const CHART_VERSION = 1;
+
+// 允许出现的字段（出现其他字段视为错误，防止拼写错误被静默忽略）
+const CHART_FIELDS = ['format', 'version', 'meta', 'notes'];
+const CHART_META_FIELDS = ['title', 'artist', 'audio', 'lanes', 'bpm', 'offset', 'leadIn', 'timing', 'difficulty', 'charter'];
+const CHART_NOTE_FIELDS = ['track', 'time', 'endTime'];
+const CHART_TIMING_FIELDS = ['bpms', 'stops', 'signatures', 'scrolls'];
+
+// 最多显示的错误条数
+const CHART_MAX_ERRORS = 5;
+
+/**
+ * 谱面加载器
+ */
+class ChartLoader {
+    constructor() {
+        // 默认谱面文件路径（与默认音乐放在一起）
+        this.defaultChartPath = 'music/district-four.chart.json';
+    }
+    
+    /**
+     * 从 URL 加载谱面
+     * @param {string} url - 谱面文件 URL
+     * @returns {Promise<Object|null>} 谱面对象；文件不存在时返回 null
+     */
+    async loadFromURL(url) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            // 网络错误或 file:// 协议下无法读取，按"没有谱面"处理
+            console.log(`ℹ️ 无法读取谱面文件: ${url}`);
+            return null;
+        }
+        
+        if (!response.ok) {
+            console.log(`ℹ️ 未找到谱面文件: ${url}`);
+            return null;
+        }
+        
+        const text = await response.text();
+        return this.parse(text, url);
+    }
+    
+    /**
+     * 从用户选择的文件加载谱面
+     * @param {File} file - 文件对象
+     * @returns {Promise<Object>}
+     */
+    async loadFromFile(file) {
+        const text = await file.text();
+        return this.parse(text, file.name);
+    }
+    
+    /**
+     * 解析谱面文本
+     * @param {string} text - JSON 文本
+     * @param {string} source - 来源名称（用于错误提示）
+     * @returns {Object} 规范化后的谱面对象
+     */
+    parse(text, source = '谱面') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${source}: 不是有效的 JSON（${error.message}）`);
+        }
+        
+        const errors = this.validate(data);
+        if (errors.length > 0) {
+            const shown = errors.slice(0, CHART_MAX_ERRORS);
+            if (errors.length > CHART_MAX_ERRORS) {
+                shown.push(`……另有 ${errors.length - CHART_MAX_ERRORS} 个错误`);
+            }
+            throw new Error(`${source}: 谱面校验失败\n${shown.join('\n')}`);
+        }
+        
+        const chart = this.normalize(data);
+        console.log(`📄 谱面文件解析完成: ${chart.meta.title} (${chart.notes.length} 个音符)`);
+        return chart;
+    }
+    
+    /**
+     * 校验谱面数据
+     * @param {Object} data - 已解析的 JSON 数据
+     * @returns {string[]} 错误信息列表（为空表示通过）
+     */
+    validate(data) {
+        const errors = [];
+        
+        if (!isPlainObject(data)) {
+            return ['谱面根节点必须是对象'];
+        }
+        
+        this.checkUnknownFields(data, CHART_FIELDS, '', errors);
+        
+        if (data.format !== CHART_FORMAT) {
+            errors.push(`format 必须为 "${CHART_FORMAT}"`);
+        }
+        if (!Number.isInteger(data.version)) {
+            errors.push('version 必须是整数');
+        } else if (data.version > CHART_VERSION) {
+            errors.push(`不支持的谱面版本 ${data.version}（当前支持 ${CHART_VERSION}）`);
+        }
+        
+        this.validateMeta(data.meta, errors);
+        this.validateNotes(data.notes, errors, this.getLaneCount(data.meta));
+        
+        return errors;
+    }
+    
+    /**
+     * 校验元数据
+     * @param {Object} meta
+     * @param {string[]} errors
+     */
+    validateMeta(meta, errors) {
+        if (!isPlainObject(meta)) {
+            errors.push('缺少 meta 对象');
+            return;
+        }
+        
+        this.checkUnknownFields(meta, CHART_META_FIELDS, 'meta.', errors);
+        
+        if (typeof meta.title !== 'string' || meta.title.trim() === '') {
+            errors.push('meta.title 必须是非空字符串');
+        }
+        ['artist', 'audio', 'difficulty', 'charter'].forEach(key => {
+            if (meta[key] !== undefined && typeof meta[key] !== 'string') {
+                errors.push(`meta.${key} 必须是字符串`);
+            }
+        });
+        if (meta.lanes !== undefined && !LANE_LAYOUTS[meta.lanes]) {
+            errors.push(`meta.lanes 必须是 ${LANE_COUNTS.join('、')} 之一（键数）`);
+        }
+        if (!isFiniteNumber(meta.bpm) || meta.bpm <= 0) {
+            errors.push('meta.bpm 必须是正数');
+        }
+        if (meta.offset !== undefined && !isFiniteNumber(meta.offset)) {
+            errors.push('meta.offset 必须是数字（秒）');
+        }
+        if (meta.leadIn !== undefined && (!isFiniteNumber(meta.leadIn) || meta.leadIn < 0)) {
+            errors.push('meta.leadIn 必须是非负数（秒）');
+        }
+        if (meta.timing !== undefined) {
+            this.validateTiming(meta.timing, errors);
+        }
+    }
+    
+    /**
+     * 校验变速、停顿、拍号与下落速度变化（拍子从第一拍 meta.offset 算起，以四分音符为单位）
+     * @param {Object} timing - {bpms?: [{beat, bpm}], stops?: [{beat, duration}], signatures?: [{beat, numerator, denominator}], scrolls?: [{beat, speed}]}
+     * @param {string[]} errors
+     */
+    validateTiming(timing, errors) {
+        if (!isPlainObject(timing)) {
+            errors.push('meta.timing 必须是对象');
+            return;
+        }
+        
+        this.checkUnknownFields(timing, CHART_TIMING_FIELDS, 'meta.timing.', errors);
+        
+        const checkList = (key, fields, check) => {
+            const list = timing[key];
+            if (list === undefined) return;
+            if (!Array.isArray(list)) {
+                errors.push(`meta.timing.${key} 必须是数组`);
+                return;
+            }
+            list.forEach((item, index) => {
+                const path = `meta.timing.${key}[${index}]`;
+                if (!isPlainObject(item)) {
+                    errors.push(`${path} 必须是对象`);
+                    return;
+                }
+                this.checkUnknownFields(item, fields, `${path}.`, errors);
+                if (!isFiniteNumber(item.beat) || item.beat < 0) {
+                    errors.push(`${path}.beat 必须是非负数（拍）`);
+                }
+                check(item, path);
+            });
+        };
+        
+        checkList('bpms', ['beat', 'bpm'], (item, path) => {
+            if (!isFiniteNumber(item.bpm) || item.bpm <= 0) {
+                errors.push(`${path}.bpm 必须是正数`);
+            }
+        });
+        checkList('stops', ['beat', 'duration'], (item, path) => {
+            if (!isFiniteNumber(item.duration) || item.duration <= 0) {
+                errors.push(`${path}.duration 必须是正数（秒）`);
+            }
+        });
+        checkList('signatures', ['beat', 'numerator', 'denominator'], (item, path) => {
+            if (!Number.isInteger(item.numerator) || item.numerator <= 0) {
+                errors.push(`${path}.numerator 必须是正整数`);
+            }
+            if (![1, 2, 4, 8, 16, 32].includes(item.denominator)) {
+                errors.push(`${path}.denominator 必须是 1、2、4、8、16 或 32`);
+            }
+        });
+        checkList('scrolls', ['beat', 'speed'], (item, path) => {
+            if (!isFiniteNumber(item.speed) || item.speed < 0) {
+                errors.push(`${path}.speed 必须是非负数（倍率）`);
+            }
+        });
+    }
+    
+    /**
+     * 谱面的键数（未填写或无效时为 4 键）
+     * @param {Object} meta
+     * @returns {number}
+     */
+    getLaneCount(meta) {
+        return meta && LANE_LAYOUTS[meta.lanes] ? meta.lanes : DEFAULT_LANE_COUNT;
+    }
+    
+    /**
+     * 校验音符列表
+     * @param {Array} notes
+     * @param {string[]} errors
+     * @param {number} laneCount - 键数（轨道数量）
+     */
+    validateNotes(notes, errors, laneCount = DEFAULT_LANE_COUNT) {
+        if (!Array.isArray(notes)) {
+            errors.push('缺少 notes 数组');
+            return;
+        }
+        
+        let lastTime = -Infinity;
+        const holdEndTimes = [];  // 每条轨道上长按的结束时间
+        notes.forEach((note, index) => {
+            const path = `notes[${index}]`;
+            if (!isPlainObject(note)) {
+                errors.push(`${path} 必须是对象`);
+                return;
+            }
+            
+            this.checkUnknownFields(note, CHART_NOTE_FIELDS, `${path}.`, errors);
+            
+            if (!Number.isInteger(note.track) || note.track < 0 || note.track >= laneCount) {
+                errors.push(`${path}.track 必须是 0-${laneCount - 1} 的整数（${laneCount} 键）`);
+            }
+            if (!isFiniteNumber(note.time) || note.time < 0) {
+                errors.push(`${path}.time 必须是非负数（秒）`);
+                return;
+            }
+            if (note.time < lastTime) {
+                errors.push(`${path}.time 未按时间排序（${note.time} < ${lastTime}）`);
+            }
+            lastTime = note.time;
+            
+            if (holdEndTimes[note.track] !== undefined && note.time <= holdEndTimes[note.track]) {
+                errors.push(`${path} 与同轨道的长按音符重叠`);
+            }
+            if (note.endTime !== undefined) {
+                if (!isFiniteNumber(note.endTime) || note.endTime <= note.time) {
+                    errors.push(`${path}.endTime 必须大于 time（秒）`);
+                } else {
+                    holdEndTimes[note.track] = note.endTime;
+                }
+            }
+        });
+    }
+    
+    /**
+     * 检查未知字段
+     * @param {Object} obj
+     * @param {string[]} allowed - 允许的字段
+     * @param {string} prefix - 错误提示前缀
+     * @param {string[]} errors
+     */
+    checkUnknownFields(obj, allowed, prefix, errors) {
+        Object.keys(obj).forEach(key => {
+            if (!allowed.includes(key)) {
+                errors.push(`未知字段 ${prefix}${key}`);
+            }
+        });
+    }
+    
+    /**
+     * 规范化谱面（补全可选字段的默认值）
+     * @param {Object} data - 已通过校验的数据
+     * @returns {Object}
+     */
+    normalize(data) {
+        const meta = data.meta;
+        return {
+            format: CHART_FORMAT,
+            version: CHART_VERSION,
+            meta: {
+                title: meta.title,
+                artist: meta.artist || '',
+                audio: meta.audio || '',
+                lanes: this.getLaneCount(meta),
+                bpm: meta.bpm,
+                offset: meta.offset || 0,
+                leadIn: meta.leadIn || 0,
+                ...copyTiming(meta.timing),
+                difficulty: meta.difficulty || '',
+                charter: meta.charter || ''
+            },
+            notes: data.notes.map(copyNote)
+        };
+    }
+    
+    /**
+     * 获取应用偏移后的音符列表（供 NoteManager.loadChart 使用）
+     * @param {Object} chart - 规范化后的谱面
+     * @returns {Array}
+     */
+    getPlayableNotes(chart) {
+        const { offset } = chart.meta;
+        return chart.notes.map(note => {
+            const copy = copyNote(note);
+            copy.time += offset;
+            if (copy.endTime !== undefined) {
+                copy.endTime += offset;
+            }
+            return copy;
+        });
+    }
+    
+    /**
+     * 解析谱面文件或纯音符数组，返回应用偏移后的音符
+     * @param {string} text - JSON 文本
+     * @param {string} source - 来源名称（用于错误提示）
+     * @param {number} laneCount - 键数（谱面文件的键数必须与之相同）
+     * @returns {Array} [{track, time, endTime?}, ...]
+     */
+    parseNotes(text, source = '谱面', laneCount = DEFAULT_LANE_COUNT) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${source}: 不是有效的 JSON（${error.message}）`);
+        }
+        
+        // 纯数组（NoteManager.loadChart() 使用的结构）
+        if (Array.isArray(data)) {
+            const sorted = data.slice().sort((a, b) => (a && b) ? a.time - b.time : 0);
+            const errors = [];
+            this.validateNotes(sorted, errors, laneCount);
+            if (errors.length > 0) {
+                throw new Error(`${source}: 音符校验失败\n${errors.slice(0, CHART_MAX_ERRORS).join('\n')}`);
+            }
+            return sorted.map(copyNote);
+        }
+        
+        const chart = this.parse(text, source);
+        if (chart.meta.lanes !== laneCount) {
+            throw new Error(`${source}: 谱面为 ${chart.meta.lanes} 键，当前为 ${laneCount} 键`);
+        }
+        return this.getPlayableNotes(chart);
+    }
+    
+    /**
+     * 将音符列表导出为谱面文件对象
+     * @param {Array} notes - [{track, time, endTime?}, ...]（歌曲中的实际时间）
+     * @param {Object} meta - 元数据，offset 会从音符时间中减去
+     * @returns {Object}
+     */
+    createChart(notes, meta = {}) {
+        const bpm = meta.bpm || 120;
+        const { offset, timing } = this.alignOffset(notes, bpm, meta.offset || 0, meta.timing);
+        const round = (time) => Math.round((time - offset) * 1000) / 1000;
+        
+        return {
+            format: CHART_FORMAT,
+            version: CHART_VERSION,
+            meta: {
+                title: meta.title || 'Untitled',
+                artist: meta.artist || '',
+                audio: meta.audio || '',
+                lanes: this.getLaneCount(meta),
+                bpm,
+                offset,
+                leadIn: meta.leadIn || 0,
+                ...copyTiming(timing),
+                difficulty: meta.difficulty || '',
+                charter: meta.charter || ''
+            },
+            notes: notes
+                .map(note => {
+                    const copy = copyNote(note);
+                    copy.time = round(copy.time);
+                    if (copy.endTime !== undefined) {
+                        copy.endTime = round(copy.endTime);
+                    }
+                    return copy;
+                })
+                .sort((a, b) => a.time - b.time)
+        };
+    }
+    
+    /**
+     * 第一个音符早于第一拍时，按整小节向前移动第一拍，保证导出的音符时间非负
+     * 变化列表的拍子随之后移，第 0 拍的 BPM / 拍号 / 下落速度保留在新的第 0 拍上
+     * @param {Array} notes - 音符列表（歌曲中的实际时间）
+     * @param {number} bpm - 第 0 拍的 BPM
+     * @param {number} offset - 第一拍时间（秒）
+     * @param {Object} timing - meta.timing
+     * @returns {{offset: number, timing: Object}}
+     */
+    alignOffset(notes, bpm, offset, timing) {
+        const firstNoteTime = Math.min(...notes.map(note => note.time));
+        if (!(firstNoteTime < offset)) {
+            return { offset, timing };
+        }
+        
+        const changes = copyTiming(timing).timing || {};
+        const atStart = (list) => (list || []).filter(item => item.beat === 0);
+        const firstBpm = atStart(changes.bpms).pop();
+        const firstSignature = atStart(changes.signatures).pop();
+        const measureBeats = firstSignature ? firstSignature.numerator * 4 / firstSignature.denominator : 4;
+        const measure = measureBeats * 60 / (firstBpm ? firstBpm.bpm : bpm);
+        
+        const shift = Math.ceil((offset - firstNoteTime) / measure);
+        const shiftBeats = shift * measureBeats;
+        const shifted = {};
+        CHART_TIMING_FIELDS.forEach(key => {
+            if (!changes[key]) return;
+            const list = changes[key].map(item => ({ ...item, beat: item.beat + shiftBeats }));
+            shifted[key] = key === 'stops' ? list : [...atStart(changes[key]), ...list];
+        });
+        
+        return {
+            offset: Math.round((offset - shift * measure) * 1000) / 1000,
+            timing: shifted
+        };
+    }
+}
+
+/**
+ * 复制音符数据（只保留谱面字段）
+ * @param {Object} note
+ * @returns {Object}
+ */
+function copyNote(note) {
+    const copy = { track: note.track, time: note.time };
+    if (note.endTime !== undefined) {
+        copy.endTime = note.endTime;
+    }
+    return copy;
+}
+
+/**
+ * 复制变速数据（没有任何变化时省略，保持固定 BPM 谱面的格式不变）
+ * @param {Object} timing - meta.timing
+ * @returns {Object} {timing} 或 {}
+ */
+function copyTiming(timing) {
+    if (!timing) return {};
+    
+    const copy = {};
+    CHART_TIMING_FIELDS.forEach(key => {
+        if (Array.isArray(timing[key]) && timing[key].length > 0) {
+            copy[key] = timing[key]
+                .map(item => ({ ...item }))
+                .sort((a, b) => a.beat - b.beat);
+        }
+    });
+    return Object.keys(copy).length > 0 ? { timing: copy } : {};
+}
+
+/**
+ * 是否为普通对象
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 是否为有限数字
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// 创建全局实例
+const chartLoader = new ChartLoader();
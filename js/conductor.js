@@ -1,148 +1,382 @@
-/**
- * Conductor - 时间同步和节奏管理器
- * 负责处理游戏时间、BPM计算和音频同步
- */
-
-class Conductor {
-    constructor() {
-        this.startTime = null;
-        this.currentTime = 0;
-        this.isRunning = false;
-        this.bpm = 120; // 默认BPM
-        this.timeOffset = 0;
-        
-        // 用于高精度计时
-        this.performanceStartTime = null;
-        
-        // 暂停时保存的时间
-        this.pausedTime = 0;
-    }
-    
-    /**
-     * 初始化并启动计时器
-     */
-    start() {
-        if (this.isRunning) return;
-        
-        // 如果是从暂停恢复，使用保存的时间
-        if (this.pausedTime > 0) {
-            this.timeOffset = this.pausedTime;
-            this.pausedTime = 0;
-        }
-        
-        this.performanceStartTime = performance.now();
-        this.startTime = Date.now();
-        this.isRunning = true;
-        
-        console.log('🎵 Conductor started/resumed at', this.timeOffset.toFixed(2), 's');
-    }
-    
-    /**
-     * 暂停计时器
-     */
-    pause() {
-        if (!this.isRunning) return;
-        
-        // 保存当前时间
-        this.pausedTime = this.currentTime;
-        this.isRunning = false;
-        
-        console.log('⏸️ Conductor paused at', this.pausedTime.toFixed(2), 's');
-    }
-    
-    /**
-     * 重置计时器
-     */
-    reset() {
-        this.startTime = null;
-        this.currentTime = 0;
-        this.isRunning = false;
-        this.performanceStartTime = null;
-        this.timeOffset = 0;
-        this.pausedTime = 0;
-        console.log('🔄 Conductor reset');
-    }
-    
-    /**
-     * 更新当前时间（在游戏主循环中调用）
-     * @param {number} timestamp - requestAnimationFrame 提供的时间戳
-     */
-    update(timestamp) {
-        if (!this.isRunning) return;
-        
-        // 使用 performance.now() 获取高精度时间（毫秒）
-        const elapsedMs = timestamp - this.performanceStartTime;
-        this.currentTime = (elapsedMs / 1000) + this.timeOffset;
-    }
-    
-    /**
-     * 获取当前时间（秒）
-     * @returns {number}
-     */
-    getCurrentTime() {
-        return this.currentTime;
-    }
-    
-    /**
-     * 获取格式化的时间字符串
-     * @returns {string}
-     */
-    getFormattedTime() {
-        return this.currentTime.toFixed(2);
-    }
-    
-    /**
-     * 设置BPM
-     * @param {number} bpm - 每分钟节拍数
-     */
-    setBPM(bpm) {
-        this.bpm = bpm;
-        console.log(`🎼 BPM set to: ${bpm}`);
-    }
-    
-    /**
-     * 获取当前BPM
-     * @returns {number}
-     */
-    getBPM() {
-        return this.bpm;
-    }
-    
-    /**
-     * 计算一个节拍的时长（秒）
-     * @returns {number}
-     */
-    getBeatDuration() {
-        return 60 / this.bpm;
-    }
-    
-    /**
-     * 获取当前是第几拍
-     * @returns {number}
-     */
-    getCurrentBeat() {
-        return Math.floor(this.currentTime / this.getBeatDuration());
-    }
-    
-    /**
-     * 设置时间偏移（用于音频同步校准）
-     * @param {number} offset - 偏移量（秒）
-     */
-    setTimeOffset(offset) {
-        this.timeOffset = offset;
-    }
-    
-    /**
-     * 跳转到指定时间
-     * @param {number} time - 目标时间（秒）
-     */
-    seekTo(time) {
-        this.timeOffset = time;
-        this.performanceStartTime = performance.now();
-        this.currentTime = time;
-        console.log(`⏩ Seek to: ${time.toFixed(2)}s`);
-    }
-}
-
-// 创建全局 Conductor 实例
-const conductor = new Conductor();
+/**
+ * Conductor - 时间同步和节奏管理器
+ * 负责处理游戏时间、BPM计算和音频同步
+ */
+
+// 音频同步参数
+// 计时器用 performance.now() 保证每帧平滑，有音乐时不断与音频时钟比较并修正漂移
+const SYNC_CONFIG = {
+    smoothing: 0.1,         // 漂移测量的平滑系数（指数移动平均）
+    correctionRate: 0.05,   // 每次测量修正平滑漂移的比例（小步修正，避免音符跳动）
+    resyncThreshold: 0.1    // 漂移超过该值（秒）时直接对齐音频（卡顿、切换标签页、音频启动慢）
+};
+
+class Conductor {
+    constructor() {
+        this.startTime = null;
+        this.currentTime = 0;
+        this.isRunning = false;
+        this.timing = new TimingMap(120, 0); // 时间点表（BPM、第一拍时间、变速、停顿、拍号）
+        this.timeOffset = 0;
+        this.latency = 0; // 音频/输入延迟（秒），玩家按键比计时晚这么多
+        this.rate = 1; // 播放速度（练习模式放慢时小于 1）
+        
+        // 用于高精度计时
+        this.performanceStartTime = null;
+        
+        // 暂停时保存的时间
+        this.pausedTime = 0;
+        
+        // 音频同步：上一次的音频时间、平滑后的漂移（正数 = 画面超前于音乐）
+        this.lastAudioTime = null;
+        this.drift = 0;
+        this.driftStats = this.createDriftStats();
+    }
+    
+    /**
+     * 创建空的漂移统计
+     * @returns {Object}
+     */
+    createDriftStats() {
+        return {
+            samples: 0,     // 测量次数
+            totalAbs: 0,    // 漂移绝对值之和（用于计算平均值）
+            max: 0,         // 最大漂移绝对值（不含直接对齐的那一次）
+            resyncs: 0      // 直接对齐的次数
+        };
+    }
+    
+    /**
+     * 初始化并启动计时器
+     */
+    start() {
+        if (this.isRunning) return;
+        
+        // 如果是从暂停恢复，使用保存的时间（前奏留白中为负数）
+        if (this.pausedTime !== 0) {
+            this.timeOffset = this.pausedTime;
+            this.pausedTime = 0;
+        }
+        
+        this.performanceStartTime = performance.now();
+        this.startTime = Date.now();
+        this.isRunning = true;
+        
+        console.log('🎵 Conductor started/resumed at', this.timeOffset.toFixed(2), 's');
+    }
+    
+    /**
+     * 暂停计时器
+     */
+    pause() {
+        if (!this.isRunning) return;
+        
+        // 保存当前时间
+        this.pausedTime = this.currentTime;
+        this.isRunning = false;
+        this.lastAudioTime = null;
+        
+        console.log('⏸️ Conductor paused at', this.pausedTime.toFixed(2), 's');
+    }
+    
+    /**
+     * 重置计时器
+     */
+    reset() {
+        this.startTime = null;
+        this.currentTime = 0;
+        this.isRunning = false;
+        this.performanceStartTime = null;
+        this.timeOffset = 0;
+        this.pausedTime = 0;
+        this.lastAudioTime = null;
+        this.drift = 0;
+        this.driftStats = this.createDriftStats();
+        console.log('🔄 Conductor reset');
+    }
+    
+    /**
+     * 更新当前时间（在游戏主循环中调用）
+     * @param {number} timestamp - requestAnimationFrame 提供的时间戳
+     */
+    update(timestamp) {
+        if (!this.isRunning) return;
+        
+        this.currentTime = this.getTimeAt(timestamp);
+    }
+    
+    /**
+     * 把 performance 时间戳换算为歌曲时间（与当前的时间基准、播放速度和漂移修正一致）
+     * 按键事件的 event.timeStamp 可以不受帧率限制地换算出按下的准确时间；暂停时返回暂停的时间
+     * @param {number} timestamp - performance.now() / event.timeStamp（毫秒）
+     * @returns {number} 秒
+     */
+    getTimeAt(timestamp) {
+        if (!this.isRunning || this.performanceStartTime === null) return this.currentTime;
+        
+        // 使用 performance.now() 获取高精度时间（毫秒），按播放速度换算为歌曲时间
+        const elapsedMs = timestamp - this.performanceStartTime;
+        return (elapsedMs / 1000) * this.rate + this.timeOffset;
+    }
+    
+    /**
+     * 设置播放速度（从当前时间开始按新速度计时）
+     * @param {number} rate - 1 为原速
+     */
+    setRate(rate) {
+        if (this.isRunning) {
+            this.timeOffset = this.currentTime;
+            this.performanceStartTime = performance.now();
+        }
+        this.rate = rate;
+        this.lastAudioTime = null;
+        console.log(`🐢 播放速度: ${rate}x`);
+    }
+    
+    /**
+     * 获取播放速度
+     * @returns {number}
+     */
+    getRate() {
+        return this.rate;
+    }
+    
+    /**
+     * 与音频时钟同步（有音乐播放时在 update 之后每帧调用）
+     * 小漂移按比例逐步修正，大漂移直接对齐
+     * @param {number} audioTime - 音频播放位置（秒）
+     */
+    syncToAudio(audioTime) {
+        if (!this.isRunning) return;
+        
+        // 音频位置没有更新时不测量
+        if (audioTime === this.lastAudioTime) return;
+        this.lastAudioTime = audioTime;
+        
+        const drift = this.currentTime - audioTime;
+        
+        if (Math.abs(drift) > SYNC_CONFIG.resyncThreshold) {
+            this.timeOffset -= drift;
+            this.currentTime = audioTime;
+            this.drift = 0;
+            this.driftStats.resyncs++;
+            console.log(`🔁 与音频重新对齐（漂移 ${(drift * 1000).toFixed(0)}ms）`);
+            return;
+        }
+        
+        this.driftStats.samples++;
+        this.driftStats.totalAbs += Math.abs(drift);
+        this.driftStats.max = Math.max(this.driftStats.max, Math.abs(drift));
+        
+        this.drift += (drift - this.drift) * SYNC_CONFIG.smoothing;
+        const correction = this.drift * SYNC_CONFIG.correctionRate;
+        this.timeOffset -= correction;
+        this.currentTime -= correction;
+    }
+    
+    /**
+     * 获取当前（平滑后的）音频漂移
+     * @returns {number} 秒，正数表示画面超前于音乐
+     */
+    getDrift() {
+        return this.drift;
+    }
+    
+    /**
+     * 获取漂移统计（用于验证整首歌的同步情况）
+     * @returns {{drift: number, average: number, max: number, samples: number, resyncs: number}} 时间单位为秒
+     */
+    getDriftStats() {
+        const { samples, totalAbs, max, resyncs } = this.driftStats;
+        return {
+            drift: this.drift,
+            average: samples > 0 ? totalAbs / samples : 0,
+            max,
+            samples,
+            resyncs
+        };
+    }
+    
+    /**
+     * 获取当前时间（秒）
+     * @returns {number}
+     */
+    getCurrentTime() {
+        return this.currentTime;
+    }
+    
+    /**
+     * 获取判定用的时间（扣除音频/输入延迟，延迟是真实时间，放慢播放时按速度换算）
+     * @returns {number}
+     */
+    getJudgeTime() {
+        return this.currentTime - this.latency * this.rate;
+    }
+    
+    /**
+     * 获取某一时刻的判定时间（用于按键事件）
+     * @param {number} timestamp - performance.now() / event.timeStamp（毫秒）
+     * @returns {number}
+     */
+    getJudgeTimeAt(timestamp) {
+        return this.getTimeAt(timestamp) - this.latency * this.rate;
+    }
+    
+    /**
+     * 设置音频/输入延迟（延迟校准的结果）
+     * @param {number} latency - 延迟（秒）
+     */
+    setLatency(latency) {
+        this.latency = latency;
+    }
+    
+    /**
+     * 获取音频/输入延迟
+     * @returns {number}
+     */
+    getLatency() {
+        return this.latency;
+    }
+    
+    /**
+     * 获取格式化的时间字符串
+     * @returns {string}
+     */
+    getFormattedTime() {
+        return this.currentTime.toFixed(2);
+    }
+    
+    /**
+     * 设置完整的时间点表
+     * @param {number} bpm - 第 0 拍的 BPM
+     * @param {number} offset - 第一拍时间（秒）
+     * @param {Object} changes - 变速、停顿、拍号、下落速度变化（见 TimingMap）
+     */
+    setTiming(bpm, offset, changes = {}) {
+        this.timing = new TimingMap(bpm, offset, changes);
+        const variable = this.timing.isConstant() ? '' : `（${this.timing.segments.length} 段 BPM/停顿，${this.timing.measures.length} 段拍号，${this.timing.scrolls.length - 1} 次变速）`;
+        console.log(`🎼 BPM set to: ${bpm}, first beat at: ${offset.toFixed(3)}s${variable}`);
+    }
+    
+    /**
+     * 获取时间点表
+     * @returns {TimingMap}
+     */
+    getTimingMap() {
+        return this.timing;
+    }
+    
+    /**
+     * 设置固定BPM（清除变速、停顿和拍号变化）
+     * @param {number} bpm - 每分钟节拍数
+     */
+    setBPM(bpm) {
+        this.setTiming(bpm, this.timing.offset);
+    }
+    
+    /**
+     * 获取BPM（变速时为所在分段的 BPM）
+     * @param {number} time - 所在时间，默认为当前时间
+     * @returns {number}
+     */
+    getBPM(time = this.currentTime) {
+        return this.timing.getBPMAt(this.getBeatAt(time));
+    }
+    
+    /**
+     * 计算一个节拍的时长（秒）
+     * @param {number} time - 所在时间，默认为当前时间
+     * @returns {number}
+     */
+    getBeatDuration(time = this.currentTime) {
+        return this.timing.getBeatDurationAt(this.getBeatAt(time));
+    }
+    
+    /**
+     * 秒 -> 拍子（可以是小数）
+     * @param {number} time
+     * @returns {number}
+     */
+    getBeatAt(time) {
+        return this.timing.timeToBeat(time);
+    }
+    
+    /**
+     * 拍子 -> 秒
+     * @param {number} beat
+     * @returns {number}
+     */
+    getTimeAtBeat(beat) {
+        return this.timing.beatToTime(beat);
+    }
+    
+    /**
+     * 获取当前是第几拍
+     * @returns {number}
+     */
+    getCurrentBeat() {
+        return Math.floor(this.getBeatAt(this.currentTime));
+    }
+    
+    /**
+     * 获取当前所在的小节和小节内的拍
+     * @returns {{measure: number, beat: number, numerator: number, denominator: number}}
+     */
+    getCurrentMeasure() {
+        return this.timing.getMeasurePosition(this.getBeatAt(this.currentTime));
+    }
+    
+    /**
+     * 吸附到最近的拍子细分
+     * @param {number} time
+     * @param {number} subdivision - 每拍细分数
+     * @returns {number}
+     */
+    snapTime(time, subdivision) {
+        return this.timing.snapTime(time, subdivision);
+    }
+    
+    /**
+     * 设置第一拍的时间（节拍网格的起点，保留变速等设置）
+     * @param {number} offset - 第一拍时间（秒）
+     */
+    setBeatOffset(offset) {
+        this.setTiming(this.timing.bpm, offset, this.timing.changes);
+    }
+    
+    /**
+     * 获取第一拍的时间
+     * @returns {number}
+     */
+    getBeatOffset() {
+        return this.timing.offset;
+    }
+    
+    /**
+     * 设置时间偏移（用于音频同步校准）
+     * @param {number} offset - 偏移量（秒）
+     */
+    setTimeOffset(offset) {
+        this.timeOffset = offset;
+    }
+    
+    /**
+     * 跳转到指定时间
+     * @param {number} time - 目标时间（秒）
+     */
+    seekTo(time) {
+        this.timeOffset = time;
+        this.performanceStartTime = performance.now();
+        this.currentTime = time;
+        this.lastAudioTime = null;
+        
+        // 暂停中跳转时，恢复后从新位置继续
+        if (!this.isRunning) {
+            this.pausedTime = time;
+        }
+        console.log(`⏩ Seek to: ${time.toFixed(2)}s`);
+    }
+}
+
+// 创建全局 Conductor 实例
+const conductor = new Conductor();
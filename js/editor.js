@@ -0,0 +1,787 @@
+/**
+ * Editor - 谱面编辑器
+ * 时间轴自下而上滚动，点击放置/删除音符，拖动放置长按
+ */
+
+// 可选的吸附细分（每拍分成几份）
+const EDITOR_SNAPS = [1, 2, 3, 4, 6, 8, 12, 16];
+
+// 编辑器参数
+const EDITOR_CONFIG = {
+    pixelsPerSecond: 300,   // 默认缩放
+    minZoom: 60,
+    maxZoom: 1200,
+    judgeLineOffset: 80,    // 当前时间线距离画布底部的距离（像素）
+    noteHeight: 14,
+    historyLimit: 200
+};
+
+/**
+ * 谱面编辑器
+ */
+class ChartEditor {
+    constructor() {
+        this.isOpen = false;
+        this.notes = [];              // 编辑中的音符 [{track, time, endTime?}, ...]
+        this.meta = {};               // 导出时使用的元数据
+        this.lanes = DEFAULT_LANE_COUNT;  // 键数（来自 meta.lanes）
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        this.viewTime = 0;            // 当前时间线对应的时间（秒）
+        this.snap = 4;                // 当前吸附细分
+        this.pixelsPerSecond = EDITOR_CONFIG.pixelsPerSecond;
+        this.duration = 60;           // 时间轴总长度（秒）
+        
+        this.isPlaying = false;
+        this.playStartTime = 0;       // 无音乐播放时的计时基准
+        this.dragStart = null;        // 拖动放置长按的起点 {track, time}
+        this.hover = null;            // 鼠标悬停位置 {track, time}
+        
+        // DOM 元素
+        this.container = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.timeLabel = null;
+        this.positionSlider = null;
+        this.snapSelect = null;
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.loop = this.loop.bind(this);
+    }
+    
+    /**
+     * 获取 DOM 元素并绑定事件（DOM 加载完成后调用一次）
+     */
+    setup() {
+        this.container = document.getElementById('chart-editor');
+        this.canvas = document.getElementById('editor-canvas');
+        if (!this.container || !this.canvas) return;
+        
+        this.ctx = this.canvas.getContext('2d');
+        this.timeLabel = document.getElementById('editor-time');
+        this.positionSlider = document.getElementById('editor-position');
+        this.snapSelect = document.getElementById('editor-snap');
+        
+        EDITOR_SNAPS.forEach(snap => {
+            const option = document.createElement('option');
+            option.value = snap;
+            option.textContent = `1/${snap}`;
+            this.snapSelect.appendChild(option);
+        });
+        this.snapSelect.value = this.snap;
+        this.snapSelect.addEventListener('change', () => {
+            this.snap = parseInt(this.snapSelect.value, 10);
+            this.render();
+        });
+        
+        this.positionSlider.addEventListener('input', () => {
+            this.seek(parseFloat(this.positionSlider.value));
+        });
+        
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hover = null;
+            this.dragStart = null;
+            this.render();
+        });
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        
+        const buttons = {
+            'editor-play-btn': () => this.togglePlay(),
+            'editor-playtest-btn': () => this.playtest(),
+            'editor-undo-btn': () => this.undo(),
+            'editor-redo-btn': () => this.redo(),
+            'editor-clear-btn': () => this.clear(),
+            'editor-import-btn': () => document.getElementById('editor-file-input').click(),
+            'editor-export-btn': () => this.exportChart(),
+            'editor-apply-btn': () => this.apply(),
+            'editor-close-btn': () => this.close()
+        };
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    e.currentTarget.blur(); // 防止空格键再次触发按钮
+                    handler();
+                });
+            }
+        });
+        
+        const fileInput = document.getElementById('editor-file-input');
+        if (fileInput) {
+            fileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                fileInput.value = '';
+                if (file) {
+                    await this.importFile(file);
+                }
+            });
+        }
+        
+        window.addEventListener('resize', () => {
+            if (this.isOpen) this.resize();
+        });
+    }
+    
+    /**
+     * 打开编辑器
+     * @param {Array} notes - 初始音符（会被复制）
+     * @param {Object} meta - 元数据 {title, artist, audio, lanes, bpm, offset, ...}
+     * @param {number} startTime - 初始时间
+     */
+    open(notes, meta, startTime = 0) {
+        if (!this.container) return;
+        
+        this.notes = notes.map(note => ({ ...note }));
+        this.sortNotes();
+        this.meta = { ...meta };
+        this.lanes = chartLoader.getLaneCount(meta);
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        const lastNote = this.notes.length > 0 ? this.getNoteEnd(this.notes[this.notes.length - 1]) : 0;
+        this.duration = Math.max(meta.duration || 0, lastNote + 5, 30);
+        this.positionSlider.max = this.duration;
+        
+        this.isOpen = true;
+        this.container.classList.remove('hidden');
+        document.addEventListener('keydown', this.handleKeyDown);
+        
+        this.resize();
+        this.seek(startTime);
+        this.updateStatus();
+        console.log(`✏️ 谱面编辑器已打开: ${this.notes.length} 个音符`);
+    }
+    
+    /**
+     * 关闭编辑器
+     */
+    close() {
+        if (!this.isOpen) return;
+        
+        this.stopPlayback();
+        this.isOpen = false;
+        this.container.classList.add('hidden');
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.onClose();
+        console.log('✏️ 谱面编辑器已关闭');
+    }
+    
+    /**
+     * 应用编辑结果并关闭
+     */
+    apply() {
+        this.onApply(this.getNotes(), { ...this.meta });
+        this.close();
+    }
+    
+    /**
+     * 从当前时间开始试玩
+     */
+    playtest() {
+        const startTime = this.viewTime;
+        const notes = this.getNotes();
+        this.stopPlayback();
+        this.isOpen = false;
+        this.container.classList.add('hidden');
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.onPlaytest(notes, startTime);
+    }
+    
+    /**
+     * 试玩结束后回到编辑器（保留编辑状态和撤销历史）
+     * @param {number} time - 返回时的时间
+     */
+    resume(time) {
+        if (!this.container) return;
+        
+        this.isOpen = true;
+        this.container.classList.remove('hidden');
+        document.addEventListener('keydown', this.handleKeyDown);
+        this.resize();
+        this.seek(time);
+    }
+    
+    /**
+     * 应用回调（供外部监听）
+     * @param {Array} notes
+     * @param {Object} meta
+     */
+    onApply(notes, meta) {
+        // 这个方法可以被 main.js 重写，例如: chartEditor.onApply = (notes, meta) => { ... }
+    }
+    
+    /**
+     * 试玩回调（供外部监听）
+     * @param {Array} notes
+     * @param {number} startTime
+     */
+    onPlaytest(notes, startTime) {
+        // 这个方法可以被 main.js 重写
+    }
+    
+    /**
+     * 关闭回调（供外部监听）
+     */
+    onClose() {
+        // 这个方法可以被 main.js 重写
+    }
+    
+    /**
+     * 获取音符副本（与 NoteManager.loadChart() 使用的结构相同）
+     * @returns {Array}
+     */
+    getNotes() {
+        return this.notes.map(note => ({ ...note }));
+    }
+    
+    // ==================== 编辑操作 ====================
+    
+    /**
+     * 在修改前记录历史
+     */
+    saveHistory() {
+        this.undoStack.push(JSON.stringify(this.notes));
+        if (this.undoStack.length > EDITOR_CONFIG.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+    
+    /**
+     * 撤销
+     */
+    undo() {
+        if (this.undoStack.length === 0) return;
+        this.redoStack.push(JSON.stringify(this.notes));
+        this.notes = JSON.parse(this.undoStack.pop());
+        this.updateStatus();
+        this.render();
+    }
+    
+    /**
+     * 重做
+     */
+    redo() {
+        if (this.redoStack.length === 0) return;
+        this.undoStack.push(JSON.stringify(this.notes));
+        this.notes = JSON.parse(this.redoStack.pop());
+        this.updateStatus();
+        this.render();
+    }
+    
+    /**
+     * 清空所有音符
+     */
+    clear() {
+        if (this.notes.length === 0) return;
+        this.saveHistory();
+        this.notes = [];
+        this.updateStatus();
+        this.render();
+    }
+    
+    /**
+     * 放置音符（与同轨道音符重叠时忽略）
+     * @param {number} track
+     * @param {number} time
+     * @param {number|null} endTime - 长按结束时间
+     * @returns {boolean} 是否放置成功
+     */
+    addNote(track, time, endTime = null) {
+        const end = endTime !== null ? endTime : time;
+        const overlaps = this.notes.some(note =>
+            note.track === track && note.time <= end + 0.001 && this.getNoteEnd(note) >= time - 0.001
+        );
+        if (overlaps || time < 0) return false;
+        
+        this.saveHistory();
+        const note = { track, time };
+        if (endTime !== null) {
+            note.endTime = endTime;
+        }
+        this.notes.push(note);
+        this.sortNotes();
+        this.updateStatus();
+        return true;
+    }
+    
+    /**
+     * 查找某个位置上的音符
+     * @param {number} track
+     * @param {number} time
+     * @returns {number} 音符索引，没有时返回 -1
+     */
+    findNote(track, time) {
+        const tolerance = this.getStepDuration(time) / 2;
+        return this.notes.findIndex(note =>
+            note.track === track &&
+            time >= note.time - tolerance &&
+            time <= this.getNoteEnd(note) + tolerance
+        );
+    }
+    
+    /**
+     * 删除音符
+     * @param {number} index
+     */
+    removeNote(index) {
+        this.saveHistory();
+        this.notes.splice(index, 1);
+        this.updateStatus();
+    }
+    
+    /**
+     * 按时间排序
+     */
+    sortNotes() {
+        this.notes.sort((a, b) => a.time - b.time || a.track - b.track);
+    }
+    
+    /**
+     * 音符结束时间（单键音符为 time）
+     * @param {Object} note
+     * @returns {number}
+     */
+    getNoteEnd(note) {
+        return note.endTime !== undefined ? note.endTime : note.time;
+    }
+    
+    // ==================== 导入/导出 ====================
+    
+    /**
+     * 导出为谱面文件并下载
+     */
+    exportChart() {
+        const chart = chartLoader.createChart(this.notes, this.meta);
+        const blob = new Blob([JSON.stringify(chart, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${(this.meta.title || 'chart').replace(/[\\/:*?"<>|]/g, '_')}.chart.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        
+        this.setStatus(`💾 已导出 ${chart.notes.length} 个音符`);
+    }
+    
+    /**
+     * 导入谱面文件或音符数组
+     * @param {File} file
+     */
+    async importFile(file) {
+        try {
+            const text = await file.text();
+            const notes = chartLoader.parseNotes(text, file.name, this.lanes);
+            this.saveHistory();
+            this.notes = notes;
+            this.sortNotes();
+            this.updateStatus();
+            this.render();
+            this.setStatus(`📂 已导入 ${notes.length} 个音符`);
+        } catch (error) {
+            console.error('❌ 导入失败:', error);
+            this.setStatus(`❌ ${error.message}`, true);
+        }
+    }
+    
+    // ==================== 播放与跳转 ====================
+    
+    /**
+     * 跳转到指定时间（同步音频位置）
+     * @param {number} time
+     */
+    seek(time) {
+        this.viewTime = Math.max(0, Math.min(time, this.duration));
+        if (audioManager.isLoaded) {
+            audioManager.seekTo(this.viewTime);
+        }
+        // 播放中跳转时重设本地计时基准
+        this.playStartTime = performance.now() - this.viewTime * 1000;
+        this.render();
+    }
+    
+    /**
+     * 播放/暂停预览
+     */
+    async togglePlay() {
+        if (this.isPlaying) {
+            this.stopPlayback();
+            return;
+        }
+        
+        this.isPlaying = true;
+        if (audioManager.isLoaded) {
+            audioManager.seekTo(this.viewTime);
+            await audioManager.play();
+        }
+        this.playStartTime = performance.now() - this.viewTime * 1000;
+        requestAnimationFrame(this.loop);
+    }
+    
+    /**
+     * 停止预览
+     */
+    stopPlayback() {
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+        if (audioManager.isLoaded) {
+            audioManager.pause();
+        }
+    }
+    
+    /**
+     * 预览播放循环
+     */
+    loop() {
+        if (!this.isPlaying) return;
+        
+        // 有音乐时跟随音频时间，否则使用本地计时
+        const time = audioManager.isLoaded
+            ? audioManager.getCurrentTime()
+            : (performance.now() - this.playStartTime) / 1000;
+        
+        if (time >= this.duration) {
+            this.stopPlayback();
+        }
+        this.viewTime = Math.min(time, this.duration);
+        this.render();
+        requestAnimationFrame(this.loop);
+    }
+    
+    // ==================== 坐标换算 ====================
+    
+    /**
+     * 某一时间处每个吸附格的时长（变速后会改变）
+     * @param {number} time
+     * @returns {number}
+     */
+    getStepDuration(time = this.viewTime) {
+        return conductor.getBeatDuration(time) / this.snap;
+    }
+    
+    /**
+     * 吸附到最近的网格
+     * @param {number} time
+     * @returns {number}
+     */
+    snapTime(time) {
+        return conductor.snapTime(time, this.snap);
+    }
+    
+    /**
+     * 从当前位置移动一个吸附格
+     * @param {number} direction - 1 向后，-1 向前
+     */
+    stepBy(direction) {
+        const step = Math.round(conductor.getBeatAt(this.viewTime) * this.snap) + direction;
+        this.seek(conductor.getTimeAtBeat(step / this.snap));
+    }
+    
+    /**
+     * 时间 -> 画布 y 坐标
+     * @param {number} time
+     * @returns {number}
+     */
+    timeToY(time) {
+        const judgeY = this.canvas.height - EDITOR_CONFIG.judgeLineOffset;
+        return judgeY - (time - this.viewTime) * this.pixelsPerSecond;
+    }
+    
+    /**
+     * 画布 y 坐标 -> 时间
+     * @param {number} y
+     * @returns {number}
+     */
+    yToTime(y) {
+        const judgeY = this.canvas.height - EDITOR_CONFIG.judgeLineOffset;
+        return this.viewTime + (judgeY - y) / this.pixelsPerSecond;
+    }
+    
+    /**
+     * 鼠标事件 -> 轨道和吸附后的时间
+     * @param {MouseEvent} e
+     * @returns {{track: number, time: number}}
+     */
+    getPointer(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+        const track = Math.max(0, Math.min(this.lanes - 1, Math.floor(x / (this.canvas.width / this.lanes))));
+        return { track, time: this.snapTime(this.yToTime(y)) };
+    }
+    
+    // ==================== 输入事件 ====================
+    
+    /**
+     * 按下鼠标：点中音符则删除，否则开始放置
+     * @param {MouseEvent} e
+     */
+    handleMouseDown(e) {
+        e.preventDefault();
+        const { track, time } = this.getPointer(e);
+        
+        const index = this.findNote(track, time);
+        if (index !== -1) {
+            this.removeNote(index);
+            this.render();
+            return;
+        }
+        
+        this.dragStart = { track, time };
+    }
+    
+    /**
+     * 移动鼠标：更新预览
+     * @param {MouseEvent} e
+     */
+    handleMouseMove(e) {
+        this.hover = this.getPointer(e);
+        this.render();
+    }
+    
+    /**
+     * 松开鼠标：拖动超过一格时放置长按，否则放置单键音符
+     * @param {MouseEvent} e
+     */
+    handleMouseUp(e) {
+        if (!this.dragStart) return;
+        
+        const { track, time } = this.dragStart;
+        const endTime = this.getPointer(e).time;
+        this.dragStart = null;
+        
+        if (endTime - time >= this.getStepDuration(time) - 0.001) {
+            this.addNote(track, time, endTime);
+        } else {
+            this.addNote(track, time);
+        }
+        this.render();
+    }
+    
+    /**
+     * 滚轮：按吸附格滚动时间轴，按住 Ctrl 缩放
+     * @param {WheelEvent} e
+     */
+    handleWheel(e) {
+        e.preventDefault();
+        
+        if (e.ctrlKey) {
+            const factor = e.deltaY < 0 ? 1.2 : 1 / 1.2;
+            this.pixelsPerSecond = Math.max(EDITOR_CONFIG.minZoom,
+                Math.min(EDITOR_CONFIG.maxZoom, this.pixelsPerSecond * factor));
+            this.render();
+            return;
+        }
+        
+        if (this.isPlaying) return;
+        this.stepBy(e.deltaY < 0 ? 1 : -1);
+    }
+    
+    /**
+     * 编辑器快捷键
+     * @param {KeyboardEvent} e
+     */
+    handleKeyDown(e) {
+        // 输入框中不处理快捷键
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT')) return;
+        
+        const ctrl = e.ctrlKey || e.metaKey;
+        
+        if (e.code === 'Space') {
+            e.preventDefault();
+            this.togglePlay();
+        } else if (ctrl && e.code === 'KeyZ' && e.shiftKey) {
+            e.preventDefault();
+            this.redo();
+        } else if (ctrl && e.code === 'KeyZ') {
+            e.preventDefault();
+            this.undo();
+        } else if (ctrl && e.code === 'KeyY') {
+            e.preventDefault();
+            this.redo();
+        } else if (ctrl && e.code === 'KeyS') {
+            e.preventDefault();
+            this.exportChart();
+        } else if (e.code === 'KeyP') {
+            e.preventDefault();
+            this.playtest();
+        } else if (e.code === 'ArrowUp' || e.code === 'ArrowDown') {
+            e.preventDefault();
+            if (!this.isPlaying) {
+                this.stepBy(e.code === 'ArrowUp' ? 1 : -1);
+            }
+        } else if (e.code === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+    
+    // ==================== 渲染 ====================
+    
+    /**
+     * 根据容器大小调整画布
+     */
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        this.canvas.width = Math.max(1, Math.floor(rect.width));
+        this.canvas.height = Math.max(1, Math.floor(rect.height));
+        this.render();
+    }
+    
+    /**
+     * 绘制时间轴
+     */
+    render() {
+        if (!this.ctx || !this.isOpen) return;
+        
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const laneWidth = width / this.lanes;
+        
+        ctx.clearRect(0, 0, width, height);
+        
+        // 轨道分隔线
+        ctx.strokeStyle = 'rgba(0, 255, 255, 0.25)';
+        ctx.lineWidth = 1;
+        for (let lane = 1; lane < this.lanes; lane++) {
+            ctx.beginPath();
+            ctx.moveTo(lane * laneWidth, 0);
+            ctx.lineTo(lane * laneWidth, height);
+            ctx.stroke();
+        }
+        
+        this.renderGrid(ctx, width, height);
+        this.renderNotes(ctx, laneWidth);
+        
+        // 悬停 / 拖动预览
+        if (this.hover) {
+            const start = this.dragStart || this.hover;
+            const y1 = this.timeToY(start.time);
+            const y2 = this.dragStart ? this.timeToY(Math.max(this.hover.time, start.time)) : y1;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+            ctx.fillRect(start.track * laneWidth + 6, y2 - EDITOR_CONFIG.noteHeight / 2,
+                laneWidth - 12, y1 - y2 + EDITOR_CONFIG.noteHeight);
+        }
+        
+        // 当前时间线
+        const judgeY = height - EDITOR_CONFIG.judgeLineOffset;
+        ctx.strokeStyle = '#ffff00';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(0, judgeY);
+        ctx.lineTo(width, judgeY);
+        ctx.stroke();
+        
+        if (this.timeLabel) {
+            const position = conductor.getTimingMap().getMeasurePosition(conductor.getBeatAt(this.viewTime));
+            this.timeLabel.textContent = `${this.viewTime.toFixed(3)}s · 第 ${position.measure + 1} 小节 · ${Math.round(conductor.getBPM(this.viewTime))} BPM`;
+        }
+        if (this.positionSlider && document.activeElement !== this.positionSlider) {
+            this.positionSlider.value = this.viewTime;
+        }
+    }
+    
+    /**
+     * 绘制节拍网格（小节线 > 拍线 > 吸附线）
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} width
+     * @param {number} height
+     */
+    renderGrid(ctx, width, height) {
+        const timing = conductor.getTimingMap();
+        
+        // 按拍子遍历，变速、停顿和拍号变化后网格仍然对齐
+        const firstStep = Math.ceil(timing.timeToBeat(this.yToTime(height)) * this.snap);
+        const lastStep = Math.floor(timing.timeToBeat(this.yToTime(0)) * this.snap);
+        
+        for (let i = firstStep; i <= lastStep; i++) {
+            const beat = i / this.snap;
+            const y = this.timeToY(timing.beatToTime(beat));
+            const position = timing.getMeasurePosition(beat);
+            const isBeat = i % this.snap === 0;
+            const isMeasure = position.beat < 1e-6;
+            
+            if (isMeasure) {
+                ctx.strokeStyle = 'rgba(255, 0, 255, 0.8)';
+                ctx.lineWidth = 2;
+            } else if (isBeat) {
+                ctx.strokeStyle = 'rgba(0, 255, 255, 0.5)';
+                ctx.lineWidth = 1;
+            } else {
+                ctx.strokeStyle = 'rgba(0, 255, 255, 0.15)';
+                ctx.lineWidth = 1;
+            }
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+            
+            if (isMeasure) {
+                ctx.fillStyle = 'rgba(255, 0, 255, 0.8)';
+                ctx.font = '12px Courier New';
+                ctx.fillText(`${position.measure + 1}`, 4, y - 4);
+            }
+        }
+    }
+    
+    /**
+     * 绘制音符
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} laneWidth
+     */
+    renderNotes(ctx, laneWidth) {
+        const height = this.canvas.height;
+        const noteHeight = EDITOR_CONFIG.noteHeight;
+        
+        this.notes.forEach(note => {
+            const y = this.timeToY(note.time);
+            const endY = this.timeToY(this.getNoteEnd(note));
+            if (y < -noteHeight || endY > height + noteHeight) return;
+            
+            const x = note.track * laneWidth + 6;
+            
+            // 长按身体
+            if (note.endTime !== undefined) {
+                ctx.fillStyle = 'rgba(255, 0, 255, 0.45)';
+                ctx.fillRect(x + laneWidth * 0.25, endY, laneWidth * 0.5 - 12, y - endY);
+            }
+            
+            ctx.fillStyle = note.time <= this.viewTime ? '#888' : '#ff00ff';
+            ctx.fillRect(x, y - noteHeight / 2, laneWidth - 12, noteHeight);
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x, y - noteHeight / 2, laneWidth - 12, noteHeight);
+        });
+    }
+    
+    /**
+     * 更新音符数量和撤销状态
+     */
+    updateStatus() {
+        const holds = this.notes.filter(note => note.endTime !== undefined).length;
+        this.setStatus(`${this.notes.length} 个音符（长按 ${holds}）`);
+    }
+    
+    /**
+     * 设置状态栏文字
+     * @param {string} text
+     * @param {boolean} isError
+     */
+    setStatus(text, isError = false) {
+        const status = document.getElementById('editor-status');
+        if (status) {
+            status.textContent = text;
+            status.classList.toggle('error', isError);
+        }
+    }
+}
+
+// 创建全局实例
+const chartEditor = new ChartEditor();
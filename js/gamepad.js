@@ -0,0 +1,603 @@
+/**
+ * Gamepad - 手柄与街机控制器输入
+ * 每帧轮询 Gamepad API，检测按钮/摇杆的按下与松开，经 inputManager 的同一路径触发判定
+ * 每个控制器（按 gamepad.id 区分）、每种键数可以单独设置按钮映射
+ */
+
+// 保存手柄映射的 localStorage 键
+const GAMEPAD_STORAGE_KEY = 'fingerflow-gamepad';
+
+// 摇杆超过该值视为按下
+const GAMEPAD_AXIS_THRESHOLD = 0.5;
+
+// 每种键数的默认映射（标准布局）：十字键 ←↓ + LB/LT 给左手，A/B + RT/RB 给右手，Start 暂停
+// 5K / 7K 的中间轨道为十字键 ↑ 和 Y，6K / 7K 加入十字键 → 和 X
+// 输入名称：b<序号> 为按钮，a<序号>+ / a<序号>- 为摇杆轴的正/负方向
+const DEFAULT_GAMEPAD_MAPPINGS = {
+    4: { tracks: [['b14', 'b4'], ['b13', 'b6'], ['b0', 'b7'], ['b1', 'b5']], start: ['b9'] },
+    5: { tracks: [['b14', 'b4'], ['b13', 'b6'], ['b12', 'b3'], ['b0', 'b7'], ['b1', 'b5']], start: ['b9'] },
+    6: { tracks: [['b14', 'b4'], ['b13', 'b6'], ['b15'], ['b2'], ['b0', 'b7'], ['b1', 'b5']], start: ['b9'] },
+    7: { tracks: [['b14', 'b4'], ['b13', 'b6'], ['b15'], ['b12', 'b3'], ['b2'], ['b0', 'b7'], ['b1', 'b5']], start: ['b9'] }
+};
+
+// 标准布局的按钮名称
+const STANDARD_BUTTON_LABELS = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT',
+    'Back', 'Start', 'LS', 'RS', '↑', '↓', '←', '→', 'Home'
+];
+
+/**
+ * 手柄输入
+ */
+class GamepadInput {
+    constructor() {
+        this.mappings = this.load();   // gamepad.id -> {键数 -> {tracks, start}}
+        this.states = new Map();       // gamepad.index -> 上一次轮询时按下的输入 Set
+        this.captureHandler = null;    // 设置界面等待按键时接管所有新按下的输入
+    }
+    
+    /**
+     * 从 localStorage 读取所有控制器的映射（无效的映射会被忽略）
+     * 旧版本每个控制器只保存了一份 4K 映射
+     * @returns {Object}
+     */
+    load() {
+        const mappings = {};
+        try {
+            const saved = JSON.parse(localStorage.getItem(GAMEPAD_STORAGE_KEY) || '{}');
+            Object.entries(saved).forEach(([id, entry]) => {
+                const sets = entry && Array.isArray(entry.tracks) ? { [DEFAULT_LANE_COUNT]: entry } : (entry || {});
+                Object.entries(sets).forEach(([count, mapping]) => {
+                    if (DEFAULT_GAMEPAD_MAPPINGS[count] && this.validateMapping(mapping, Number(count)) === null) {
+                        mappings[id] = mappings[id] || {};
+                        mappings[id][count] = mapping;
+                    }
+                });
+            });
+        } catch (error) {
+            console.warn('⚠️ 手柄映射读取失败:', error);
+        }
+        return mappings;
+    }
+    
+    /**
+     * 检查映射
+     * @param {*} mapping
+     * @param {number} laneCount - 键数，默认为当前键数
+     * @returns {string|null} 错误信息，有效时返回 null
+     */
+    validateMapping(mapping, laneCount = inputManager.laneCount) {
+        if (!mapping || !Array.isArray(mapping.tracks) || mapping.tracks.length !== laneCount) {
+            return `需要 ${laneCount} 条轨道的映射`;
+        }
+        if (!Array.isArray(mapping.start)) {
+            return '缺少暂停按钮';
+        }
+        
+        const used = new Set();
+        const groups = [...mapping.tracks.map((inputs, track) => [inputs, `轨道 ${track + 1}`]), [mapping.start, '暂停']];
+        for (const [inputs, name] of groups) {
+            if (!Array.isArray(inputs) || inputs.some(input => typeof input !== 'string' || !/^(b\d+|a\d+[+-])$/.test(input))) {
+                return `${name} 的映射无效`;
+            }
+            for (const input of inputs) {
+                if (used.has(input)) {
+                    return `${formatGamepadInput(input)} 映射了多个功能`;
+                }
+                used.add(input);
+            }
+        }
+        if (mapping.tracks.some(inputs => inputs.length === 0)) {
+            return '每条轨道至少需要一个按钮';
+        }
+        return null;
+    }
+    
+    /**
+     * 某个控制器在当前键数下是否保存过映射
+     * @param {string} id - gamepad.id
+     * @returns {boolean}
+     */
+    hasMapping(id) {
+        return Boolean(this.mappings[id] && this.mappings[id][inputManager.laneCount]);
+    }
+    
+    /**
+     * 获取某个控制器在当前键数下使用的映射（不复制，轮询时使用）
+     * @param {string} id - gamepad.id
+     * @returns {{tracks: string[][], start: string[]}}
+     */
+    findMapping(id) {
+        return this.hasMapping(id) ? this.mappings[id][inputManager.laneCount] : DEFAULT_GAMEPAD_MAPPINGS[inputManager.laneCount];
+    }
+    
+    /**
+     * 获取某个控制器在当前键数下的映射（没有保存过时为默认映射，返回副本）
+     * @param {string} id - gamepad.id
+     * @returns {{tracks: string[][], start: string[]}}
+     */
+    getMapping(id) {
+        const mapping = this.findMapping(id);
+        return {
+            tracks: mapping.tracks.map(inputs => [...inputs]),
+            start: [...mapping.start]
+        };
+    }
+    
+    /**
+     * 保存某个控制器在当前键数下的映射
+     * @param {string} id - gamepad.id
+     * @param {{tracks: string[][], start: string[]}} mapping
+     * @throws {Error} 映射无效时
+     */
+    setMapping(id, mapping) {
+        const error = this.validateMapping(mapping);
+        if (error) {
+            throw new Error(`手柄映射: ${error}`);
+        }
+        
+        this.mappings[id] = this.mappings[id] || {};
+        this.mappings[id][inputManager.laneCount] = {
+            tracks: mapping.tracks.map(inputs => [...inputs]),
+            start: [...mapping.start]
+        };
+        try {
+            localStorage.setItem(GAMEPAD_STORAGE_KEY, JSON.stringify(this.mappings));
+        } catch (error) {
+            console.warn('⚠️ 手柄映射保存失败:', error);
+        }
+        console.log(`🎮 手柄映射已保存 (${LANE_LAYOUTS[inputManager.laneCount].label}): ${id}`);
+    }
+    
+    /**
+     * 获取已连接的控制器
+     * @returns {Gamepad[]}
+     */
+    getGamepads() {
+        if (!navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads()).filter(Boolean);
+    }
+    
+    /**
+     * 读取控制器当前按下的输入
+     * @param {Gamepad} gamepad
+     * @returns {Set<string>}
+     */
+    readInputs(gamepad) {
+        const inputs = new Set();
+        gamepad.buttons.forEach((button, index) => {
+            if (button.pressed || button.value > GAMEPAD_AXIS_THRESHOLD) {
+                inputs.add(`b${index}`);
+            }
+        });
+        gamepad.axes.forEach((value, index) => {
+            if (value > GAMEPAD_AXIS_THRESHOLD) inputs.add(`a${index}+`);
+            if (value < -GAMEPAD_AXIS_THRESHOLD) inputs.add(`a${index}-`);
+        });
+        return inputs;
+    }
+    
+    /**
+     * 轮询所有控制器（在游戏主循环中每帧调用）
+     * 与上一次轮询比较得到按下/松开的边沿，松开先于按下处理
+     */
+    poll() {
+        const gamepads = this.getGamepads();
+        const connected = new Set(gamepads.map(gamepad => gamepad.index));
+        
+        // 断开的控制器视为全部松开
+        this.states.forEach((inputs, index) => {
+            if (!connected.has(index)) {
+                inputs.forEach(input => this.release(index, input, performance.now()));
+                this.states.delete(index);
+            }
+        });
+        
+        gamepads.forEach(gamepad => {
+            const inputs = this.readInputs(gamepad);
+            const previous = this.states.get(gamepad.index) || new Set();
+            this.states.set(gamepad.index, inputs);
+            
+            // 数据更新的时间与 performance.now() 同一时间基准，比轮询的时间更接近真实按下时间
+            const now = performance.now();
+            const timeStamp = gamepad.timestamp > 0 && gamepad.timestamp <= now ? gamepad.timestamp : now;
+            const mapping = this.findMapping(gamepad.id);
+            
+            previous.forEach(input => {
+                if (!inputs.has(input)) this.release(gamepad.index, input, timeStamp);
+            });
+            inputs.forEach(input => {
+                if (previous.has(input)) return;
+                if (this.captureHandler) {
+                    this.captureHandler(gamepad, input);
+                } else {
+                    this.press(gamepad.index, mapping, input, timeStamp);
+                }
+            });
+        });
+    }
+    
+    /**
+     * 处理按下的输入
+     * @param {number} index - gamepad.index
+     * @param {Object} mapping
+     * @param {string} input
+     * @param {number} timeStamp - performance 时间（毫秒）
+     */
+    press(index, mapping, input, timeStamp) {
+        const track = mapping.tracks.findIndex(inputs => inputs.includes(input));
+        if (track !== -1) {
+            inputManager.activateTrack(track, timeStamp, `pad${index}:${input}`);
+        } else if (mapping.start.includes(input)) {
+            this.onStart();
+        }
+    }
+    
+    /**
+     * 处理松开的输入（设置界面接管期间按下的输入没有激活轨道，松开时不会触发回调）
+     * @param {number} index - gamepad.index
+     * @param {string} input
+     * @param {number} timeStamp - performance 时间（毫秒）
+     */
+    release(index, input, timeStamp) {
+        // 按下后映射可能已经改变（或控制器已断开），逐条轨道尝试松开，只有按住它的轨道会响应
+        inputManager.trackStates.forEach((state, track) => {
+            inputManager.deactivateTrack(track, timeStamp, `pad${index}:${input}`);
+        });
+    }
+    
+    /**
+     * Start 按钮回调（供外部监听）
+     */
+    onStart() {
+        // 这个方法可以被 main.js 重写，用于暂停/继续
+    }
+}
+
+/**
+ * 手柄映射设置界面
+ */
+class GamepadBindingScreen {
+    constructor() {
+        this.isOpen = false;
+        this.gamepadId = null;        // 正在设置的控制器
+        this.draft = null;            // 编辑中的映射 {tracks, start}
+        this.listening = null;        // 正在等待按钮的项目：轨道索引或 'start'
+        this.animationId = null;
+        
+        // DOM 元素
+        this.container = null;
+        this.select = null;
+        this.rows = null;
+        this.mode = null;
+        this.status = null;
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleCapture = this.handleCapture.bind(this);
+        this.poll = this.poll.bind(this);
+    }
+    
+    /**
+     * 获取 DOM 元素并绑定事件（DOM 加载完成后调用一次）
+     */
+    setup() {
+        this.container = document.getElementById('gamepad-binding');
+        if (!this.container) return;
+        
+        this.select = document.getElementById('gamepad-select');
+        this.rows = document.getElementById('gamepad-rows');
+        this.mode = document.getElementById('gamepad-mode');
+        this.status = document.getElementById('gamepad-status');
+        
+        if (this.select) {
+            this.select.addEventListener('change', () => {
+                this.selectGamepad(this.select.value);
+                this.select.blur();
+            });
+        }
+        
+        const buttons = {
+            'gamepad-reset-btn': () => {
+                this.draft = this.copyMapping(DEFAULT_GAMEPAD_MAPPINGS[inputManager.laneCount]);
+                this.listening = null;
+                this.render();
+                this.setStatus('已恢复默认映射（保存后生效）');
+            },
+            'gamepad-save-btn': () => this.save(),
+            'gamepad-close-btn': () => this.close()
+        };
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    // 避免按钮保持焦点后被空格键再次触发
+                    e.currentTarget.blur();
+                    handler();
+                });
+            }
+        });
+        
+        // 控制器连接/断开时刷新列表
+        window.addEventListener('gamepadconnected', (e) => {
+            console.log(`🎮 手柄已连接: ${e.gamepad.id}`);
+            if (this.isOpen) this.updateGamepadList();
+        });
+        window.addEventListener('gamepaddisconnected', (e) => {
+            console.log(`🎮 手柄已断开: ${e.gamepad.id}`);
+            if (this.isOpen) this.updateGamepadList();
+        });
+    }
+    
+    /**
+     * 打开映射设置
+     */
+    open() {
+        if (!this.container) return;
+        
+        this.isOpen = true;
+        this.gamepadId = null;
+        this.draft = null;
+        this.listening = null;
+        if (this.mode) {
+            this.mode.textContent = `（${LANE_LAYOUTS[inputManager.laneCount].label}）`;
+        }
+        this.container.classList.remove('hidden');
+        document.addEventListener('keydown', this.handleKeyDown);
+        gamepadInput.captureHandler = this.handleCapture;
+        this.updateGamepadList();
+        this.animationId = requestAnimationFrame(this.poll);
+        console.log('🎮 手柄设置已打开');
+    }
+    
+    /**
+     * 关闭映射设置（未保存的修改会被丢弃）
+     */
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.listening = null;
+        cancelAnimationFrame(this.animationId);
+        this.animationId = null;
+        gamepadInput.captureHandler = null;
+        this.container.classList.add('hidden');
+        document.removeEventListener('keydown', this.handleKeyDown);
+        console.log('🎮 手柄设置已关闭');
+    }
+    
+    /**
+     * 保存当前控制器的映射并关闭
+     */
+    save() {
+        if (!this.gamepadId) {
+            this.setStatus('没有检测到手柄', true);
+            return;
+        }
+        try {
+            gamepadInput.setMapping(this.gamepadId, this.draft);
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return;
+        }
+        this.close();
+    }
+    
+    /**
+     * 设置界面打开期间持续轮询（只用于等待按钮）
+     */
+    poll() {
+        if (!this.isOpen) return;
+        gamepadInput.poll();
+        this.animationId = requestAnimationFrame(this.poll);
+    }
+    
+    /**
+     * 刷新控制器列表（保持当前选择）
+     */
+    updateGamepadList() {
+        const gamepads = gamepadInput.getGamepads();
+        if (this.select) {
+            this.select.innerHTML = '';
+            gamepads.forEach(gamepad => {
+                const option = document.createElement('option');
+                option.value = gamepad.id;
+                option.textContent = `${gamepad.index + 1}. ${gamepad.id}`;
+                this.select.appendChild(option);
+            });
+        }
+        
+        if (gamepads.length === 0) {
+            this.gamepadId = null;
+            this.draft = null;
+            this.render();
+            this.setStatus('没有检测到手柄：连接后按任意按钮唤醒（浏览器要求先有一次按键）');
+            return;
+        }
+        
+        const current = gamepads.find(gamepad => gamepad.id === this.gamepadId);
+        if (current && this.select) {
+            this.select.value = current.id;
+        } else {
+            this.selectGamepad(gamepads[0].id);
+        }
+    }
+    
+    /**
+     * 切换正在设置的控制器
+     * @param {string} id - gamepad.id
+     */
+    selectGamepad(id) {
+        this.gamepadId = id;
+        this.draft = gamepadInput.getMapping(id);
+        this.listening = null;
+        if (this.select) this.select.value = id;
+        this.render();
+        this.setStatus(gamepadInput.hasMapping(id) ? '' : '该手柄使用默认映射');
+    }
+    
+    /**
+     * 开始等待某个项目的新按钮（再次点击取消）
+     * @param {number|string} target - 轨道索引或 'start'
+     */
+    listen(target) {
+        this.listening = this.listening === target ? null : target;
+        this.render();
+        this.setStatus(this.listening !== null ? `请按下${this.getTargetName(target)}的新按钮（Esc 取消）` : '');
+    }
+    
+    /**
+     * 设置界面接管的新按下输入
+     * @param {Gamepad} gamepad
+     * @param {string} input
+     */
+    handleCapture(gamepad, input) {
+        if (this.listening === null || gamepad.id !== this.gamepadId) return;
+        
+        const target = this.listening;
+        const label = formatGamepadInput(input, gamepad.mapping === 'standard');
+        const inputs = target === 'start' ? this.draft.start : this.draft.tracks[target];
+        const owner = [...this.draft.tracks.map((list, track) => [list, track]), [this.draft.start, 'start']]
+            .find(([list]) => list.includes(input));
+        
+        if (owner && owner[1] === target) {
+            this.setStatus(`${label} 已经映射到${this.getTargetName(target)}`);
+        } else if (owner) {
+            this.setStatus(`${label} 已经映射到${this.getTargetName(owner[1])}，请先移除`, true);
+        } else {
+            inputs.push(input);
+            this.setStatus(`${this.getTargetName(target)}添加了 ${label}`);
+        }
+        
+        this.listening = null;
+        this.render();
+    }
+    
+    /**
+     * 移除映射
+     * @param {number|string} target - 轨道索引或 'start'
+     * @param {string} input
+     */
+    removeInput(target, input) {
+        if (target === 'start') {
+            this.draft.start = this.draft.start.filter(item => item !== input);
+        } else {
+            this.draft.tracks[target] = this.draft.tracks[target].filter(item => item !== input);
+        }
+        this.render();
+    }
+    
+    /**
+     * 键盘事件：ESC 取消等待或关闭
+     * @param {KeyboardEvent} e
+     */
+    handleKeyDown(e) {
+        if (e.code !== 'Escape' && e.keyCode !== 27) return;
+        
+        e.preventDefault();
+        if (this.listening !== null) {
+            this.listen(this.listening);
+        } else {
+            this.close();
+        }
+    }
+    
+    /**
+     * 项目名称
+     * @param {number|string} target
+     * @returns {string}
+     */
+    getTargetName(target) {
+        return target === 'start' ? '暂停' : `轨道 ${target + 1}`;
+    }
+    
+    /**
+     * 复制映射
+     * @param {Object} mapping
+     * @returns {{tracks: string[][], start: string[]}}
+     */
+    copyMapping(mapping) {
+        return {
+            tracks: mapping.tracks.map(inputs => [...inputs]),
+            start: [...mapping.start]
+        };
+    }
+    
+    /**
+     * 绘制每个项目的映射列表
+     */
+    render() {
+        if (!this.rows) return;
+        
+        this.rows.innerHTML = '';
+        if (!this.draft) return;
+        
+        const gamepad = gamepadInput.getGamepads().find(item => item.id === this.gamepadId);
+        const standard = !gamepad || gamepad.mapping === 'standard';
+        const targets = [...this.draft.tracks.map((inputs, track) => [track, inputs]), ['start', this.draft.start]];
+        
+        targets.forEach(([target, inputs]) => {
+            const row = document.createElement('div');
+            row.className = 'keybinding-lane';
+            row.classList.toggle('listening', this.listening === target);
+            
+            const name = document.createElement('span');
+            name.className = 'keybinding-track';
+            name.textContent = this.getTargetName(target);
+            row.appendChild(name);
+            
+            inputs.forEach(input => {
+                const key = document.createElement('button');
+                key.className = 'keybinding-key';
+                key.textContent = `${formatGamepadInput(input, standard)} ✕`;
+                key.title = '移除';
+                key.addEventListener('click', (e) => {
+                    e.currentTarget.blur();
+                    this.removeInput(target, input);
+                });
+                row.appendChild(key);
+            });
+            
+            const add = document.createElement('button');
+            add.className = 'game-button small secondary';
+            add.textContent = this.listening === target ? '请按按钮…' : '＋ 添加';
+            add.addEventListener('click', (e) => {
+                e.currentTarget.blur();
+                this.listen(target);
+            });
+            row.appendChild(add);
+            
+            this.rows.appendChild(row);
+        });
+    }
+    
+    /**
+     * 设置状态文字
+     * @param {string} text
+     * @param {boolean} isError
+     */
+    setStatus(text, isError = false) {
+        if (this.status) {
+            this.status.textContent = text;
+            this.status.classList.toggle('error', isError);
+        }
+    }
+}
+
+/**
+ * 手柄输入的显示名称
+ * @param {string} input - b<序号> / a<序号>+ / a<序号>-
+ * @param {boolean} standard - 是否为标准布局（可以显示按钮名称）
+ * @returns {string}
+ */
+function formatGamepadInput(input, standard = true) {
+    const axis = input.match(/^a(\d+)([+-])$/);
+    if (axis) {
+        return `轴${axis[1]}${axis[2]}`;
+    }
+    const index = parseInt(input.slice(1), 10);
+    return standard && STANDARD_BUTTON_LABELS[index] ? STANDARD_BUTTON_LABELS[index] : `按钮${index}`;
+}
+
+// 创建全局实例
+const gamepadInput = new GamepadInput();
+const gamepadBindingScreen = new GamepadBindingScreen();
@@ -0,0 +1,114 @@
+/**
+ * Gauge - 血条
+ * MISS 扣血、击中回血，血条耗尽时失败；普通 / 困难 / 生存三种类型
+ */
+
+// 血条参数
+const GAUGE_CONFIG = {
+    max: 100,
+    dangerLevel: 30,        // 低于该值时显示为危险
+    fadeOutTime: 1.5        // 失败后音乐淡出的时长（秒）
+};
+
+// 血条类型（localStorage）
+const GAUGE_STORAGE_KEY = 'fingerflow-gauge';
+
+// 各判定的血量变化
+const GAUGE_TYPES = {
+    NORMAL: { label: '普通', changes: { PERFECT: 1, GREAT: 0.5, GOOD: 0, MISS: -4 } },
+    HARD: { label: '困难', changes: { PERFECT: 0.3, GREAT: 0.1, GOOD: -1, MISS: -10 } },
+    SURVIVAL: { label: '生存（不回血）', changes: { PERFECT: 0, GREAT: 0, GOOD: -1, MISS: -10 } }
+};
+
+const DEFAULT_GAUGE_TYPE = 'NORMAL';
+
+/**
+ * 血条
+ */
+class LifeGauge {
+    constructor() {
+        this.type = this.loadType();
+        this.value = GAUGE_CONFIG.max;
+        this.failed = false;          // 本局血条是否耗尽过
+        
+        // DOM 元素
+        this.container = null;
+        this.fill = null;
+    }
+    
+    /**
+     * 获取 DOM 元素（DOM 加载完成后调用一次）
+     */
+    setup() {
+        this.container = document.getElementById('life-gauge');
+        this.fill = document.getElementById('life-gauge-fill');
+        this.render();
+    }
+    
+    /**
+     * 从 localStorage 读取血条类型
+     * @returns {string}
+     */
+    loadType() {
+        try {
+            const saved = localStorage.getItem(GAUGE_STORAGE_KEY);
+            if (GAUGE_TYPES[saved]) return saved;
+        } catch (error) {
+            console.warn('⚠️ 血条类型读取失败:', error);
+        }
+        return DEFAULT_GAUGE_TYPE;
+    }
+    
+    /**
+     * 设置并保存血条类型
+     * @param {string} type - GAUGE_TYPES 的键
+     */
+    setType(type) {
+        if (!GAUGE_TYPES[type]) return;
+        
+        this.type = type;
+        try {
+            localStorage.setItem(GAUGE_STORAGE_KEY, type);
+        } catch (error) {
+            console.warn('⚠️ 血条类型保存失败:', error);
+        }
+        this.render();
+        console.log(`❤️ 血条: ${GAUGE_TYPES[type].label}`);
+    }
+    
+    /**
+     * 回满血条
+     */
+    reset() {
+        this.value = GAUGE_CONFIG.max;
+        this.failed = false;
+        this.render();
+    }
+    
+    /**
+     * 按判定结果增减血量
+     * @param {string} judgment - 判定结果
+     */
+    apply(judgment) {
+        const change = GAUGE_TYPES[this.type].changes[judgment];
+        this.value = Math.max(0, Math.min(GAUGE_CONFIG.max, this.value + change));
+        if (this.value <= 0) {
+            this.failed = true;
+        }
+        this.render();
+    }
+    
+    /**
+     * 更新血条显示
+     */
+    render() {
+        if (!this.container || !this.fill) return;
+        
+        this.container.className = `life-gauge ${this.type.toLowerCase()}`;
+        this.container.classList.toggle('danger', this.value < GAUGE_CONFIG.dangerLevel);
+        this.fill.style.height = `${this.value / GAUGE_CONFIG.max * 100}%`;
+    }
+}
+
+// 创建全局实例
+const lifeGauge = new LifeGauge();
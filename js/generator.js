@@ -0,0 +1,224 @@
+/**
+ * Generator - 可复现的谱面生成器
+ * 使用带种子的伪随机数，相同的种子 + 难度总能生成完全相同的谱面
+ */
+
+// 难度配置
+// subdivisions: 允许使用的细分（1 = 四分音符，2 = 八分音符，4 = 十六分音符）
+// density: 基础出音概率；chordRate: 双押概率；holdRate: 长按概率
+// onset: 起音检测生成谱面时使用的参数（见 ONSET_CHART_DEFAULTS）
+const DIFFICULTIES = {
+    EASY: {
+        name: 'Easy',
+        subdivisions: [1],
+        density: 0.5,
+        chordRate: 0.05,
+        holdRate: 0.1,
+        onset: { minStrength: 2.0, minGap: 0.3, laneGap: 0.45, chordStrength: 0.98 }
+    },
+    NORMAL: {
+        name: 'Normal',
+        subdivisions: [1, 2],
+        density: 0.6,
+        chordRate: 0.15,
+        holdRate: 0.1,
+        onset: { minStrength: 1.5, minGap: 0.18, laneGap: 0.3, chordStrength: 0.93 }
+    },
+    HARD: {
+        name: 'Hard',
+        subdivisions: [1, 2, 4],
+        density: 0.65,
+        chordRate: 0.25,
+        holdRate: 0.08,
+        onset: { minStrength: 1.0, minGap: 0.11, laneGap: 0.2, chordStrength: 0.85 }
+    },
+    EXPERT: {
+        name: 'Expert',
+        subdivisions: [1, 2, 4],
+        density: 0.8,
+        chordRate: 0.35,
+        holdRate: 0.06,
+        onset: { minStrength: 0.6, minGap: 0.07, laneGap: 0.14, chordStrength: 0.75 }
+    }
+};
+
+// 默认难度
+const DEFAULT_DIFFICULTY = 'NORMAL';
+
+// 不同位置的出音权重（小节第一拍最强）
+const BEAT_WEIGHTS = {
+    downbeat: 1.0,
+    beat: 0.85,
+    eighth: 0.55,
+    sixteenth: 0.35
+};
+
+/**
+ * 带种子的伪随机数生成器（mulberry32）
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - 32 位整数种子
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    
+    /**
+     * 返回 [0, 1) 之间的随机数
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * 返回 [0, max) 之间的随机整数
+     * @param {number} max
+     * @returns {number}
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+    
+    /**
+     * 以给定概率返回 true
+     * @param {number} probability - 0-1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+    
+    /**
+     * 从数组中随机取一个元素
+     * @param {Array} items
+     * @returns {*}
+     */
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+}
+
+/**
+ * 生成一个新的随机种子（6 位数字，方便记录和分享）
+ * @returns {number}
+ */
+function createRandomSeed() {
+    return 100000 + Math.floor(Math.random() * 900000);
+}
+
+/**
+ * 获取难度配置
+ * @param {string} difficulty - 难度键名（EASY/NORMAL/HARD/EXPERT）
+ * @returns {Object}
+ */
+function getDifficulty(difficulty) {
+    return DIFFICULTIES[difficulty] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+}
+
+/**
+ * 节拍网格谱面生成器
+ */
+class ChartGenerator {
+    /**
+     * 按 BPM 网格生成谱面
+     * @param {Object} options
+     * @param {number} options.seed - 随机种子
+     * @param {string} options.difficulty - 难度键名
+     * @param {TimingMap} options.timing - 时间点表（变速、停顿、拍号）
+     * @param {number} options.duration - 歌曲时长（秒）
+     * @param {number} options.startTime - 最早的音符时间（秒），从之后的第一个网格开始
+     * @param {number} options.endPadding - 结束前留空的时间（秒）
+     * @param {number} options.lanes - 键数（轨道数量）
+     * @returns {Array} 谱面数据 [{track, time, endTime?}, ...]
+     */
+    generate({ seed, difficulty, timing, duration, startTime = 2.0, endPadding = 1.0, lanes = DEFAULT_LANE_COUNT }) {
+        const random = new SeededRandom(seed);
+        const config = getDifficulty(difficulty);
+        const chart = [];
+        
+        const finest = Math.max(...config.subdivisions);
+        const endTime = duration - endPadding;
+        const firstStep = Math.ceil(timing.timeToBeat(startTime) * finest - 1e-6);
+        
+        // 每条轨道被长按占用到的时间
+        const laneBusyUntil = new Array(lanes).fill(0);
+        let lastTrack = -1;
+        
+        for (let step = firstStep; ; step++) {
+            // 用步数计算拍子，避免浮点累加误差
+            const beat = step / finest;
+            const time = timing.beatToTime(beat);
+            if (time >= endTime) break;
+            
+            const position = this.getPosition(step, finest, timing);
+            if (!config.subdivisions.includes(position.subdivision)) continue;
+            if (!random.chance(config.density * BEAT_WEIGHTS[position.type])) continue;
+            
+            // 可用轨道：没有被长按占用，快速细分时避免同轨连打
+            const free = laneBusyUntil
+                .map((busyUntil, track) => busyUntil < time ? track : -1)
+                .filter(track => track !== -1);
+            const preferred = position.subdivision > 1 ? free.filter(track => track !== lastTrack) : free;
+            const candidates = preferred.length > 0 ? preferred : free;
+            if (candidates.length === 0) continue;
+            
+            const track = random.pick(candidates);
+            
+            // 长按只出现在拍点上，持续一拍
+            if (position.subdivision === 1 && random.chance(config.holdRate)) {
+                const holdEnd = timing.beatToTime(beat + 1);
+                if (holdEnd < endTime) {
+                    chart.push({ track, time, endTime: holdEnd });
+                    laneBusyUntil[track] = holdEnd;
+                    lastTrack = track;
+                    continue;
+                }
+            }
+            
+            chart.push({ track, time });
+            lastTrack = track;
+            
+            // 双押只出现在拍点上
+            if (position.subdivision === 1 && random.chance(config.chordRate)) {
+                const others = free.filter(other => other !== track);
+                if (others.length > 0) {
+                    chart.push({ track: random.pick(others), time });
+                }
+            }
+        }
+        
+        console.log(`📝 生成谱面 [${config.name} / ${lanes}K / seed ${seed}]: ${chart.length} 个音符`);
+        return chart;
+    }
+    
+    /**
+     * 计算某一步在小节中的位置
+     * @param {number} step - 最细网格上的步数（从第 0 拍算起）
+     * @param {number} finest - 每拍的最细细分数
+     * @param {TimingMap} timing - 用于判断小节线（支持拍号变化）
+     * @returns {{type: string, subdivision: number}}
+     */
+    getPosition(step, finest, timing) {
+        // 小节第一拍（奇数拍号的小节线可能落在半拍上）
+        if (timing.getMeasurePosition(step / finest).beat < 1e-6) {
+            return { type: 'downbeat', subdivision: 1 };
+        }
+        if (step % finest === 0) {
+            return { type: 'beat', subdivision: 1 };
+        }
+        if ((step * 2) % finest === 0) {
+            return { type: 'eighth', subdivision: 2 };
+        }
+        return { type: 'sixteenth', subdivision: 4 };
+    }
+}
+
+// 创建全局实例
+const chartGenerator = new ChartGenerator();
@@ -0,0 +1,113 @@
+/**
+ * HitError - 判定偏移条
+ * 判定区域下方的横条：中间为准时，左侧偏早，右侧偏晚
+ * 每次击中显示一个逐渐消失的刻度，白色标记为最近若干次击中的平均偏移
+ */
+
+// 判定偏移条参数
+const HIT_ERROR_CONFIG = {
+    meanCount: 20,          // 滚动平均使用的最近击中数
+    maxTicks: 40,           // 同时显示的刻度上限
+    tickLifetime: 3000      // 刻度显示时长（毫秒，与 CSS 动画一致）
+};
+
+/**
+ * 判定偏移条
+ */
+class HitErrorBar {
+    constructor() {
+        this.recent = [];             // 最近的偏移（秒）
+        
+        // DOM 元素
+        this.container = null;
+        this.ticks = null;
+        this.meanMarker = null;
+    }
+    
+    /**
+     * 创建判定窗口色带、刻度层和平均值标记（DOM 加载完成后调用一次）
+     */
+    setup() {
+        this.container = document.getElementById('hit-error-bar');
+        if (!this.container) return;
+        
+        this.container.innerHTML = '';
+        // 从宽到窄叠放 GOOD / GREAT / PERFECT 窗口
+        ['GOOD', 'GREAT', 'PERFECT'].forEach(judgment => {
+            const zone = document.createElement('div');
+            zone.className = `hit-error-zone ${judgment.toLowerCase()}`;
+            zone.style.width = `${JUDGMENT_WINDOWS[judgment] / JUDGMENT_WINDOWS.MISS * 100}%`;
+            this.container.appendChild(zone);
+        });
+        
+        const center = document.createElement('div');
+        center.className = 'hit-error-center';
+        this.container.appendChild(center);
+        
+        this.ticks = document.createElement('div');
+        this.ticks.className = 'hit-error-ticks';
+        this.container.appendChild(this.ticks);
+        
+        this.meanMarker = document.createElement('div');
+        this.meanMarker.className = 'hit-error-mean hidden';
+        this.container.appendChild(this.meanMarker);
+    }
+    
+    /**
+     * 添加一次击中
+     * @param {number} offset - 按下时间 − 音符时间（秒，正数偏晚）
+     * @param {string} judgment - 判定结果
+     */
+    add(offset, judgment) {
+        this.recent.push(offset);
+        if (this.recent.length > HIT_ERROR_CONFIG.meanCount) {
+            this.recent.shift();
+        }
+        if (!this.ticks) return;
+        
+        const tick = document.createElement('div');
+        tick.className = `hit-error-tick ${judgment.toLowerCase()}`;
+        tick.style.left = `${this.offsetToPercent(offset)}%`;
+        this.ticks.appendChild(tick);
+        while (this.ticks.children.length > HIT_ERROR_CONFIG.maxTicks) {
+            this.ticks.removeChild(this.ticks.firstChild);
+        }
+        setTimeout(() => tick.remove(), HIT_ERROR_CONFIG.tickLifetime);
+        
+        this.meanMarker.style.left = `${this.offsetToPercent(this.getMean())}%`;
+        this.meanMarker.classList.remove('hidden');
+    }
+    
+    /**
+     * 清除刻度和平均值
+     */
+    reset() {
+        this.recent = [];
+        if (this.ticks) {
+            this.ticks.innerHTML = '';
+            this.meanMarker.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * 最近击中的平均偏移
+     * @returns {number} 秒，没有击中时为 0
+     */
+    getMean() {
+        if (this.recent.length === 0) return 0;
+        return this.recent.reduce((a, b) => a + b, 0) / this.recent.length;
+    }
+    
+    /**
+     * 偏移 -> 横条上的位置（两端为 MISS 窗口）
+     * @param {number} offset - 秒
+     * @returns {number} 百分比
+     */
+    offsetToPercent(offset) {
+        const position = (offset / JUDGMENT_WINDOWS.MISS + 1) / 2;
+        return Math.max(0, Math.min(1, position)) * 100;
+    }
+}
+
+// 创建全局实例
+const hitErrorBar = new HitErrorBar();
@@ -1,199 +1,588 @@
-/**
- * Input - 输入管理器
- * 处理键盘、触摸和鼠标输入事件
- */
-
-class InputManager {
-    constructor() {
-        this.keyMap = {
-            'KeyZ': 0,           // Z 键 - 第1轨道
-            'KeyC': 1,           // C 键 - 第2轨道
-            'ArrowLeft': 2,      // ← 左箭头 - 第3轨道
-            'ArrowRight': 3      // → 右箭头 - 第4轨道
-        };
-        
-        this.trackStates = [false, false, false, false];
-        this.judgmentBoxes = [];
-        this.activeKeys = new Set();
-        
-        this.init();
-    }
-    
-    /**
-     * 初始化输入监听
-     */
-    init() {
-        // 等待 DOM 加载完成
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.setupEventListeners());
-        } else {
-            this.setupEventListeners();
-        }
-    }
-    
-    /**
-     * 设置所有事件监听器
-     */
-    setupEventListeners() {
-        // 获取所有判定框
-        this.judgmentBoxes = document.querySelectorAll('.judgment-box');
-        
-        // 键盘事件
-        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
-        document.addEventListener('keyup', (e) => this.handleKeyUp(e));
-        
-        // 为每个判定框添加触摸/鼠标事件
-        this.judgmentBoxes.forEach((box, index) => {
-            // 鼠标事件
-            box.addEventListener('mousedown', (e) => {
-                e.preventDefault();
-                this.activateTrack(index);
-            });
-            
-            box.addEventListener('mouseup', (e) => {
-                e.preventDefault();
-                this.deactivateTrack(index);
-            });
-            
-            box.addEventListener('mouseleave', (e) => {
-                this.deactivateTrack(index);
-            });
-            
-            // 触摸事件
-            box.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                this.activateTrack(index);
-            });
-            
-            box.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                this.deactivateTrack(index);
-            });
-            
-            box.addEventListener('touchcancel', (e) => {
-                e.preventDefault();
-                this.deactivateTrack(index);
-            });
-        });
-        
-        // 防止页面滚动和缩放
-        document.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-        }, { passive: false });
-        
-        document.addEventListener('gesturestart', (e) => {
-            e.preventDefault();
-        });
-        
-        console.log('🎮 Input Manager initialized');
-    }
-    
-    /**
-     * 处理键盘按下事件
-     * @param {KeyboardEvent} e
-     */
-    handleKeyDown(e) {
-        // 防止重复触发
-        if (e.repeat) return;
-        
-        const trackIndex = this.keyMap[e.code];
-        if (trackIndex !== undefined) {
-            e.preventDefault();
-            this.activateTrack(trackIndex);
-            this.activeKeys.add(e.code);
-        }
-    }
-    
-    /**
-     * 处理键盘释放事件
-     * @param {KeyboardEvent} e
-     */
-    handleKeyUp(e) {
-        const trackIndex = this.keyMap[e.code];
-        if (trackIndex !== undefined) {
-            e.preventDefault();
-            this.deactivateTrack(trackIndex);
-            this.activeKeys.delete(e.code);
-        }
-    }
-    
-    /**
-     * 激活指定轨道（触发视觉反馈）
-     * @param {number} trackIndex - 轨道索引 (0-3)
-     */
-    activateTrack(trackIndex) {
-        if (trackIndex < 0 || trackIndex > 3) return;
-        
-        this.trackStates[trackIndex] = true;
-        
-        // 添加视觉反馈
-        if (this.judgmentBoxes[trackIndex]) {
-            this.judgmentBoxes[trackIndex].classList.add('active');
-        }
-        
-        // 触发游戏逻辑（可在 main.js 中监听）
-        this.onTrackHit(trackIndex);
-        
-        console.log(`✨ Track ${trackIndex} activated`);
-    }
-    
-    /**
-     * 取消激活指定轨道
-     * @param {number} trackIndex - 轨道索引 (0-3)
-     */
-    deactivateTrack(trackIndex) {
-        if (trackIndex < 0 || trackIndex > 3) return;
-        
-        this.trackStates[trackIndex] = false;
-        
-        // 移除视觉反馈
-        if (this.judgmentBoxes[trackIndex]) {
-            this.judgmentBoxes[trackIndex].classList.remove('active');
-        }
-        
-        console.log(`💫 Track ${trackIndex} deactivated`);
-    }
-    
-    /**
-     * 轨道点击回调（供外部监听）
-     * @param {number} trackIndex
-     */
-    onTrackHit(trackIndex) {
-        // 这个方法可以被 main.js 重写，用于处理音符判定
-        // 例如: inputManager.onTrackHit = (track) => { ... }
-    }
-    
-    /**
-     * 检查某个轨道是否被按下
-     * @param {number} trackIndex
-     * @returns {boolean}
-     */
-    isTrackActive(trackIndex) {
-        return this.trackStates[trackIndex];
-    }
-    
-    /**
-     * 获取所有当前激活的轨道
-     * @returns {number[]}
-     */
-    getActiveTracks() {
-        return this.trackStates
-            .map((state, index) => state ? index : -1)
-            .filter(index => index !== -1);
-    }
-    
-    /**
-     * 清除所有输入状态（用于重置）
-     */
-    reset() {
-        this.trackStates = [false, false, false, false];
-        this.activeKeys.clear();
-        this.judgmentBoxes.forEach(box => {
-            box.classList.remove('active');
-        });
-        console.log('🔄 Input Manager reset');
-    }
-}
-
-// 创建全局 InputManager 实例
-const inputManager = new InputManager();
+/**
+ * Input - 输入管理器
+ * 处理键盘、触摸和鼠标输入事件
+ */
+
+// 保存按键设置的 localStorage 键
+const KEYMAP_STORAGE_KEY = 'fingerflow-keymap';
+
+// 键数布局：每种键数（轨道数量）的默认按键（每条轨道可以绑定多个键，值为 KeyboardEvent.code）
+// 空格是暂停键，5K / 7K 的中间轨道默认使用 B
+const LANE_LAYOUTS = {
+    4: { label: '4K', bindings: [['KeyZ'], ['KeyC'], ['ArrowLeft'], ['ArrowRight']] },
+    5: { label: '5K', bindings: [['KeyD'], ['KeyF'], ['KeyB'], ['KeyJ'], ['KeyK']] },
+    6: { label: '6K', bindings: [['KeyS'], ['KeyD'], ['KeyF'], ['KeyJ'], ['KeyK'], ['KeyL']] },
+    7: { label: '7K', bindings: [['KeyS'], ['KeyD'], ['KeyF'], ['KeyB'], ['KeyJ'], ['KeyK'], ['KeyL']] }
+};
+const LANE_COUNTS = Object.keys(LANE_LAYOUTS).map(Number);
+const DEFAULT_LANE_COUNT = 4;
+
+// 游戏快捷键，不能绑定到轨道
+const RESERVED_KEYS = {
+    Space: '暂停/继续',
+    Escape: '暂停/返回',
+    KeyR: '重新开始',
+    Enter: '启动游戏',
+    NumpadEnter: '启动游戏',
+    Minus: '音频偏移微调',
+    Equal: '音频偏移微调',
+    F3: '下落速度',
+    F4: '下落速度',
+    BracketLeft: '练习 A 点',
+    BracketRight: '练习 B 点',
+    Backslash: '清除练习区间',
+    Comma: '练习后退',
+    Period: '练习前进'
+};
+
+// 按键显示名称（其余按 code 去掉 Key/Digit 前缀显示）
+const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Semicolon: ';',
+    Quote: "'",
+    Slash: '/',
+    Backquote: '`',
+    ShiftLeft: 'LShift',
+    ShiftRight: 'RShift',
+    ControlLeft: 'LCtrl',
+    ControlRight: 'RCtrl',
+    AltLeft: 'LAlt',
+    AltRight: 'RAlt'
+};
+
+// 触摸区域设置（localStorage）
+const TOUCH_ZONE_STORAGE_KEY = 'fingerflow-touch-zone';
+
+// 触摸区域：屏幕高度的 top 比例以下响应触摸；横向把游戏区域等分为轨道，两侧空白算作最近的轨道
+const TOUCH_ZONES = {
+    full: { label: '整条轨道', top: 0 },
+    lower: { label: '下半屏', top: 0.5 },
+    bottom: { label: '下三分之一', top: 2 / 3 }
+};
+const DEFAULT_TOUCH_ZONE = 'full';
+
+// 这些元素上开始的触摸不作为击打（按钮、设置界面等）
+const TOUCH_IGNORE_SELECTOR = 'button, select, input, a, #practice-bar, #music-loader, #chart-editor, .calibration';
+
+class InputManager {
+    constructor() {
+        this.laneCount = DEFAULT_LANE_COUNT;
+        this.bindingSets = this.loadBindings();   // 键数 -> 每条轨道绑定的按键 [[code, ...], ...]
+        this.bindings = [];   // 当前键数的按键设置
+        this.keyMap = {};     // code -> 轨道索引
+        
+        this.trackStates = [];
+        this.trackHolders = [];   // 每条轨道上正在按住的输入（按键、鼠标、触摸、手柄按钮）
+        this.judgmentBoxes = [];
+        this.activeKeys = new Set();
+        this.applyLaneCount(this.laneCount);
+        
+        // 触摸：每根手指（touch.identifier）当前所在的轨道，-1 表示不在触摸区域内
+        this.touchZone = this.loadTouchZone();
+        this.touches = new Map();
+        this.gameArea = null;
+        
+        this.init();
+    }
+    
+    /**
+     * 从 localStorage 读取每种键数的按键设置（无效的设置会被忽略）
+     * 旧版本只保存了 4K 的按键数组
+     * @returns {Object} 键数 -> string[][]
+     */
+    loadBindings() {
+        const sets = {};
+        try {
+            let saved = JSON.parse(localStorage.getItem(KEYMAP_STORAGE_KEY) || '{}');
+            if (Array.isArray(saved)) {
+                saved = { [DEFAULT_LANE_COUNT]: saved };
+            }
+            Object.entries(saved || {}).forEach(([count, bindings]) => {
+                if (LANE_LAYOUTS[count] && this.validateBindings(bindings, Number(count)) === null) {
+                    sets[count] = bindings;
+                }
+            });
+        } catch (error) {
+            console.warn('⚠️ 按键设置读取失败:', error);
+        }
+        return sets;
+    }
+    
+    /**
+     * 获取某种键数的默认按键（副本）
+     * @param {number} laneCount
+     * @returns {string[][]}
+     */
+    getDefaultBindings(laneCount) {
+        return LANE_LAYOUTS[laneCount].bindings.map(keys => [...keys]);
+    }
+    
+    /**
+     * 检查按键设置
+     * @param {*} bindings
+     * @param {number} laneCount - 键数，默认为当前键数
+     * @returns {string|null} 错误信息，有效时返回 null
+     */
+    validateBindings(bindings, laneCount = this.laneCount) {
+        if (!Array.isArray(bindings) || bindings.length !== laneCount) {
+            return `需要 ${laneCount} 条轨道的按键`;
+        }
+        
+        const used = new Set();
+        for (let track = 0; track < bindings.length; track++) {
+            const keys = bindings[track];
+            if (!Array.isArray(keys) || keys.length === 0) {
+                return `轨道 ${track + 1} 没有绑定按键`;
+            }
+            for (const code of keys) {
+                if (typeof code !== 'string' || code === '') {
+                    return `轨道 ${track + 1} 的按键无效`;
+                }
+                if (RESERVED_KEYS[code]) {
+                    return `${formatKeyCode(code)} 是游戏快捷键（${RESERVED_KEYS[code]}）`;
+                }
+                if (used.has(code)) {
+                    return `${formatKeyCode(code)} 绑定了多条轨道`;
+                }
+                used.add(code);
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * 按键设置 -> code 到轨道的映射
+     * @param {string[][]} bindings
+     * @returns {Object}
+     */
+    createKeyMap(bindings) {
+        const keyMap = {};
+        bindings.forEach((keys, track) => {
+            keys.forEach(code => {
+                keyMap[code] = track;
+            });
+        });
+        return keyMap;
+    }
+    
+    /**
+     * 获取当前按键设置（副本）
+     * @returns {string[][]}
+     */
+    getBindings() {
+        return this.bindings.map(keys => [...keys]);
+    }
+    
+    /**
+     * 应用并保存当前键数的按键设置
+     * @param {string[][]} bindings
+     * @throws {Error} 设置无效时
+     */
+    setBindings(bindings) {
+        const error = this.validateBindings(bindings);
+        if (error) {
+            throw new Error(`按键设置: ${error}`);
+        }
+        
+        this.bindingSets[this.laneCount] = bindings.map(keys => [...keys]);
+        this.bindings = this.bindingSets[this.laneCount].map(keys => [...keys]);
+        this.keyMap = this.createKeyMap(this.bindings);
+        this.reset();
+        this.updateKeyLabels();
+        
+        try {
+            localStorage.setItem(KEYMAP_STORAGE_KEY, JSON.stringify(this.bindingSets));
+        } catch (error) {
+            console.warn('⚠️ 按键设置保存失败:', error);
+        }
+        console.log(`⌨️ 按键设置 (${LANE_LAYOUTS[this.laneCount].label}): ${this.describeBindings()}`);
+    }
+    
+    /**
+     * 切换键数：使用该键数的按键设置，并重新生成轨道和判定框
+     * @param {number} laneCount - LANE_LAYOUTS 中的键数
+     */
+    setLaneCount(laneCount) {
+        if (!LANE_LAYOUTS[laneCount] || laneCount === this.laneCount) return;
+        
+        this.reset();
+        this.applyLaneCount(laneCount);
+        this.buildLanes();
+        console.log(`🎹 键数: ${LANE_LAYOUTS[laneCount].label}（${this.describeBindings()}）`);
+    }
+    
+    /**
+     * 设置键数相关的状态（按键映射、每条轨道的按下状态）
+     * @param {number} laneCount
+     */
+    applyLaneCount(laneCount) {
+        this.laneCount = laneCount;
+        const saved = this.bindingSets[laneCount];
+        this.bindings = saved ? saved.map(keys => [...keys]) : this.getDefaultBindings(laneCount);
+        this.keyMap = this.createKeyMap(this.bindings);
+        this.trackStates = new Array(laneCount).fill(false);
+        this.trackHolders = this.trackStates.map(() => new Set());
+    }
+    
+    /**
+     * 按当前键数生成轨道和判定框（音符按 data-track 放进对应的轨道）
+     */
+    buildLanes() {
+        const container = document.getElementById('game-container');
+        const judgmentArea = document.getElementById('judgment-area');
+        if (!this.gameArea || !judgmentArea) return;
+        
+        if (container) {
+            container.style.setProperty('--lane-count', this.laneCount);
+            container.dataset.lanes = this.laneCount;
+        }
+        this.gameArea.innerHTML = '';
+        judgmentArea.innerHTML = '';
+        
+        for (let index = 0; index < this.laneCount; index++) {
+            const track = document.createElement('div');
+            track.className = 'track';
+            track.dataset.track = index;
+            track.innerHTML = '<div class="track-line"></div><div class="key-hint"></div>';
+            this.gameArea.appendChild(track);
+            
+            const box = document.createElement('div');
+            box.className = 'judgment-box';
+            box.dataset.track = index;
+            box.innerHTML = '<div class="judgment-glow"></div><span class="judgment-key"></span>';
+            
+            // 鼠标事件
+            box.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.activateTrack(index, e.timeStamp, 'mouse');
+            });
+            
+            box.addEventListener('mouseup', (e) => {
+                e.preventDefault();
+                this.deactivateTrack(index, e.timeStamp, 'mouse');
+            });
+            
+            box.addEventListener('mouseleave', (e) => {
+                this.deactivateTrack(index, e.timeStamp, 'mouse');
+            });
+            judgmentArea.appendChild(box);
+        }
+        
+        this.judgmentBoxes = Array.from(judgmentArea.querySelectorAll('.judgment-box'));
+        this.updateKeyLabels();
+    }
+    
+    /**
+     * 从 localStorage 读取触摸区域
+     * @returns {string} TOUCH_ZONES 的键名
+     */
+    loadTouchZone() {
+        try {
+            const saved = localStorage.getItem(TOUCH_ZONE_STORAGE_KEY);
+            if (TOUCH_ZONES[saved]) return saved;
+        } catch (error) {
+            console.warn('⚠️ 触摸区域读取失败:', error);
+        }
+        return DEFAULT_TOUCH_ZONE;
+    }
+    
+    /**
+     * 设置并保存触摸区域
+     * @param {string} zone - TOUCH_ZONES 的键名
+     */
+    setTouchZone(zone) {
+        if (!TOUCH_ZONES[zone]) return;
+        
+        this.touchZone = zone;
+        try {
+            localStorage.setItem(TOUCH_ZONE_STORAGE_KEY, zone);
+        } catch (error) {
+            console.warn('⚠️ 触摸区域保存失败:', error);
+        }
+        console.log(`👆 触摸区域: ${TOUCH_ZONES[zone].label}`);
+    }
+    
+    /**
+     * 按键设置的文字描述（例如 "Z、C、←、→"）
+     * @returns {string}
+     */
+    describeBindings() {
+        return this.bindings.map(keys => keys.map(formatKeyCode).join('/')).join('、');
+    }
+    
+    /**
+     * 更新轨道和判定框上的按键提示
+     */
+    updateKeyLabels() {
+        const labels = this.bindings.map(keys => keys.map(formatKeyCode).join(' '));
+        document.querySelectorAll('.track').forEach(track => {
+            const hint = track.querySelector('.key-hint');
+            if (hint) hint.textContent = labels[track.dataset.track] || '';
+        });
+        document.querySelectorAll('.judgment-box').forEach(box => {
+            const key = box.querySelector('.judgment-key');
+            if (key) key.textContent = labels[box.dataset.track] || '';
+        });
+    }
+    
+    /**
+     * 初始化输入监听
+     */
+    init() {
+        // 等待 DOM 加载完成
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.setupEventListeners());
+        } else {
+            this.setupEventListeners();
+        }
+    }
+    
+    /**
+     * 设置所有事件监听器
+     */
+    setupEventListeners() {
+        // 按当前键数生成轨道和判定框（按键提示与当前设置一致）
+        this.gameArea = document.getElementById('game-area');
+        this.buildLanes();
+        
+        // 键盘事件
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        document.addEventListener('keyup', (e) => this.handleKeyUp(e));
+        
+        // 触摸事件：整条轨道都可以击打，按 identifier 分别跟踪每根手指
+        document.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
+        document.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
+        document.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: false });
+        document.addEventListener('touchcancel', (e) => this.handleTouchEnd(e), { passive: false });
+        
+        // 防止页面滚动和缩放
+        document.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+        }, { passive: false });
+        
+        document.addEventListener('gesturestart', (e) => {
+            e.preventDefault();
+        });
+        
+        console.log('🎮 Input Manager initialized');
+    }
+    
+    /**
+     * 处理键盘按下事件
+     * @param {KeyboardEvent} e
+     */
+    handleKeyDown(e) {
+        // 防止重复触发
+        if (e.repeat) return;
+        
+        const trackIndex = this.keyMap[e.code];
+        if (trackIndex !== undefined) {
+            e.preventDefault();
+            this.activateTrack(trackIndex, e.timeStamp, e.code);
+            this.activeKeys.add(e.code);
+        }
+    }
+    
+    /**
+     * 处理键盘释放事件
+     * @param {KeyboardEvent} e
+     */
+    handleKeyUp(e) {
+        const trackIndex = this.keyMap[e.code];
+        if (trackIndex !== undefined) {
+            e.preventDefault();
+            this.deactivateTrack(trackIndex, e.timeStamp, e.code);
+            this.activeKeys.delete(e.code);
+        }
+    }
+    
+    /**
+     * 手指按下：在触摸区域内则激活所在轨道
+     * @param {TouchEvent} e
+     */
+    handleTouchStart(e) {
+        if (e.target instanceof Element && e.target.closest(TOUCH_IGNORE_SELECTOR)) return;
+        
+        // 阻止随后模拟的鼠标事件
+        e.preventDefault();
+        Array.from(e.changedTouches).forEach(touch => {
+            const track = this.getTouchTrack(touch);
+            this.touches.set(touch.identifier, track);
+            if (track !== -1) {
+                this.activateTrack(track, e.timeStamp, `touch${touch.identifier}`);
+            }
+        });
+    }
+    
+    /**
+     * 手指滑动：滑进另一条轨道时松开原轨道并按下新轨道（用于滑动连打和交互）
+     * @param {TouchEvent} e
+     */
+    handleTouchMove(e) {
+        Array.from(e.changedTouches).forEach(touch => {
+            if (!this.touches.has(touch.identifier)) return;
+            
+            const previous = this.touches.get(touch.identifier);
+            const track = this.getTouchTrack(touch);
+            if (track === previous) return;
+            
+            this.touches.set(touch.identifier, track);
+            const source = `touch${touch.identifier}`;
+            if (previous !== -1) {
+                this.deactivateTrack(previous, e.timeStamp, source);
+            }
+            if (track !== -1) {
+                this.activateTrack(track, e.timeStamp, source);
+            }
+        });
+    }
+    
+    /**
+     * 手指抬起：松开它最后所在的轨道
+     * @param {TouchEvent} e
+     */
+    handleTouchEnd(e) {
+        Array.from(e.changedTouches).forEach(touch => {
+            if (!this.touches.has(touch.identifier)) return;
+            
+            e.preventDefault();
+            const track = this.touches.get(touch.identifier);
+            this.touches.delete(touch.identifier);
+            if (track !== -1) {
+                this.deactivateTrack(track, e.timeStamp, `touch${touch.identifier}`);
+            }
+        });
+    }
+    
+    /**
+     * 计算手指所在的轨道
+     * @param {Touch} touch
+     * @returns {number} 轨道索引，不在触摸区域内时为 -1
+     */
+    getTouchTrack(touch) {
+        const zone = TOUCH_ZONES[this.touchZone];
+        if (!this.gameArea || touch.clientY < window.innerHeight * zone.top) return -1;
+        
+        const rect = this.gameArea.getBoundingClientRect();
+        const count = this.trackStates.length;
+        const track = Math.floor((touch.clientX - rect.left) / rect.width * count);
+        return Math.max(0, Math.min(count - 1, track));
+    }
+    
+    /**
+     * 激活指定轨道（触发视觉反馈）
+     * 键盘、鼠标、触摸和手柄都经过这里，每次按下都会触发一次判定
+     * @param {number} trackIndex - 轨道索引 (0 到键数-1)
+     * @param {number} timeStamp - 事件发生的时间（performance 时间，毫秒），用于不受帧率影响的判定
+     * @param {string} source - 按下的输入（按键 code、'mouse'、'touch' 或手柄按钮）
+     */
+    activateTrack(trackIndex, timeStamp = performance.now(), source = 'pointer') {
+        if (trackIndex < 0 || trackIndex >= this.laneCount) return;
+        
+        this.trackHolders[trackIndex].add(source);
+        this.trackStates[trackIndex] = true;
+        
+        // 添加视觉反馈
+        if (this.judgmentBoxes[trackIndex]) {
+            this.judgmentBoxes[trackIndex].classList.add('active');
+        }
+        
+        // 触发游戏逻辑（可在 main.js 中监听）
+        this.onTrackHit(trackIndex, timeStamp);
+        
+        console.log(`✨ Track ${trackIndex} activated`);
+    }
+    
+    /**
+     * 取消激活指定轨道（同一轨道上还有其他按住的输入时保持激活）
+     * @param {number} trackIndex - 轨道索引 (0 到键数-1)
+     * @param {number} timeStamp - 事件发生的时间（performance 时间，毫秒）
+     * @param {string} source - 松开的输入
+     */
+    deactivateTrack(trackIndex, timeStamp = performance.now(), source = 'pointer') {
+        if (trackIndex < 0 || trackIndex >= this.laneCount) return;
+        
+        // mouseleave 等事件可能在未按下时触发，只有真正松开才回调
+        const holders = this.trackHolders[trackIndex];
+        if (!holders.delete(source) || holders.size > 0) return;
+        this.trackStates[trackIndex] = false;
+        
+        // 移除视觉反馈
+        if (this.judgmentBoxes[trackIndex]) {
+            this.judgmentBoxes[trackIndex].classList.remove('active');
+        }
+        
+        // 触发松开逻辑（用于长按判定）
+        this.onTrackRelease(trackIndex, timeStamp);
+        
+        console.log(`💫 Track ${trackIndex} deactivated`);
+    }
+    
+    /**
+     * 轨道点击回调（供外部监听）
+     * @param {number} trackIndex
+     * @param {number} timeStamp - 按下的时间（performance 时间，毫秒）
+     */
+    onTrackHit(trackIndex, timeStamp) {
+        // 这个方法可以被 main.js 重写，用于处理音符判定
+        // 例如: inputManager.onTrackHit = (track) => { ... }
+    }
+    
+    /**
+     * 轨道松开回调（供外部监听）
+     * @param {number} trackIndex
+     * @param {number} timeStamp - 松开的时间（performance 时间，毫秒）
+     */
+    onTrackRelease(trackIndex, timeStamp) {
+        // 这个方法可以被 main.js 重写，用于处理长按音符的尾部判定
+        // 例如: inputManager.onTrackRelease = (track) => { ... }
+    }
+    
+    /**
+     * 检查某个轨道是否被按下
+     * @param {number} trackIndex
+     * @returns {boolean}
+     */
+    isTrackActive(trackIndex) {
+        return this.trackStates[trackIndex];
+    }
+    
+    /**
+     * 获取所有当前激活的轨道
+     * @returns {number[]}
+     */
+    getActiveTracks() {
+        return this.trackStates
+            .map((state, index) => state ? index : -1)
+            .filter(index => index !== -1);
+    }
+    
+    /**
+     * 清除所有输入状态（用于重置）
+     */
+    reset() {
+        this.trackStates.fill(false);
+        this.trackHolders.forEach(holders => holders.clear());
+        this.activeKeys.clear();
+        this.judgmentBoxes.forEach(box => {
+            box.classList.remove('active');
+        });
+        console.log('🔄 Input Manager reset');
+    }
+}
+
+/**
+ * 按键的显示名称
+ * @param {string} code - KeyboardEvent.code
+ * @returns {string}
+ */
+function formatKeyCode(code) {
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    return code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num');
+}
+
+// 创建全局 InputManager 实例
+const inputManager = new InputManager();
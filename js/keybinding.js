@@ -0,0 +1,235 @@
+/**
+ * KeyBinding - 按键设置
+ * 为每条轨道绑定一个或多个按键，与游戏快捷键冲突时拒绝，保存后更新画面上的按键提示
+ * 编辑的是当前键数的按键（每种键数分别保存）
+ */
+
+/**
+ * 按键设置界面
+ */
+class KeyBindingScreen {
+    constructor() {
+        this.isOpen = false;
+        this.draft = [];              // 编辑中的按键设置 [[code, ...], ...]
+        this.listeningTrack = null;   // 正在等待按键的轨道
+        
+        // DOM 元素
+        this.container = null;
+        this.lanes = null;
+        this.mode = null;
+        this.status = null;
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+    
+    /**
+     * 获取 DOM 元素并绑定事件（DOM 加载完成后调用一次）
+     */
+    setup() {
+        this.container = document.getElementById('keybinding');
+        if (!this.container) return;
+        
+        this.lanes = document.getElementById('keybinding-lanes');
+        this.mode = document.getElementById('keybinding-mode');
+        this.status = document.getElementById('keybinding-status');
+        
+        const buttons = {
+            'keybinding-reset-btn': () => {
+                this.draft = inputManager.getDefaultBindings(inputManager.laneCount);
+                this.listeningTrack = null;
+                this.render();
+                this.setStatus('已恢复默认按键（保存后生效）');
+            },
+            'keybinding-save-btn': () => this.save(),
+            'keybinding-close-btn': () => this.close()
+        };
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    // 避免按钮保持焦点后被空格键再次触发
+                    e.currentTarget.blur();
+                    handler();
+                });
+            }
+        });
+    }
+    
+    /**
+     * 打开按键设置
+     */
+    open() {
+        if (!this.container) return;
+        
+        this.isOpen = true;
+        this.draft = inputManager.getBindings();
+        this.listeningTrack = null;
+        if (this.mode) {
+            this.mode.textContent = `（${LANE_LAYOUTS[inputManager.laneCount].label}）`;
+        }
+        this.container.classList.remove('hidden');
+        document.addEventListener('keydown', this.handleKeyDown);
+        this.render();
+        this.setStatus('');
+        console.log('⌨️ 按键设置已打开');
+    }
+    
+    /**
+     * 关闭按键设置（未保存的修改会被丢弃）
+     */
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.listeningTrack = null;
+        this.container.classList.add('hidden');
+        document.removeEventListener('keydown', this.handleKeyDown);
+        console.log('⌨️ 按键设置已关闭');
+    }
+    
+    /**
+     * 保存并关闭
+     */
+    save() {
+        try {
+            inputManager.setBindings(this.draft);
+        } catch (error) {
+            this.setStatus(error.message, true);
+            return;
+        }
+        this.close();
+    }
+    
+    /**
+     * 开始等待某条轨道的新按键（再次点击取消）
+     * @param {number} track
+     */
+    listen(track) {
+        this.listeningTrack = this.listeningTrack === track ? null : track;
+        this.render();
+        this.setStatus(this.listeningTrack !== null ? `请按下轨道 ${track + 1} 的新按键（Esc 取消）` : '');
+    }
+    
+    /**
+     * 给轨道添加按键（与快捷键或其他轨道冲突时拒绝）
+     * @param {number} track
+     * @param {string} code - KeyboardEvent.code
+     */
+    addKey(track, code) {
+        const label = formatKeyCode(code);
+        if (RESERVED_KEYS[code]) {
+            this.setStatus(`${label} 是游戏快捷键（${RESERVED_KEYS[code]}），不能绑定`, true);
+            return;
+        }
+        
+        const owner = this.draft.findIndex(keys => keys.includes(code));
+        if (owner === track) {
+            this.setStatus(`${label} 已经绑定到轨道 ${track + 1}`);
+        } else if (owner !== -1) {
+            this.setStatus(`${label} 已经绑定到轨道 ${owner + 1}，请先移除`, true);
+        } else {
+            this.draft[track].push(code);
+            this.setStatus(`轨道 ${track + 1} 添加了 ${label}`);
+        }
+        
+        this.listeningTrack = null;
+        this.render();
+    }
+    
+    /**
+     * 移除轨道上的按键
+     * @param {number} track
+     * @param {string} code
+     */
+    removeKey(track, code) {
+        this.draft[track] = this.draft[track].filter(key => key !== code);
+        this.render();
+        if (this.draft[track].length === 0) {
+            this.setStatus(`轨道 ${track + 1} 至少需要一个按键`, true);
+        }
+    }
+    
+    /**
+     * 键盘事件：等待按键时绑定，否则 ESC 关闭
+     * @param {KeyboardEvent} e
+     */
+    handleKeyDown(e) {
+        if (e.repeat) return;
+        
+        if (this.listeningTrack === null) {
+            if (e.code === 'Escape' || e.keyCode === 27) {
+                e.preventDefault();
+                this.close();
+            }
+            return;
+        }
+        
+        e.preventDefault();
+        if (e.code === 'Escape' || e.keyCode === 27) {
+            this.listen(this.listeningTrack);
+            return;
+        }
+        if (!e.code || e.code === 'Unidentified') {
+            this.setStatus('无法识别该按键', true);
+            return;
+        }
+        this.addKey(this.listeningTrack, e.code);
+    }
+    
+    /**
+     * 绘制每条轨道的按键列表
+     */
+    render() {
+        if (!this.lanes) return;
+        
+        this.lanes.innerHTML = '';
+        this.draft.forEach((keys, track) => {
+            const lane = document.createElement('div');
+            lane.className = 'keybinding-lane';
+            lane.classList.toggle('listening', this.listeningTrack === track);
+            
+            const name = document.createElement('span');
+            name.className = 'keybinding-track';
+            name.textContent = `轨道 ${track + 1}`;
+            lane.appendChild(name);
+            
+            keys.forEach(code => {
+                const key = document.createElement('button');
+                key.className = 'keybinding-key';
+                key.textContent = `${formatKeyCode(code)} ✕`;
+                key.title = '移除';
+                key.addEventListener('click', (e) => {
+                    e.currentTarget.blur();
+                    this.removeKey(track, code);
+                });
+                lane.appendChild(key);
+            });
+            
+            const add = document.createElement('button');
+            add.className = 'game-button small secondary';
+            add.textContent = this.listeningTrack === track ? '请按键…' : '＋ 添加';
+            add.addEventListener('click', (e) => {
+                e.currentTarget.blur();
+                this.listen(track);
+            });
+            lane.appendChild(add);
+            
+            this.lanes.appendChild(lane);
+        });
+    }
+    
+    /**
+     * 设置状态文字
+     * @param {string} text
+     * @param {boolean} isError
+     */
+    setStatus(text, isError = false) {
+        if (this.status) {
+            this.status.textContent = text;
+            this.status.classList.toggle('error', isError);
+        }
+    }
+}
+
+// 创建全局实例
+const keyBindingScreen = new KeyBindingScreen();
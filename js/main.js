@@ -1,571 +1,2120 @@
-/**
- * Main - 游戏主循环和初始化
- * 指尖跳动 (Finger Flow)
- */
-
-class Game {
-    constructor() {
-        this.isRunning = false;
-        this.isReady = false;
-        this.hasMusic = false;
-        this.lastFrameTime = 0;
-        this.deltaTime = 0;
-        this.fps = 0;
-        this.frameCount = 0;
-        
-        // UI 元素
-        this.timeDisplay = null;
-        this.scoreDisplay = null;
-        this.comboDisplay = null;
-        this.musicInfoDisplay = null;
-        this.musicLoader = null;
-        this.musicStatus = null;
-        
-        this.init();
-    }
-    
-    /**
-     * 初始化游戏
-     */
-    init() {
-        console.log('🎮 指尖跳动 (Finger Flow) - 初始化中...');
-        
-        // 等待 DOM 加载完成
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.onDOMReady());
-        } else {
-            this.onDOMReady();
-        }
-    }
-    
-    /**
-     * DOM 加载完成后的回调
-     */
-    async onDOMReady() {
-        // 获取 UI 元素
-        this.timeDisplay = document.getElementById('time-display');
-        this.scoreDisplay = document.getElementById('score-display');
-        this.comboDisplay = document.getElementById('combo-display');
-        this.musicInfoDisplay = document.getElementById('music-info-display');
-        this.musicLoader = document.getElementById('music-loader');
-        this.musicStatus = document.getElementById('music-status');
-        
-        // 设置输入回调
-        inputManager.onTrackHit = (trackIndex) => this.handleTrackHit(trackIndex);
-        
-        // 初始化音频系统
-        await audioManager.init();
-        
-        // 设置音乐加载按钮
-        this.setupMusicLoader();
-        
-        // 添加空格键暂停/继续功能
-        this.setupPauseControl();
-        
-        console.log('✅ 游戏初始化完成');
-        console.log('🎵 请加载音乐文件或选择无音乐模式开始游戏');
-        console.log('⏸️ 提示：按空格键可以暂停/继续游戏');
-        console.log('🎹 操作按键：Z、C、←、→');
-    }
-    
-    /**
-     * 设置暂停控制（空格键）
-     */
-    setupPauseControl() {
-        document.addEventListener('keydown', async (e) => {
-            // 只在游戏准备好之后才响应空格键
-            if (!this.isReady) return;
-            
-            // 空格键暂停/继续
-            if (e.code === 'Space' || e.keyCode === 32) {
-                e.preventDefault(); // 防止页面滚动
-                
-                if (this.isRunning) {
-                    this.pause();
-                    this.showPauseOverlay();
-                } else {
-                    await this.resume();
-                    this.hidePauseOverlay();
-                }
-            }
-            
-            // ESC 键也可以暂停
-            if (e.code === 'Escape' || e.keyCode === 27) {
-                e.preventDefault();
-                if (this.isRunning) {
-                    this.pause();
-                    this.showPauseOverlay();
-                }
-            }
-            
-            // R 键重新开始（游戏暂停时）
-            if ((e.code === 'KeyR' || e.keyCode === 82) && !this.isRunning && this.isReady) {
-                e.preventDefault();
-                this.hidePauseOverlay();
-                this.reset();
-                this.startGame();
-                console.log('🔄 游戏重新开始');
-            }
-        });
-    }
-    
-    /**
-     * 显示暂停遮罩
-     */
-    showPauseOverlay() {
-        let overlay = document.getElementById('pause-overlay');
-        if (!overlay) {
-            overlay = document.createElement('div');
-            overlay.id = 'pause-overlay';
-            overlay.className = 'pause-overlay';
-            overlay.innerHTML = `
-                <div class="pause-content">
-                    <h2>⏸️ 游戏已暂停</h2>
-                    <p>按 <strong>空格键</strong> 继续游戏</p>
-                    <p>按 <strong>R</strong> 键重新开始</p>
-                    <div class="pause-stats">
-                        <div>当前分数: <span id="pause-score">0</span></div>
-                        <div>连击: <span id="pause-combo">0</span></div>
-                    </div>
-                </div>
-            `;
-            document.getElementById('game-container').appendChild(overlay);
-        }
-        
-        // 更新统计数据
-        const stats = noteManager.getStats();
-        const scoreSpan = document.getElementById('pause-score');
-        const comboSpan = document.getElementById('pause-combo');
-        if (scoreSpan) scoreSpan.textContent = stats.score;
-        if (comboSpan) comboSpan.textContent = stats.combo;
-        
-        overlay.style.display = 'flex';
-        console.log('⏸️ 游戏已暂停（按空格键继续）');
-    }
-    
-    /**
-     * 隐藏暂停遮罩
-     */
-    hidePauseOverlay() {
-        const overlay = document.getElementById('pause-overlay');
-        if (overlay) {
-            overlay.style.display = 'none';
-        }
-        console.log('▶️ 游戏继续');
-    }
-    
-    /**
-     * 设置音乐加载器
-     */
-    async setupMusicLoader() {
-        const loadMusicBtn = document.getElementById('load-music-btn');
-        const startWithoutMusicBtn = document.getElementById('start-without-music-btn');
-        const startGameBtn = document.getElementById('start-game-btn');
-        const startGameContainer = document.getElementById('start-game-container');
-        const musicFileInput = document.getElementById('music-file-input');
-        
-        // 尝试自动加载默认音乐
-        this.updateStatus('正在自动加载音乐...');
-        const autoLoaded = await audioManager.tryAutoLoadMusic();
-        
-        if (autoLoaded) {
-            this.hasMusic = true;
-            this.updateStatus('✅ 音乐加载成功！');
-            
-            // 根据音乐 BPM 生成谱面
-            const chart = audioManager.generateChartFromBPM();
-            noteManager.loadChart(chart);
-            
-            // 设置 BPM
-            const musicInfo = audioManager.getMusicInfo();
-            conductor.setBPM(musicInfo.bpm);
-            
-            // 显示启动游戏按钮
-            if (startGameContainer) startGameContainer.style.display = 'block';
-            if (loadMusicBtn) loadMusicBtn.style.display = 'none';
-            if (startWithoutMusicBtn) startWithoutMusicBtn.style.display = 'none';
-            
-            // 绑定启动按钮
-            this.setupStartButton();
-            return;
-        } else {
-            this.updateStatus('未找到音乐文件，请手动加载或无音乐开始');
-        }
-        
-        // 加载音乐按钮
-        loadMusicBtn.addEventListener('click', () => {
-            musicFileInput.click();
-        });
-        
-        // 文件选择
-        musicFileInput.addEventListener('change', async (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                this.updateStatus('正在加载音乐...');
-                const url = URL.createObjectURL(file);
-                const success = await audioManager.loadMusic(url);
-                
-                if (success) {
-                    this.hasMusic = true;
-                    this.updateStatus('✅ 音乐加载成功！');
-                    
-                    // 根据音乐 BPM 生成谱面
-                    const chart = audioManager.generateChartFromBPM();
-                    noteManager.loadChart(chart);
-                    
-                    // 设置 BPM
-                    const musicInfo = audioManager.getMusicInfo();
-                    conductor.setBPM(musicInfo.bpm);
-                    
-                    // 显示启动游戏按钮
-                    const startGameContainer = document.getElementById('start-game-container');
-                    if (startGameContainer) startGameContainer.style.display = 'block';
-                    if (loadMusicBtn) loadMusicBtn.style.display = 'none';
-                    if (startWithoutMusicBtn) startWithoutMusicBtn.style.display = 'none';
-                    
-                    // 绑定启动按钮
-                    this.setupStartButton();
-                } else {
-                    this.updateStatus('❌ 音乐加载失败，请重试');
-                }
-            }
-        });
-        
-        // 无音乐开始按钮
-        startWithoutMusicBtn.addEventListener('click', () => {
-            this.hasMusic = false;
-            this.updateStatus('开始无音乐测试模式...');
-            
-            // 生成测试谱面
-            noteManager.generateTestChart();
-            conductor.setBPM(120);
-            
-            this.startGame();
-        });
-    }
-    
-    /**
-     * 设置启动按钮
-     */
-    setupStartButton() {
-        const startGameBtn = document.getElementById('start-game-btn');
-        
-        // 点击按钮启动
-        if (startGameBtn) {
-            startGameBtn.addEventListener('click', () => {
-                this.startGame();
-            }, { once: true });
-        }
-        
-        // 监听 Enter 键启动
-        const handleEnter = (e) => {
-            if (e.key === 'Enter' || e.keyCode === 13) {
-                e.preventDefault();
-                document.removeEventListener('keydown', handleEnter);
-                this.startGame();
-            }
-        };
-        
-        document.addEventListener('keydown', handleEnter);
-    }
-    
-    /**
-     * 开始游戏
-     */
-    async startGame() {
-        // 隐藏加载界面
-        if (this.musicLoader) {
-            this.musicLoader.classList.add('hidden');
-        }
-        
-        // 启动 Conductor
-        conductor.start();
-        
-        // 如果有音乐，播放音乐并显示音乐信息
-        if (this.hasMusic) {
-            await audioManager.play();
-            this.showMusicInfo();
-            console.log('🎵 音乐开始播放');
-        }
-        
-        // 启动游戏循环
-        this.isReady = true;
-        this.start();
-        
-        console.log('▶️ 游戏开始！');
-        console.log('🎹 使用键盘 Z、C、←、→ 或点击/触摸底部判定框进行游戏');
-    }
-    
-    /**
-     * 显示音乐信息
-     */
-    showMusicInfo() {
-        if (!this.musicInfoDisplay) return;
-        
-        const info = audioManager.getMusicInfo();
-        this.musicInfoDisplay.innerHTML = `
-            <div class="music-meta">
-                <div class="music-title">♪ ${info.title}</div>
-                <div class="music-artist">${info.artist}</div>
-                <div class="music-bpm">${info.bpm} BPM</div>
-            </div>
-        `;
-        this.musicInfoDisplay.style.display = 'block';
-        
-        // 5秒后淡出
-        setTimeout(() => {
-            if (this.musicInfoDisplay) {
-                this.musicInfoDisplay.style.opacity = '0';
-            }
-        }, 5000);
-    }
-    
-    /**
-     * 更新状态文本
-     */
-    updateStatus(text) {
-        if (this.musicStatus) {
-            this.musicStatus.textContent = text;
-        }
-    }
-    
-    /**
-     * 启动游戏循环
-     */
-    start() {
-        if (this.isRunning) return;
-        
-        this.isRunning = true;
-        this.lastFrameTime = performance.now();
-        
-        // 启动主循环
-        this.gameLoop(this.lastFrameTime);
-        
-        console.log('▶️ 游戏开始');
-    }
-    
-    /**
-     * 暂停游戏
-     */
-    pause() {
-        this.isRunning = false;
-        conductor.pause();
-        if (this.hasMusic) {
-            audioManager.pause();
-        }
-        console.log('⏸️ 游戏暂停');
-    }
-    
-    /**
-     * 恢复游戏
-     */
-    async resume() {
-        if (this.isRunning) return;
-        
-        console.log('⏯️ 正在恢复游戏...');
-        
-        // 恢复音乐
-        if (this.hasMusic) {
-            await audioManager.play();
-        }
-        
-        // 重置状态并启动游戏循环
-        this.isRunning = true;
-        
-        // 使用 requestAnimationFrame 来正确启动游戏循环
-        // 在回调中同步设置 conductor 的时间基准，确保时间戳匹配
-        requestAnimationFrame((timestamp) => {
-            // 在这里启动 conductor，使用 requestAnimationFrame 提供的 timestamp
-            conductor.performanceStartTime = timestamp;
-            conductor.isRunning = true;
-            
-            // 如果是从暂停恢复，使用保存的时间
-            if (conductor.pausedTime > 0) {
-                conductor.timeOffset = conductor.pausedTime;
-                conductor.pausedTime = 0;
-            }
-            
-            console.log('🎵 Conductor resumed at', conductor.timeOffset.toFixed(2), 's');
-            
-            // 启动游戏循环
-            this.lastFrameTime = timestamp;
-            this.gameLoop(timestamp);
-        });
-        
-        console.log('▶️ 游戏恢复中...');
-    }
-    
-    /**
-     * 重置游戏
-     */
-    reset() {
-        conductor.reset();
-        inputManager.reset();
-        noteManager.reset();
-        
-        if (this.hasMusic) {
-            audioManager.stop();
-            const chart = audioManager.generateChartFromBPM();
-            noteManager.loadChart(chart);
-        } else {
-            noteManager.generateTestChart();
-        }
-        
-        conductor.start();
-        console.log('🔄 游戏重置');
-    }
-    
-    /**
-     * 游戏主循环 (使用 requestAnimationFrame)
-     * @param {number} timestamp - 当前时间戳
-     */
-    gameLoop(timestamp) {
-        if (!this.isRunning) return;
-        
-        // 计算帧时间差
-        this.deltaTime = (timestamp - this.lastFrameTime) / 1000; // 转换为秒
-        this.lastFrameTime = timestamp;
-        
-        // 更新逻辑
-        this.update(timestamp);
-        
-        // 渲染
-        this.render();
-        
-        // 继续下一帧
-        requestAnimationFrame((t) => this.gameLoop(t));
-    }
-    
-    /**
-     * 更新游戏逻辑
-     * @param {number} timestamp
-     */
-    update(timestamp) {
-        // 更新 Conductor 时间
-        conductor.update(timestamp);
-        
-        // 如果有音乐，同步音乐时间
-        if (this.hasMusic && audioManager.isPlaying) {
-            const audioTime = audioManager.getCurrentTime();
-            // 可以在这里做精确的时间同步
-        }
-        
-        // 更新音符系统
-        const currentTime = conductor.getCurrentTime();
-        noteManager.update(currentTime, this.deltaTime);
-        
-        // 检查音乐是否结束
-        if (this.hasMusic && audioManager.isEnded()) {
-            this.onGameEnd();
-        }
-        
-        // 计算 FPS（每秒更新一次）
-        this.frameCount++;
-        if (this.frameCount % 60 === 0) {
-            this.fps = Math.round(1 / this.deltaTime);
-        }
-    }
-    
-    /**
-     * 游戏结束
-     */
-    onGameEnd() {
-        this.pause();
-        const stats = noteManager.getStats();
-        console.log('🎮 游戏结束！');
-        console.log('📊 最终统计:', stats);
-        
-        // 显示结算界面（后续可添加）
-        alert(`游戏结束！\n\n最终得分: ${stats.score}\n最大连击: ${stats.maxCombo}\n准确率: ${stats.accuracy}%`);
-    }
-    
-    /**
-     * 渲染游戏画面
-     */
-    render() {
-        // 更新时间显示
-        if (this.timeDisplay) {
-            const currentTime = conductor.getFormattedTime();
-            this.timeDisplay.textContent = `Current Time: ${currentTime}s`;
-        }
-        
-        // 更新分数和连击显示
-        const stats = noteManager.getStats();
-        
-        if (this.scoreDisplay) {
-            this.scoreDisplay.textContent = `分数: ${stats.score}`;
-        }
-        
-        if (this.comboDisplay) {
-            if (stats.combo > 0) {
-                this.comboDisplay.textContent = `${stats.combo} COMBO`;
-                this.comboDisplay.style.display = 'block';
-            } else {
-                this.comboDisplay.style.display = 'none';
-            }
-        }
-    }
-    
-    /**
-     * 处理轨道点击事件
-     * @param {number} trackIndex - 轨道索引 (0-3)
-     */
-    handleTrackHit(trackIndex) {
-        const currentTime = conductor.getCurrentTime();
-        
-        // 判定音符
-        const judgment = noteManager.hit(trackIndex, currentTime);
-        
-        if (judgment) {
-            console.log(`🎯 轨道 ${trackIndex} | 判定: ${judgment} | 连击: ${noteManager.combo}`);
-        }
-    }
-    
-    /**
-     * 获取当前游戏状态
-     * @returns {Object}
-     */
-    getGameState() {
-        return {
-            isRunning: this.isRunning,
-            currentTime: conductor.getCurrentTime(),
-            currentBeat: conductor.getCurrentBeat(),
-            bpm: conductor.getBPM(),
-            fps: this.fps,
-            activeTracks: inputManager.getActiveTracks()
-        };
-    }
-}
-
-// 创建并启动游戏实例
-let game;
-
-// 确保在 DOM 加载后创建游戏实例
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        game = new Game();
-    });
-} else {
-    game = new Game();
-}
-
-// 暴露到全局作用域（方便调试）
-window.game = game;
-window.conductor = conductor;
-window.inputManager = inputManager;
-window.noteManager = noteManager;
-window.audioManager = audioManager;
-
-// 添加一些便捷的调试命令
-console.log('');
-console.log('🎮 ===== 指尖跳动 (Finger Flow) =====');
-console.log('💡 调试命令:');
-console.log('   game.pause() - 暂停游戏');
-console.log('   game.resume() - 继续游戏');
-console.log('   game.reset() - 重置游戏');
-console.log('   game.getGameState() - 获取游戏状态');
-console.log('   noteManager.getStats() - 查看统计数据');
-console.log('   audioManager.setVolume(0.5) - 设置音量');
-console.log('   conductor.setBPM(176) - 设置BPM');
-console.log('=====================================');
-console.log('');
+/**
+ * Main - 游戏主循环和初始化
+ * 指尖跳动 (Finger Flow)
+ */
+
+// 成绩记录（localStorage）
+const RESULTS_STORAGE_KEY = 'fingerflow-results';
+const RESULTS_MAX_COUNT = 50;
+
+// 下落倍速设置（localStorage）
+const SCROLL_SPEED_STORAGE_KEY = 'fingerflow-scroll-speed';
+
+// 暂停恢复时的回退秒数（localStorage）
+const REWIND_STORAGE_KEY = 'fingerflow-rewind';
+const REWIND_OPTIONS = [0, 1, 2, 3, 5];
+
+// 开始 / 恢复前的倒计时（秒）
+const COUNTDOWN_SECONDS = 3;
+
+class Game {
+    constructor() {
+        this.isRunning = false;
+        this.isReady = false;
+        this.hasMusic = false;
+        this.chart = null;          // 从文件加载的谱面（为空时自动生成）
+        this.musicAnalysis = null;  // 音频起音检测结果（用于生成谱面）
+        this.detectedTempo = null;  // 自动检测的 BPM 与第一拍 {bpm, offset, confidence}
+        this.chartSource = null;    // 当前谱面来源: file/onset/bpm/test
+        
+        // 谱面生成参数（相同种子 + 难度 + 键数生成相同谱面；谱面文件使用自己的键数）
+        this.seed = createRandomSeed();
+        this.difficulty = DEFAULT_DIFFICULTY;
+        this.laneCount = DEFAULT_LANE_COUNT;
+        this.lastFrameTime = 0;
+        this.deltaTime = 0;
+        this.fps = 0;
+        this.frameCount = 0;
+        
+        // UI 元素
+        this.timeDisplay = null;
+        this.scoreDisplay = null;
+        this.accuracyDisplay = null;
+        this.comboDisplay = null;
+        this.musicInfoDisplay = null;
+        this.musicLoader = null;
+        this.musicStatus = null;
+        this.chartInfoDisplay = null;
+        
+        // 编辑器试玩状态 {notes, startTime}，为空表示正常游戏
+        this.playtest = null;
+        
+        // 导入的 StepMania 谱面（包含所有难度），用于切换难度
+        this.simfile = null;
+        
+        // 录制谱面时的吸附细分（0 = 不吸附）
+        this.recordSnap = 4;
+        this.recordIndicator = null;
+        
+        // 偏移微调提示的隐藏计时器
+        this.offsetDisplayTimer = null;
+        
+        // 前奏留白（秒）：计时从 -leadIn 开始，到 0 秒时才播放音乐
+        this.leadIn = 0;
+        this.waitingForAudio = false;
+        
+        // 倒计时状态（倒计时期间游戏仍处于暂停）
+        this.isCountingDown = false;
+        this.countdownTimer = null;
+        this.countdownResolve = null;
+        
+        // 暂停恢复时回退的秒数（0 = 不回退）
+        this.rewindSeconds = 0;
+        
+        // 暂停期间轮询手柄（用于 Start 键继续）
+        this.gamepadPollId = null;
+        
+        this.init();
+    }
+    
+    /**
+     * 初始化游戏
+     */
+    init() {
+        console.log('🎮 指尖跳动 (Finger Flow) - 初始化中...');
+        
+        // 等待 DOM 加载完成
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.onDOMReady());
+        } else {
+            this.onDOMReady();
+        }
+    }
+    
+    /**
+     * DOM 加载完成后的回调
+     */
+    async onDOMReady() {
+        // 获取 UI 元素
+        this.timeDisplay = document.getElementById('time-display');
+        this.scoreDisplay = document.getElementById('score-display');
+        this.accuracyDisplay = document.getElementById('accuracy-display');
+        this.comboDisplay = document.getElementById('combo-display');
+        this.musicInfoDisplay = document.getElementById('music-info-display');
+        this.musicLoader = document.getElementById('music-loader');
+        this.musicStatus = document.getElementById('music-status');
+        this.chartInfoDisplay = document.getElementById('chart-info-display');
+        this.recordIndicator = document.getElementById('record-indicator');
+        
+        // 设置输入回调
+        inputManager.onTrackHit = (trackIndex, timeStamp) => this.handleTrackHit(trackIndex, timeStamp);
+        inputManager.onTrackRelease = (trackIndex, timeStamp) => this.handleTrackRelease(trackIndex, timeStamp);
+        
+        // 初始化音频系统
+        await audioManager.init();
+        
+        // 设置难度和种子选项
+        this.setupGeneratorOptions();
+        
+        // 设置 BPM / 第一拍手动修正
+        this.setupTempoOptions();
+        
+        // 设置谱面编辑器
+        this.setupEditor();
+        
+        // 设置打拍录制
+        this.setupRecorder();
+        
+        // 设置延迟校准（应用已保存的偏移）
+        this.setupCalibration();
+        
+        // 设置按键绑定界面
+        this.setupKeyBindings();
+        
+        // 设置手柄映射界面和 Start 键暂停
+        this.setupGamepad();
+        
+        // 设置下落倍速（应用已保存的设置）
+        this.setupScrollSpeed();
+        
+        // 设置触摸区域
+        this.setupTouchZone();
+        
+        // 创建判定偏移条
+        hitErrorBar.setup();
+        
+        // 设置暂停恢复时的回退秒数
+        this.setupRewind();
+        
+        // 设置空击与过早按下的判定规则
+        this.setupJudgeRules();
+        
+        // 设置计分方式
+        this.setupScoring();
+        
+        // 设置血条类型
+        this.setupGauge();
+        
+        // 设置练习模式
+        this.setupPractice();
+        
+        // 设置结算界面
+        this.setupResults();
+        
+        // 设置音乐加载按钮
+        this.setupMusicLoader();
+        
+        // 添加空格键暂停/继续功能
+        this.setupPauseControl();
+        
+        console.log('✅ 游戏初始化完成');
+        console.log('🎵 请加载音乐文件或选择无音乐模式开始游戏');
+        console.log('⏸️ 提示：按空格键可以暂停/继续游戏');
+        console.log(`🎹 操作按键：${inputManager.describeBindings()}`);
+    }
+    
+    /**
+     * 设置暂停控制（空格键）
+     */
+    setupPauseControl() {
+        document.addEventListener('keydown', async (e) => {
+            // 只在游戏准备好之后才响应空格键
+            if (!this.isReady) return;
+            
+            // 试玩中按 ESC 返回编辑器
+            if (this.playtest && (e.code === 'Escape' || e.keyCode === 27)) {
+                e.preventDefault();
+                this.stopPlaytest();
+                return;
+            }
+            
+            // 录制中按 ESC 结束录制并打开编辑器
+            if (tapRecorder.isRecording && (e.code === 'Escape' || e.keyCode === 27)) {
+                e.preventDefault();
+                this.stopRecording();
+                return;
+            }
+            
+            // - / = 微调音频偏移，按住 Shift 微调画面偏移
+            if (e.code === 'Minus' || e.code === 'Equal') {
+                e.preventDefault();
+                const key = e.shiftKey ? 'visual' : 'audio';
+                latencyCalibrator.adjust(key, e.code === 'Equal' ? 1 : -1);
+                this.showOffset(key);
+                return;
+            }
+            
+            // F3 / F4 调整下落倍速
+            if (e.code === 'F3' || e.code === 'F4') {
+                e.preventDefault();
+                this.changeScrollSpeed(noteManager.hiSpeed + (e.code === 'F4' ? 1 : -1) * SCROLL_CONFIG.hiSpeedStep);
+                this.showHint(`下落速度 ${noteManager.hiSpeed.toFixed(1)}x`);
+                return;
+            }
+            
+            // 空格键暂停/继续
+            if (e.code === 'Space' || e.keyCode === 32) {
+                e.preventDefault(); // 防止页面滚动
+                
+                await this.togglePause();
+            }
+            
+            // ESC 键也可以暂停（恢复倒计时中按 ESC 取消恢复）
+            if (e.code === 'Escape' || e.keyCode === 27) {
+                e.preventDefault();
+                if (this.isCountingDown) {
+                    this.stopCountdown();
+                    this.showPauseOverlay();
+                } else if (this.isRunning) {
+                    this.pause();
+                    this.showPauseOverlay();
+                }
+            }
+            
+            // R 键重新开始（游戏暂停时）
+            if ((e.code === 'KeyR' || e.keyCode === 82) && !this.isRunning && !this.isCountingDown && this.isReady) {
+                e.preventDefault();
+                this.hidePauseOverlay();
+                if (this.playtest) {
+                    this.startPlaytest(this.playtest.notes, this.playtest.startTime);
+                } else if (practiceMode.isActive) {
+                    practiceMode.loop();
+                    await this.resume(false);
+                } else if (tapRecorder.isRecording) {
+                    this.startRecording();
+                } else {
+                    this.reset();
+                    this.startGame();
+                }
+                console.log('🔄 游戏重新开始');
+            }
+        });
+    }
+    
+    /**
+     * 暂停/继续（空格键和手柄 Start 键）
+     */
+    async togglePause() {
+        if (this.isRunning) {
+            this.pause();
+            this.showPauseOverlay();
+        } else if (!this.isCountingDown) {
+            this.hidePauseOverlay();
+            await this.resume();
+        }
+    }
+    
+    /**
+     * 显示暂停遮罩
+     */
+    showPauseOverlay() {
+        let overlay = document.getElementById('pause-overlay');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'pause-overlay';
+            overlay.className = 'pause-overlay';
+            overlay.innerHTML = `
+                <div class="pause-content">
+                    <h2>⏸️ 游戏已暂停</h2>
+                    <p>按 <strong>空格键</strong> 继续游戏</p>
+                    <p>按 <strong>R</strong> 键重新开始</p>
+                    <div class="pause-stats">
+                        <div>当前分数: <span id="pause-score">0</span></div>
+                        <div>准确率: <span id="pause-accuracy">0</span></div>
+                        <div>连击: <span id="pause-combo">0</span></div>
+                    </div>
+                </div>
+            `;
+            document.getElementById('game-container').appendChild(overlay);
+        }
+        
+        // 更新统计数据
+        const stats = noteManager.getStats();
+        const scoreSpan = document.getElementById('pause-score');
+        const accuracySpan = document.getElementById('pause-accuracy');
+        const comboSpan = document.getElementById('pause-combo');
+        if (scoreSpan) scoreSpan.textContent = stats.score;
+        if (accuracySpan) accuracySpan.textContent = formatAccuracy(stats.accuracy);
+        if (comboSpan) comboSpan.textContent = stats.combo;
+        
+        overlay.style.display = 'flex';
+        console.log('⏸️ 游戏已暂停（按空格键继续）');
+    }
+    
+    /**
+     * 隐藏暂停遮罩
+     */
+    hidePauseOverlay() {
+        const overlay = document.getElementById('pause-overlay');
+        if (overlay) {
+            overlay.style.display = 'none';
+        }
+        console.log('▶️ 游戏继续');
+    }
+    
+    /**
+     * 设置音乐加载器
+     */
+    async setupMusicLoader() {
+        const loadMusicBtn = document.getElementById('load-music-btn');
+        const startWithoutMusicBtn = document.getElementById('start-without-music-btn');
+        const musicFileInput = document.getElementById('music-file-input');
+        
+        // 谱面文件按钮（无论音乐是否自动加载都可用）
+        this.setupChartLoader();
+        
+        // 绑定启动按钮（结算界面换歌后仍然使用同一组按钮）
+        this.setupStartButton();
+        
+        // 加载音乐按钮
+        loadMusicBtn.addEventListener('click', () => {
+            musicFileInput.click();
+        });
+        
+        // 文件选择
+        musicFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            // 清空选择，换歌时可以再次选择同一个文件
+            musicFileInput.value = '';
+            if (file) {
+                this.updateStatus('正在加载音乐...');
+                const url = URL.createObjectURL(file);
+                const success = await audioManager.loadMusic(url, file.name);
+                
+                if (success) {
+                    await this.onManualMusicLoaded();
+                } else {
+                    this.updateStatus('❌ 音乐加载失败，请重试');
+                }
+            }
+        });
+        
+        // 无音乐开始按钮
+        startWithoutMusicBtn.addEventListener('click', () => {
+            this.hasMusic = false;
+            this.updateStatus('开始无音乐测试模式...');
+            
+            // 生成测试谱面（已加载谱面文件时直接使用）
+            this.loadCurrentChart();
+            
+            this.startGame();
+        });
+        
+        // 尝试自动加载默认音乐
+        this.updateStatus('正在自动加载音乐...');
+        const autoLoaded = await audioManager.tryAutoLoadMusic();
+        
+        if (autoLoaded) {
+            this.hasMusic = true;
+            
+            // 优先使用随音乐放置的谱面文件，没有时分析音频生成谱面
+            const chartError = await this.tryLoadDefaultChart();
+            const analyzed = this.chart ? true : await this.analyzeMusic();
+            if (chartError) {
+                this.updateStatus(`❌ ${chartError}\n已改用自动生成的谱面`, true);
+            } else {
+                this.updateStatus(analyzed ? '✅ 音乐加载成功！' : '✅ 音乐加载成功！（节奏分析失败，使用 BPM 谱面）');
+            }
+            this.loadCurrentChart();
+            
+            // 显示启动游戏按钮
+            this.updateLoaderButtons();
+        } else {
+            this.updateStatus('未找到音乐文件，请手动加载或无音乐开始');
+        }
+    }
+    
+    /**
+     * 手动加载音乐成功后的处理
+     */
+    async onManualMusicLoaded() {
+        this.hasMusic = true;
+        
+        // 分析音频生成谱面（或使用已加载的谱面文件）
+        const analyzed = this.chart ? true : await this.analyzeMusic();
+        this.updateStatus(analyzed ? '✅ 音乐加载成功！' : '✅ 音乐加载成功！（节奏分析失败，使用 BPM 谱面）');
+        this.loadCurrentChart();
+        
+        // 显示启动游戏按钮
+        this.updateLoaderButtons();
+    }
+    
+    /**
+     * 按是否已加载音乐切换加载界面的按钮：已加载时显示启动按钮，否则显示加载音乐 / 无音乐开始
+     */
+    updateLoaderButtons() {
+        const loadMusicBtn = document.getElementById('load-music-btn');
+        const startWithoutMusicBtn = document.getElementById('start-without-music-btn');
+        const startGameContainer = document.getElementById('start-game-container');
+        
+        if (startGameContainer) startGameContainer.style.display = this.hasMusic ? 'block' : 'none';
+        if (loadMusicBtn) loadMusicBtn.style.display = this.hasMusic ? 'none' : '';
+        if (startWithoutMusicBtn) startWithoutMusicBtn.style.display = this.hasMusic ? 'none' : '';
+    }
+    
+    /**
+     * 设置谱面文件加载
+     */
+    setupChartLoader() {
+        const loadChartBtn = document.getElementById('load-chart-btn');
+        const chartFileInput = document.getElementById('chart-file-input');
+        if (!loadChartBtn || !chartFileInput) return;
+        
+        loadChartBtn.addEventListener('click', () => {
+            chartFileInput.click();
+        });
+        
+        chartFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            // 允许再次选择同一个文件
+            chartFileInput.value = '';
+            if (!file) return;
+            
+            this.updateStatus('正在读取谱面...');
+            try {
+                const chart = await chartLoader.loadFromFile(file);
+                this.simfile = null;
+                this.updateImportDifficulties();
+                this.setChart(chart);
+            } catch (error) {
+                console.error('❌ 谱面加载失败:', error);
+                this.updateStatus(`❌ ${error.message}`, true);
+                return;
+            }
+            
+            await this.loadChartAudio();
+        });
+        
+        // osu!mania / StepMania 谱面：选择文件（谱面 + 音频）或整个文件夹
+        [['import-chart-btn', 'import-file-input'], ['import-folder-btn', 'import-folder-input']].forEach(([buttonId, inputId]) => {
+            const button = document.getElementById(buttonId);
+            const input = document.getElementById(inputId);
+            if (!button || !input) return;
+            
+            button.addEventListener('click', () => {
+                input.click();
+            });
+            
+            input.addEventListener('change', async (e) => {
+                const files = Array.from(e.target.files);
+                input.value = '';
+                if (files.length === 0) return;
+                
+                this.updateStatus('正在导入谱面...');
+                try {
+                    await this.importChartFiles(files);
+                } catch (error) {
+                    console.error('❌ 谱面导入失败:', error);
+                    this.updateStatus(`❌ ${error.message}`, true);
+                }
+            });
+        });
+        
+        // StepMania 难度选择
+        const difficultySelect = document.getElementById('import-difficulty-select');
+        if (difficultySelect) {
+            difficultySelect.addEventListener('change', () => {
+                try {
+                    this.selectSimfileChart(parseInt(difficultySelect.value, 10));
+                } catch (error) {
+                    console.error('❌ 谱面导入失败:', error);
+                    this.updateStatus(`❌ ${error.message}`, true);
+                }
+            });
+        }
+    }
+    
+    /**
+     * 导入 osu!mania 或 StepMania 谱面，并在所选文件中查找对应的音频
+     * @param {File[]} files - 用户选择的文件
+     */
+    async importChartFiles(files) {
+        // 同一首歌同时有 .ssc 和 .sm 时优先使用 .ssc（与 StepMania 一致）
+        const simfile = files.find(file => /\.ssc$/i.test(file.name)) || files.find(file => /\.sm$/i.test(file.name));
+        if (simfile) {
+            this.simfile = stepManiaImporter.parse(await simfile.text(), simfile.name);
+            this.updateImportDifficulties();
+            this.selectSimfileChart(0);
+        } else {
+            this.setChart(await this.importOsuFile(files));
+        }
+        
+        const audioName = this.chart.meta.audio.split(/[\\/]/).pop().toLowerCase();
+        const audioFile = files.find(file => file.name.toLowerCase() === audioName);
+        await this.loadChartAudio(audioFile || null);
+        
+        // 加载音频后的状态会覆盖选择难度时的提示，重新附上
+        const notice = this.getSimfileNotice(0);
+        if (notice && this.musicStatus) {
+            this.updateStatus(`${this.musicStatus.textContent}${notice}`);
+        }
+    }
+    
+    /**
+     * 导入 osu!mania 谱面（使用第一个可导入的难度，支持 4K-7K）
+     * @param {File[]} files - 用户选择的文件
+     * @returns {Promise<Object>} 谱面对象
+     */
+    async importOsuFile(files) {
+        const osuFiles = files
+            .filter(file => /\.osu$/i.test(file.name))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        if (osuFiles.length === 0) {
+            throw new Error('所选文件中没有 .osu、.sm 或 .ssc 谱面');
+        }
+        
+        const errors = [];
+        let chart = null;
+        for (const file of osuFiles) {
+            try {
+                chart = osuImporter.parse(await file.text(), file.name);
+                break;
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+        if (!chart) {
+            throw new Error(errors.slice(0, CHART_MAX_ERRORS).join('\n'));
+        }
+        
+        this.simfile = null;
+        this.updateImportDifficulties();
+        return chart;
+    }
+    
+    /**
+     * 使用已导入的 StepMania 谱面中的某个难度
+     * @param {number} index - 难度索引
+     */
+    selectSimfileChart(index) {
+        if (!this.simfile) return;
+        
+        this.setChart(stepManiaImporter.createChart(this.simfile, index));
+        if (this.hasMusic) {
+            this.loadCurrentChart();
+        }
+        this.updateStatus(`✅ 已选择难度: ${this.chart.meta.difficulty}${this.getSimfileNotice(index)}`);
+    }
+    
+    /**
+     * 导入的 StepMania 难度中被忽略的内容（附在加载状态后面）
+     * @param {number} index - 难度索引
+     * @returns {string} 没有忽略内容时为空字符串
+     */
+    getSimfileNotice(index) {
+        const chart = this.simfile && this.simfile.charts[index];
+        return chart && chart.mines > 0 ? `\nℹ️ 已忽略 ${chart.mines} 个地雷（不支持地雷）` : '';
+    }
+    
+    /**
+     * 更新导入难度下拉框（只有导入 StepMania 谱面时显示）
+     */
+    updateImportDifficulties() {
+        const container = document.getElementById('import-difficulty-options');
+        const select = document.getElementById('import-difficulty-select');
+        if (!container || !select) return;
+        
+        select.innerHTML = '';
+        if (!this.simfile) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        this.simfile.charts.forEach((chart, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            const mines = chart.mines > 0 ? `，忽略 ${chart.mines} 个地雷` : '';
+            option.textContent = `${chart.name}（${chart.lanes}K，${chart.notes.length} 个音符${mines}）`;
+            select.appendChild(option);
+        });
+        select.value = 0;
+        container.style.display = 'flex';
+    }
+    
+    /**
+     * 谱面加载后加载对应的音频
+     * @param {File|null} audioFile - 用户选择的音频文件，为空时使用已加载的音乐或 music/ 文件夹
+     */
+    async loadChartAudio(audioFile = null) {
+        const title = this.chart.meta.title;
+        
+        if (audioFile) {
+            this.updateStatus(`正在加载谱面音频 ${audioFile.name}...`);
+            const url = URL.createObjectURL(audioFile);
+            const success = await audioManager.loadMusic(url, audioFile.name).catch(() => false);
+            if (success) {
+                // 之前的分析结果属于旧的音乐
+                this.musicAnalysis = null;
+                this.detectedTempo = null;
+                if (this.hasMusic) {
+                    this.loadCurrentChart();
+                } else {
+                    await this.onManualMusicLoaded();
+                }
+                this.updateStatus(`✅ 谱面与音乐已加载: ${title}`);
+                return;
+            }
+        }
+        
+        if (this.hasMusic) {
+            this.loadCurrentChart();
+            this.updateStatus(`✅ 谱面已加载: ${title}`);
+            return;
+        }
+        
+        // 尝试从 music/ 文件夹加载谱面指定的音频
+        const audioPath = this.chart.meta.audio;
+        if (audioPath) {
+            this.updateStatus(`正在加载谱面音频 ${audioPath}...`);
+            const success = await audioManager.loadMusic(`music/${audioPath}`).catch(() => false);
+            if (success) {
+                await this.onManualMusicLoaded();
+                this.updateStatus(`✅ 谱面与音乐已加载: ${title}`);
+                return;
+            }
+        }
+        
+        this.loadCurrentChart();
+        this.updateStatus(audioPath
+            ? `✅ 谱面已加载，但未找到 music/${audioPath}，请手动加载音乐`
+            : '✅ 谱面已加载，请加载音乐文件');
+    }
+    
+    /**
+     * 尝试加载随默认音乐放置的谱面文件
+     * @returns {Promise<string|null>} 错误信息（文件不存在不算错误）
+     */
+    async tryLoadDefaultChart() {
+        try {
+            const chart = await chartLoader.loadFromURL(chartLoader.defaultChartPath);
+            if (chart) {
+                this.setChart(chart);
+                console.log('✅ 自动加载谱面成功');
+            }
+            return null;
+        } catch (error) {
+            console.error('❌ 默认谱面加载失败:', error);
+            return error.message;
+        }
+    }
+    
+    /**
+     * 解码音乐并通过起音检测生成谱面
+     * @returns {Promise<boolean>} 是否成功
+     */
+    async analyzeMusic() {
+        this.updateStatus('🔍 正在分析音乐节奏...');
+        try {
+            const audioBuffer = await audioManager.loadAudioBuffer();
+            const analysis = await onsetDetector.analyze(audioBuffer, (progress) => {
+                this.updateStatus(`🔍 正在分析音乐节奏... ${Math.round(progress * 100)}%`);
+            });
+            this.musicAnalysis = analysis;
+            
+            // 检测 BPM 与第一拍（谱面文件自带的信息优先）
+            this.detectedTempo = tempoDetector.detect(analysis);
+            if (this.detectedTempo && !this.chart) {
+                audioManager.applyTempo(this.detectedTempo.bpm, this.detectedTempo.offset);
+            }
+            this.updateTempoDisplay();
+            
+            return analysis.onsets.length > 0;
+        } catch (error) {
+            // 例如 file:// 协议下无法 fetch，退回 BPM 谱面
+            console.error('❌ 音乐分析失败:', error);
+            this.musicAnalysis = null;
+            this.detectedTempo = null;
+            this.updateTempoDisplay();
+            return false;
+        }
+    }
+    
+    /**
+     * 设置难度、键数选择和种子输入
+     * 也可以通过 URL 参数指定，例如 ?seed=123456&difficulty=HARD&lanes=7
+     */
+    setupGeneratorOptions() {
+        const difficultySelect = document.getElementById('difficulty-select');
+        const laneSelect = document.getElementById('lane-count-select');
+        const seedInput = document.getElementById('seed-input');
+        
+        const params = new URLSearchParams(window.location.search);
+        const urlSeed = parseInt(params.get('seed'), 10);
+        const urlDifficulty = (params.get('difficulty') || '').toUpperCase();
+        const urlLanes = parseInt(params.get('lanes'), 10);
+        if (Number.isInteger(urlSeed) && urlSeed >= 0) {
+            this.seed = urlSeed;
+        }
+        if (DIFFICULTIES[urlDifficulty]) {
+            this.difficulty = urlDifficulty;
+        }
+        if (LANE_LAYOUTS[urlLanes]) {
+            this.laneCount = urlLanes;
+        }
+        
+        if (difficultySelect) {
+            Object.entries(DIFFICULTIES).forEach(([key, config]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = config.name;
+                difficultySelect.appendChild(option);
+            });
+            difficultySelect.value = this.difficulty;
+            
+            difficultySelect.addEventListener('change', () => {
+                this.difficulty = difficultySelect.value;
+                this.onGeneratorOptionsChanged();
+            });
+        }
+        
+        if (laneSelect) {
+            Object.entries(LANE_LAYOUTS).forEach(([count, layout]) => {
+                const option = document.createElement('option');
+                option.value = count;
+                option.textContent = layout.label;
+                laneSelect.appendChild(option);
+            });
+            laneSelect.value = this.laneCount;
+            
+            laneSelect.addEventListener('change', () => {
+                this.laneCount = parseInt(laneSelect.value, 10);
+                this.onGeneratorOptionsChanged();
+            });
+        }
+        
+        // 没有加载谱面文件前就按所选键数显示轨道
+        inputManager.setLaneCount(this.laneCount);
+        
+        if (seedInput) {
+            seedInput.value = this.seed;
+            
+            seedInput.addEventListener('change', () => {
+                const seed = parseInt(seedInput.value, 10);
+                // 清空或输入无效时重新随机
+                this.seed = Number.isInteger(seed) && seed >= 0 ? seed : createRandomSeed();
+                seedInput.value = this.seed;
+                this.onGeneratorOptionsChanged();
+            });
+        }
+    }
+    
+    /**
+     * 设置 BPM 与第一拍的显示和手动修正
+     */
+    setupTempoOptions() {
+        const bpmInput = document.getElementById('bpm-input');
+        const offsetInput = document.getElementById('offset-input');
+        const doubleBtn = document.getElementById('bpm-double-btn');
+        const halfBtn = document.getElementById('bpm-half-btn');
+        if (!bpmInput || !offsetInput) return;
+        
+        const applyInputs = () => {
+            const bpm = parseFloat(bpmInput.value);
+            const offset = parseFloat(offsetInput.value);
+            const info = audioManager.getMusicInfo();
+            audioManager.applyTempo(
+                Number.isFinite(bpm) && bpm > 0 ? bpm : info.bpm,
+                Number.isFinite(offset) ? offset : info.offset
+            );
+            this.updateTempoDisplay();
+            this.onGeneratorOptionsChanged();
+        };
+        
+        bpmInput.addEventListener('change', applyInputs);
+        offsetInput.addEventListener('change', applyInputs);
+        
+        // 检测结果可能是实际速度的一半或两倍，提供快速修正
+        if (doubleBtn) {
+            doubleBtn.addEventListener('click', () => {
+                bpmInput.value = Math.round(audioManager.getMusicInfo().bpm * 200) / 100;
+                applyInputs();
+            });
+        }
+        if (halfBtn) {
+            halfBtn.addEventListener('click', () => {
+                bpmInput.value = Math.round(audioManager.getMusicInfo().bpm * 50) / 100;
+                applyInputs();
+            });
+        }
+    }
+    
+    /**
+     * 更新加载界面上的 BPM / 第一拍显示
+     */
+    updateTempoDisplay() {
+        const tempoOptions = document.getElementById('tempo-options');
+        const bpmInput = document.getElementById('bpm-input');
+        const offsetInput = document.getElementById('offset-input');
+        const detectedText = document.getElementById('tempo-detected');
+        if (!tempoOptions || !bpmInput || !offsetInput) return;
+        
+        const info = audioManager.getMusicInfo();
+        bpmInput.value = info.bpm;
+        offsetInput.value = info.offset;
+        
+        // 谱面文件自带 BPM 和偏移，不允许修改
+        const locked = this.chart !== null;
+        tempoOptions.querySelectorAll('input, button').forEach(element => {
+            element.disabled = locked;
+        });
+        
+        if (detectedText) {
+            if (locked) {
+                detectedText.textContent = '使用谱面文件中的 BPM 与偏移';
+            } else if (this.detectedTempo) {
+                detectedText.textContent = `检测结果: ${this.detectedTempo.bpm} BPM, 第一拍 ${this.detectedTempo.offset}s`;
+            } else {
+                detectedText.textContent = '未能检测节拍，请手动输入';
+            }
+        }
+        
+        tempoOptions.style.display = 'flex';
+    }
+    
+    /**
+     * 难度或种子变化后重新生成谱面（游戏开始前）
+     */
+    onGeneratorOptionsChanged() {
+        console.log(`🎲 谱面参数: ${getDifficulty(this.difficulty).name} / ${this.laneCount}K / seed ${this.seed}`);
+        if (this.hasMusic && !this.isReady) {
+            this.loadCurrentChart();
+        } else if (!this.chart) {
+            inputManager.setLaneCount(this.laneCount);
+        }
+    }
+    
+    /**
+     * 设置当前谱面文件，并同步音乐信息
+     * @param {Object} chart - chartLoader 解析后的谱面
+     */
+    setChart(chart) {
+        this.chart = chart;
+        audioManager.applyChartMeta(chart.meta);
+        this.updateTempoDisplay();
+        
+        // 键数由谱面文件决定
+        const laneSelect = document.getElementById('lane-count-select');
+        if (laneSelect) {
+            laneSelect.value = chart.meta.lanes;
+            laneSelect.disabled = true;
+        }
+        inputManager.setLaneCount(chart.meta.lanes);
+    }
+    
+    /**
+     * 清除谱面文件，恢复为按所选键数生成谱面（与初始加载界面相同）
+     */
+    clearChart() {
+        this.chart = null;
+        this.simfile = null;
+        this.updateImportDifficulties();
+        
+        // BPM / 第一拍在加载音乐后重新显示
+        const tempoOptions = document.getElementById('tempo-options');
+        if (tempoOptions) tempoOptions.style.display = 'none';
+        
+        const laneSelect = document.getElementById('lane-count-select');
+        if (laneSelect) {
+            laneSelect.value = this.laneCount;
+            laneSelect.disabled = false;
+        }
+        inputManager.setLaneCount(this.laneCount);
+    }
+    
+    /**
+     * 当前谱面的键数（谱面文件自带，生成的谱面使用所选键数）
+     * @returns {number}
+     */
+    getLaneCount() {
+        return this.chart ? this.chart.meta.lanes : this.laneCount;
+    }
+    
+    /**
+     * 将当前谱面载入 NoteManager 并设置 BPM
+     * 优先级：谱面文件 > 起音检测生成的谱面 > 根据音乐 BPM 生成（无音乐时生成测试谱面）
+     */
+    loadCurrentChart() {
+        const onsetOptions = getDifficulty(this.difficulty).onset;
+        
+        const musicInfo = audioManager.getMusicInfo();
+        const lanes = this.getLaneCount();
+        this.leadIn = this.chart ? this.chart.meta.leadIn : 0;
+        inputManager.setLaneCount(lanes);
+        
+        if (this.chart) {
+            this.chartSource = 'file';
+            noteManager.loadChart(chartLoader.getPlayableNotes(this.chart));
+            conductor.setTiming(this.chart.meta.bpm, this.chart.meta.offset, this.chart.meta.timing);
+        } else if (this.hasMusic && this.musicAnalysis) {
+            this.chartSource = 'onset';
+            noteManager.loadChart(onsetDetector.createChart(this.musicAnalysis, onsetOptions, lanes));
+            conductor.setTiming(musicInfo.bpm, musicInfo.offset);
+        } else if (this.hasMusic) {
+            this.chartSource = 'bpm';
+            conductor.setTiming(musicInfo.bpm, musicInfo.offset);
+            noteManager.loadChart(audioManager.generateChartFromBPM(this.seed, this.difficulty, conductor.getTimingMap(), lanes));
+        } else {
+            this.chartSource = 'test';
+            conductor.setTiming(120, 3.0);
+            noteManager.generateTestChart(this.seed, this.difficulty, conductor.getTimingMap(), lanes);
+        }
+        
+        // 谱面中的下落速度变化
+        noteManager.setTimingMap(conductor.getTimingMap());
+        
+        this.updateChartInfo();
+    }
+    
+    /**
+     * 获取当前谱面信息（用于显示和保存成绩）
+     * @returns {Object} { source, difficulty, lanes, seed }
+     */
+    getChartInfo() {
+        if (this.chartSource === 'file') {
+            return {
+                source: this.chartSource,
+                difficulty: this.chart.meta.difficulty || '谱面文件',
+                lanes: this.chart.meta.lanes,
+                seed: null
+            };
+        }
+        
+        return {
+            source: this.chartSource,
+            difficulty: getDifficulty(this.difficulty).name,
+            lanes: this.laneCount,
+            // 起音检测生成的谱面不使用随机数，无需种子
+            seed: this.chartSource === 'onset' ? null : this.seed
+        };
+    }
+    
+    /**
+     * 更新屏幕上的谱面信息（难度、键数与种子）
+     */
+    updateChartInfo() {
+        if (!this.chartInfoDisplay) return;
+        
+        const info = this.getChartInfo();
+        const parts = [info.difficulty, LANE_LAYOUTS[info.lanes].label];
+        if (info.seed !== null) {
+            parts.push(`Seed ${info.seed}`);
+        } else if (info.source === 'onset') {
+            parts.push('音频分析');
+        }
+        this.chartInfoDisplay.textContent = parts.join(' · ');
+    }
+    
+    /**
+     * 设置启动按钮（只绑定一次，音乐加载后才响应）
+     */
+    setupStartButton() {
+        const startGameBtn = document.getElementById('start-game-btn');
+        
+        // 点击按钮启动
+        if (startGameBtn) {
+            startGameBtn.addEventListener('click', (e) => {
+                e.currentTarget.blur();
+                if (!this.hasMusic || this.isReady || this.isCountingDown) return;
+                this.startGame();
+            });
+        }
+        
+        // 监听 Enter 键启动
+        document.addEventListener('keydown', (e) => {
+            // 未加载音乐、倒计时或游戏中、编辑器/校准/按键设置/结算界面打开时不响应
+            if (!this.hasMusic || this.isReady || this.isCountingDown) return;
+            if (chartEditor.isOpen || latencyCalibrator.isOpen || keyBindingScreen.isOpen || gamepadBindingScreen.isOpen || resultsScreen.isOpen) return;
+            
+            if (e.key === 'Enter' || e.keyCode === 13) {
+                e.preventDefault();
+                this.startGame();
+            }
+        });
+    }
+    
+    /**
+     * 设置谱面编辑器
+     */
+    setupEditor() {
+        chartEditor.setup();
+        
+        const openEditorBtn = document.getElementById('open-editor-btn');
+        if (openEditorBtn) {
+            openEditorBtn.addEventListener('click', () => this.openEditor());
+        }
+        
+        chartEditor.onPlaytest = (notes, startTime) => this.startPlaytest(notes, startTime);
+        
+        chartEditor.onApply = (notes, meta) => {
+            this.setChart(chartLoader.createChart(notes, meta));
+            this.loadCurrentChart();
+            this.updateStatus(`✅ 已应用编辑器谱面: ${notes.length} 个音符`);
+        };
+        
+        chartEditor.onClose = () => {
+            // 回到加载界面，恢复当前谱面
+            conductor.reset();
+            this.loadCurrentChart();
+            if (this.musicLoader) {
+                this.musicLoader.classList.remove('hidden');
+            }
+        };
+    }
+    
+    /**
+     * 打开谱面编辑器
+     * @param {Array|null} notes - 初始音符，为空时以当前谱面为起点
+     */
+    openEditor(notes = null) {
+        this.loadCurrentChart();
+        
+        const info = audioManager.getMusicInfo();
+        const meta = {
+            title: info.title,
+            artist: info.artist,
+            audio: this.hasMusic ? audioManager.musicFileName : '',
+            bpm: conductor.getTimingMap().bpm,
+            offset: conductor.getBeatOffset(),
+            timing: conductor.getTimingMap().changes,
+            lanes: this.getLaneCount(),
+            leadIn: this.chart ? this.chart.meta.leadIn : 0,
+            difficulty: this.chart ? this.chart.meta.difficulty : getDifficulty(this.difficulty).name,
+            charter: this.chart ? this.chart.meta.charter : '',
+            duration: this.hasMusic ? info.duration : 0
+        };
+        
+        chartEditor.open(notes || noteManager.chart, meta, 0);
+    }
+    
+    /**
+     * 设置打拍录制
+     */
+    setupRecorder() {
+        const recordBtn = document.getElementById('record-chart-btn');
+        const snapSelect = document.getElementById('record-snap');
+        
+        if (snapSelect) {
+            const none = document.createElement('option');
+            none.value = 0;
+            none.textContent = '不吸附';
+            snapSelect.appendChild(none);
+            EDITOR_SNAPS.forEach(snap => {
+                const option = document.createElement('option');
+                option.value = snap;
+                option.textContent = `1/${snap}`;
+                snapSelect.appendChild(option);
+            });
+            snapSelect.value = this.recordSnap;
+            
+            snapSelect.addEventListener('change', () => {
+                this.recordSnap = parseInt(snapSelect.value, 10);
+            });
+        }
+        
+        if (recordBtn) {
+            recordBtn.addEventListener('click', () => this.startRecording());
+        }
+    }
+    
+    /**
+     * 开始录制：从头播放音乐，按键只记录时间不判定
+     */
+    startRecording() {
+        this.isRunning = false;
+        
+        // 设置 BPM 和第一拍（用于吸附），然后清空谱面
+        this.loadCurrentChart();
+        conductor.reset();
+        inputManager.reset();
+        noteManager.reset();
+        noteManager.loadChart([]);
+        if (this.hasMusic) {
+            audioManager.stop();
+        }
+        
+        tapRecorder.start(inputManager.laneCount);
+        this.updateRecordIndicator();
+        this.startGame();
+    }
+    
+    /**
+     * 结束录制，在编辑器中打开录制结果（可试玩和导出）
+     */
+    stopRecording() {
+        tapRecorder.stop(conductor.getJudgeTime());
+        
+        this.pause();
+        this.hidePauseOverlay();
+        this.isReady = false;
+        this.updateRecordIndicator();
+        inputManager.reset();
+        
+        const notes = tapRecorder.getNotes(this.recordSnap);
+        console.log(`🎙️ 录制谱面: ${notes.length} 个音符`);
+        this.openEditor(notes);
+    }
+    
+    /**
+     * 设置延迟校准
+     */
+    setupCalibration() {
+        latencyCalibrator.setup();
+        latencyCalibrator.onChange = (offsets) => this.applyCalibration(offsets);
+        this.applyCalibration(latencyCalibrator.offsets);
+        
+        const calibrationBtn = document.getElementById('open-calibration-btn');
+        if (calibrationBtn) {
+            calibrationBtn.addEventListener('click', () => latencyCalibrator.open());
+        }
+    }
+    
+    /**
+     * 设置按键绑定界面
+     */
+    setupKeyBindings() {
+        keyBindingScreen.setup();
+        
+        const keyBindingBtn = document.getElementById('open-keybinding-btn');
+        if (keyBindingBtn) {
+            keyBindingBtn.addEventListener('click', () => keyBindingScreen.open());
+        }
+    }
+    
+    /**
+     * 设置手柄：映射界面，Start 键暂停/继续（结算界面上重新开始）
+     */
+    setupGamepad() {
+        gamepadBindingScreen.setup();
+        gamepadInput.onStart = () => {
+            if (this.isReady) {
+                this.togglePause();
+            } else if (resultsScreen.isOpen) {
+                resultsScreen.retry();
+            }
+        };
+        
+        const gamepadBtn = document.getElementById('open-gamepad-btn');
+        if (gamepadBtn) {
+            gamepadBtn.addEventListener('click', () => gamepadBindingScreen.open());
+        }
+    }
+    
+    /**
+     * 暂停期间和结算界面继续轮询手柄（游戏循环停止后仍能用 Start 键继续或重新开始）
+     */
+    pollGamepadsWhilePaused() {
+        cancelAnimationFrame(this.gamepadPollId);
+        const poll = () => {
+            if (this.isRunning || !(this.isReady || resultsScreen.isOpen)) return;
+            gamepadInput.poll();
+            this.gamepadPollId = requestAnimationFrame(poll);
+        };
+        this.gamepadPollId = requestAnimationFrame(poll);
+    }
+    
+    /**
+     * 将校准偏移应用到判定和音符位置
+     * @param {{audio: number, visual: number}} offsets - 毫秒
+     */
+    applyCalibration(offsets) {
+        conductor.setLatency(offsets.audio / 1000);
+        noteManager.setVisualOffset(offsets.visual / 1000);
+    }
+    
+    /**
+     * 设置练习模式
+     */
+    setupPractice() {
+        practiceMode.setup();
+        
+        const practiceBtn = document.getElementById('practice-btn');
+        if (practiceBtn) {
+            practiceBtn.addEventListener('click', () => this.startPractice());
+        }
+        
+        practiceMode.onSeek = (time) => this.seekPractice(time);
+        
+        practiceMode.onLoop = (startTime) => {
+            practiceMode.recordPass(noteManager.getStats());
+            this.seekPractice(startTime - PRACTICE_CONFIG.preRoll, startTime);
+        };
+        
+        practiceMode.onRateChange = (rate) => {
+            conductor.setRate(rate);
+            noteManager.setPlaybackRate(rate);
+            if (this.hasMusic) {
+                audioManager.setPlaybackRate(rate);
+            }
+        };
+        
+        practiceMode.onClose = () => this.stopPractice();
+    }
+    
+    /**
+     * 开始练习：从头播放当前谱面，在时间轴上选择区间循环
+     * @param {{start: number, end: number}|null} section - 直接循环的区间（秒），为空时整首循环
+     */
+    startPractice(section = null) {
+        this.isRunning = false;
+        
+        this.loadCurrentChart();
+        conductor.reset();
+        inputManager.reset();
+        noteManager.reset();
+        if (this.hasMusic) {
+            audioManager.stop();
+        }
+        
+        practiceMode.open(this.getSongDuration());
+        if (section) {
+            practiceMode.setLoop(section.start, section.end);
+        }
+        
+        this.startGame();
+    }
+    
+    /**
+     * 获取歌曲长度（没有音乐时以最后一个音符结束后 2 秒为终点）
+     * @returns {number} 秒
+     */
+    getSongDuration() {
+        if (this.hasMusic) {
+            return audioManager.getMusicInfo().duration;
+        }
+        const lastNote = noteManager.chart[noteManager.chart.length - 1];
+        return lastNote ? (lastNote.endTime !== undefined ? lastNote.endTime : lastNote.time) + 2 : 0;
+    }
+    
+    /**
+     * 练习中跳转：Conductor、音乐和音符同时跳到指定时间，并重新统计
+     * @param {number} time - 跳转到的时间（秒，可以为负数，此时等到 0 秒再播放音乐）
+     * @param {number} firstNoteTime - 只生成不早于该时间的音符
+     */
+    seekPractice(time, firstNoteTime = time) {
+        conductor.seekTo(time);
+        noteManager.seekTo(time, firstNoteTime);
+        noteManager.resetStats();
+        
+        if (this.hasMusic) {
+            audioManager.seekTo(Math.max(0, time));
+            this.waitingForAudio = time < 0;
+            if (this.waitingForAudio) {
+                audioManager.pause();
+            } else if (this.isRunning) {
+                audioManager.play();
+            }
+        }
+    }
+    
+    /**
+     * 退出练习，回到加载界面
+     */
+    stopPractice() {
+        this.pause();
+        this.hidePauseOverlay();
+        this.isReady = false;
+        this.waitingForAudio = false;
+        practiceMode.onRateChange(1.0);
+        
+        conductor.reset();
+        inputManager.reset();
+        noteManager.reset();
+        if (this.hasMusic) {
+            audioManager.stop();
+        }
+        this.loadCurrentChart();
+        
+        if (this.musicLoader) {
+            this.musicLoader.classList.remove('hidden');
+        }
+    }
+    
+    /**
+     * 设置结算界面：重新开始、换歌、练习失误最多的段落
+     */
+    setupResults() {
+        resultsScreen.setup();
+        
+        resultsScreen.onRetry = () => {
+            this.reset();
+            this.startGame();
+        };
+        
+        resultsScreen.onChangeSong = () => {
+            this.reset();
+            
+            // 回到加载音乐的状态，旧音乐的谱面和分析结果不再使用
+            this.hasMusic = false;
+            this.musicAnalysis = null;
+            this.detectedTempo = null;
+            this.clearChart();
+            this.loadCurrentChart();
+            this.updateLoaderButtons();
+            this.updateStatus('请加载新的音乐文件，或无音乐开始');
+            if (this.musicLoader) {
+                this.musicLoader.classList.remove('hidden');
+            }
+        };
+        
+        resultsScreen.onPractice = (section) => this.startPractice(section);
+    }
+    
+    /**
+     * 设置下落倍速（加载界面输入框 + 窗口大小变化时重新计算可见长度）
+     */
+    setupScrollSpeed() {
+        let saved = 1.0;
+        try {
+            saved = parseFloat(localStorage.getItem(SCROLL_SPEED_STORAGE_KEY)) || 1.0;
+        } catch (error) {
+            console.warn('⚠️ 下落速度读取失败:', error);
+        }
+        noteManager.updateLaneLength();
+        noteManager.setHiSpeed(saved);
+        window.addEventListener('resize', () => noteManager.updateLaneLength());
+        
+        const speedInput = document.getElementById('scroll-speed-input');
+        if (!speedInput) return;
+        
+        speedInput.min = SCROLL_CONFIG.minHiSpeed;
+        speedInput.max = SCROLL_CONFIG.maxHiSpeed;
+        speedInput.step = SCROLL_CONFIG.hiSpeedStep;
+        speedInput.value = noteManager.hiSpeed;
+        speedInput.addEventListener('change', () => {
+            const value = parseFloat(speedInput.value);
+            if (Number.isFinite(value)) {
+                this.changeScrollSpeed(value);
+            }
+            speedInput.value = noteManager.hiSpeed;
+        });
+    }
+    
+    /**
+     * 设置触摸区域（加载界面下拉框）
+     */
+    setupTouchZone() {
+        const zoneSelect = document.getElementById('touch-zone-select');
+        if (!zoneSelect) return;
+        
+        Object.entries(TOUCH_ZONES).forEach(([zone, { label }]) => {
+            const option = document.createElement('option');
+            option.value = zone;
+            option.textContent = label;
+            zoneSelect.appendChild(option);
+        });
+        zoneSelect.value = inputManager.touchZone;
+        
+        zoneSelect.addEventListener('change', () => {
+            inputManager.setTouchZone(zoneSelect.value);
+        });
+    }
+    
+    /**
+     * 设置暂停恢复时的回退秒数（加载界面下拉框，保存到 localStorage）
+     */
+    setupRewind() {
+        try {
+            const saved = parseFloat(localStorage.getItem(REWIND_STORAGE_KEY));
+            this.rewindSeconds = REWIND_OPTIONS.includes(saved) ? saved : 0;
+        } catch (error) {
+            console.warn('⚠️ 回退设置读取失败:', error);
+        }
+        
+        const rewindSelect = document.getElementById('rewind-select');
+        if (!rewindSelect) return;
+        
+        REWIND_OPTIONS.forEach(seconds => {
+            const option = document.createElement('option');
+            option.value = seconds;
+            option.textContent = seconds > 0 ? `${seconds} 秒` : '不回退';
+            rewindSelect.appendChild(option);
+        });
+        rewindSelect.value = this.rewindSeconds;
+        
+        rewindSelect.addEventListener('change', () => {
+            this.rewindSeconds = parseFloat(rewindSelect.value);
+            try {
+                localStorage.setItem(REWIND_STORAGE_KEY, String(this.rewindSeconds));
+            } catch (error) {
+                console.warn('⚠️ 回退设置保存失败:', error);
+            }
+        });
+    }
+    
+    /**
+     * 设置空击与过早按下的判定规则（加载界面下拉框，由 noteManager 保存）
+     */
+    setupJudgeRules() {
+        [['ghost-tap-select', GHOST_TAP_RULES, 'ghostTap'], ['early-press-select', EARLY_PRESS_RULES, 'earlyPress']].forEach(([id, rules, key]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            
+            Object.entries(rules).forEach(([rule, label]) => {
+                const option = document.createElement('option');
+                option.value = rule;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = noteManager.rules[key];
+            
+            select.addEventListener('change', () => {
+                noteManager.setRules({ [key]: select.value });
+            });
+        });
+    }
+    
+    /**
+     * 设置计分方式（加载界面下拉框，由 noteManager 保存）
+     */
+    setupScoring() {
+        const scoringSelect = document.getElementById('scoring-select');
+        if (!scoringSelect) return;
+        
+        Object.entries(SCORING_MODES).forEach(([scoring, label]) => {
+            const option = document.createElement('option');
+            option.value = scoring;
+            option.textContent = label;
+            scoringSelect.appendChild(option);
+        });
+        scoringSelect.value = noteManager.scoring;
+        
+        scoringSelect.addEventListener('change', () => {
+            noteManager.setScoring(scoringSelect.value);
+        });
+    }
+    
+    /**
+     * 设置血条类型（加载界面下拉框，由 lifeGauge 保存）
+     */
+    setupGauge() {
+        lifeGauge.setup();
+        
+        const gaugeSelect = document.getElementById('gauge-select');
+        if (!gaugeSelect) return;
+        
+        Object.entries(GAUGE_TYPES).forEach(([type, { label }]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = label;
+            gaugeSelect.appendChild(option);
+        });
+        gaugeSelect.value = lifeGauge.type;
+        
+        gaugeSelect.addEventListener('change', () => {
+            lifeGauge.setType(gaugeSelect.value);
+        });
+    }
+    
+    /**
+     * 修改并保存下落倍速
+     * @param {number} hiSpeed
+     */
+    changeScrollSpeed(hiSpeed) {
+        const applied = noteManager.setHiSpeed(hiSpeed);
+        try {
+            localStorage.setItem(SCROLL_SPEED_STORAGE_KEY, String(applied));
+        } catch (error) {
+            console.warn('⚠️ 下落速度保存失败:', error);
+        }
+        
+        const speedInput = document.getElementById('scroll-speed-input');
+        if (speedInput) {
+            speedInput.value = applied;
+        }
+    }
+    
+    /**
+     * 游戏中微调偏移后短暂显示当前值
+     * @param {string} key - 'audio' | 'visual'
+     */
+    showOffset(key) {
+        const { audio, visual } = latencyCalibrator.offsets;
+        this.showHint(key === 'audio' ? `音频偏移 ${audio}ms` : `画面偏移 ${visual}ms`);
+    }
+    
+    /**
+     * 在画面上方短暂显示一行提示（偏移、下落速度等设置）
+     * @param {string} text
+     */
+    showHint(text) {
+        const display = document.getElementById('offset-display');
+        if (!display) return;
+        
+        display.textContent = text;
+        display.style.display = 'block';
+        
+        clearTimeout(this.offsetDisplayTimer);
+        this.offsetDisplayTimer = setTimeout(() => {
+            display.style.display = 'none';
+        }, 1500);
+    }
+    
+    /**
+     * 更新录制指示器
+     */
+    updateRecordIndicator() {
+        if (!this.recordIndicator) return;
+        
+        if (tapRecorder.isRecording) {
+            this.recordIndicator.textContent = `● REC ${tapRecorder.getCount()}`;
+            this.recordIndicator.style.display = 'block';
+        } else {
+            this.recordIndicator.style.display = 'none';
+        }
+    }
+    
+    /**
+     * 从编辑器试玩（从指定时间开始）
+     * @param {Array} notes - 编辑中的音符
+     * @param {number} startTime - 开始时间（秒）
+     */
+    startPlaytest(notes, startTime) {
+        this.playtest = { notes, startTime };
+        this.isRunning = false;
+        
+        conductor.reset();
+        inputManager.reset();
+        noteManager.reset();
+        
+        // 只加载起点之后的音符，避免之前的音符全部判为 Miss
+        noteManager.loadChart(notes.filter(note => note.time >= startTime).map(note => ({ ...note })));
+        conductor.seekTo(startTime);
+        if (this.hasMusic) {
+            audioManager.seekTo(startTime);
+        }
+        
+        this.startGame();
+        console.log(`🧪 从 ${startTime.toFixed(2)}s 开始试玩`);
+    }
+    
+    /**
+     * 结束试玩并返回编辑器
+     */
+    stopPlaytest() {
+        const time = Math.max(0, conductor.getCurrentTime());
+        
+        this.pause();
+        this.hidePauseOverlay();
+        this.isReady = false;
+        this.playtest = null;
+        
+        inputManager.reset();
+        noteManager.reset();
+        
+        chartEditor.resume(time);
+        console.log('🧪 试玩结束，返回编辑器');
+    }
+    
+    /**
+     * 开始游戏
+     */
+    async startGame() {
+        // 隐藏加载界面
+        if (this.musicLoader) {
+            this.musicLoader.classList.add('hidden');
+        }
+        
+        // 从头开始且谱面有前奏留白时，计时从负数开始，音乐稍后播放（练习区间的预备时间同样可能为负数）
+        if (this.hasMusic && this.leadIn > 0 && conductor.getCurrentTime() === 0) {
+            conductor.seekTo(-this.leadIn);
+        }
+        this.waitingForAudio = this.hasMusic && conductor.getCurrentTime() < 0;
+        
+        // 倒计时（期间退出练习或试玩会取消开始）
+        if (!await this.runCountdown()) return;
+        
+        // 启动 Conductor
+        conductor.start();
+        
+        // 如果有音乐，播放音乐并显示音乐信息
+        if (this.hasMusic) {
+            if (!this.waitingForAudio) {
+                await audioManager.play();
+            }
+            this.showMusicInfo();
+            console.log('🎵 音乐开始播放');
+        }
+        
+        // 启动游戏循环
+        this.isReady = true;
+        this.start();
+        
+        console.log('▶️ 游戏开始！');
+        console.log(`🎹 使用键盘 ${inputManager.describeBindings()} 或点击/触摸底部判定框进行游戏`);
+    }
+    
+    /**
+     * 显示音乐信息
+     */
+    showMusicInfo() {
+        if (!this.musicInfoDisplay) return;
+        
+        const info = audioManager.getMusicInfo();
+        this.musicInfoDisplay.innerHTML = `
+            <div class="music-meta">
+                <div class="music-title">♪ ${info.title}</div>
+                <div class="music-artist">${info.artist}</div>
+                <div class="music-bpm">${info.bpm} BPM</div>
+            </div>
+        `;
+        this.musicInfoDisplay.style.display = 'block';
+        
+        // 5秒后淡出
+        setTimeout(() => {
+            if (this.musicInfoDisplay) {
+                this.musicInfoDisplay.style.opacity = '0';
+            }
+        }, 5000);
+    }
+    
+    /**
+     * 更新状态文本
+     * @param {string} text
+     * @param {boolean} isError - 是否为错误信息
+     */
+    updateStatus(text, isError = false) {
+        if (this.musicStatus) {
+            this.musicStatus.textContent = text;
+            this.musicStatus.classList.toggle('error', isError);
+        }
+    }
+    
+    /**
+     * 启动游戏循环
+     */
+    start() {
+        if (this.isRunning) return;
+        
+        this.isRunning = true;
+        this.lastFrameTime = performance.now();
+        
+        // 启动主循环
+        this.gameLoop(this.lastFrameTime);
+        
+        console.log('▶️ 游戏开始');
+    }
+    
+    /**
+     * 暂停游戏
+     */
+    pause() {
+        this.stopCountdown();
+        this.isRunning = false;
+        conductor.pause();
+        if (this.hasMusic) {
+            audioManager.pause();
+        }
+        this.pollGamepadsWhilePaused();
+        console.log('⏸️ 游戏暂停');
+    }
+    
+    /**
+     * 恢复游戏（倒计时后继续）
+     * @param {boolean} rewind - 是否按设置回退几秒（练习模式按 R 回到 A 点时不需要）
+     */
+    async resume(rewind = true) {
+        if (this.isRunning || this.isCountingDown) return;
+        
+        console.log('⏯️ 正在恢复游戏...');
+        
+        // 录制中回退会重复记录已经打过的拍子
+        if (rewind && this.rewindSeconds > 0 && !tapRecorder.isRecording) {
+            this.rewindForResume();
+        }
+        
+        if (!await this.runCountdown()) return;
+        
+        // 恢复音乐（前奏留白中则等到 0 秒再播放）
+        if (this.hasMusic && !this.waitingForAudio) {
+            await audioManager.play();
+        }
+        
+        // 重置状态并启动游戏循环
+        this.isRunning = true;
+        
+        // 使用 requestAnimationFrame 来正确启动游戏循环
+        // 在回调中同步设置 conductor 的时间基准，确保时间戳匹配
+        requestAnimationFrame((timestamp) => {
+            // 在这里启动 conductor，使用 requestAnimationFrame 提供的 timestamp
+            conductor.performanceStartTime = timestamp;
+            conductor.isRunning = true;
+            
+            // 如果是从暂停恢复，使用保存的时间（前奏留白中为负数）
+            if (conductor.pausedTime !== 0) {
+                conductor.timeOffset = conductor.pausedTime;
+                conductor.pausedTime = 0;
+            }
+            
+            console.log('🎵 Conductor resumed at', conductor.timeOffset.toFixed(2), 's');
+            
+            // 启动游戏循环
+            this.lastFrameTime = timestamp;
+            this.gameLoop(timestamp);
+        });
+        
+        console.log('▶️ 游戏恢复中...');
+    }
+    
+    /**
+     * 恢复前回退：Conductor、音乐和音符一起退回 rewindSeconds 秒（不早于 0 秒或当前的前奏位置）
+     * 已判定的音符只重放显示，统计保持不变
+     */
+    rewindForResume() {
+        const from = conductor.getCurrentTime();
+        const time = Math.max(Math.min(from, 0), from - this.rewindSeconds);
+        if (time >= from) return;
+        
+        conductor.seekTo(time);
+        noteManager.rewindTo(conductor.getJudgeTime());
+        
+        if (this.hasMusic) {
+            audioManager.seekTo(Math.max(0, time));
+            this.waitingForAudio = time < 0;
+        }
+        
+        // 暂停中不会刷新画面，先把音符画到回退后的位置
+        noteManager.update(conductor.getJudgeTime(), 0);
+        console.log(`⏪ 回退到 ${time.toFixed(2)}s`);
+    }
+    
+    /**
+     * 显示 3-2-1 倒计时
+     * @returns {Promise<boolean>} 倒计时完成为 true，被取消（暂停、退出）为 false
+     */
+    runCountdown() {
+        this.stopCountdown();
+        this.isCountingDown = true;
+        
+        const display = document.getElementById('countdown-display');
+        let count = COUNTDOWN_SECONDS;
+        
+        return new Promise(resolve => {
+            this.countdownResolve = resolve;
+            
+            const tick = () => {
+                if (count === 0) {
+                    this.stopCountdown(true);
+                    return;
+                }
+                
+                if (display) {
+                    display.textContent = count;
+                    display.classList.remove('hidden');
+                    
+                    // 触发动画（移除后重新添加）
+                    display.style.animation = 'none';
+                    setTimeout(() => {
+                        display.style.animation = '';
+                    }, 10);
+                }
+                count--;
+                this.countdownTimer = setTimeout(tick, 1000);
+            };
+            tick();
+        });
+    }
+    
+    /**
+     * 结束倒计时
+     * @param {boolean} completed - 是否正常结束（false 表示取消）
+     */
+    stopCountdown(completed = false) {
+        if (!this.isCountingDown) return;
+        
+        clearTimeout(this.countdownTimer);
+        this.countdownTimer = null;
+        this.isCountingDown = false;
+        
+        const display = document.getElementById('countdown-display');
+        if (display) {
+            display.classList.add('hidden');
+        }
+        
+        const resolve = this.countdownResolve;
+        this.countdownResolve = null;
+        if (resolve) resolve(completed);
+    }
+    
+    /**
+     * 重置游戏
+     */
+    reset() {
+        this.waitingForAudio = false;
+        conductor.reset();
+        inputManager.reset();
+        noteManager.reset();
+        
+        if (this.hasMusic) {
+            audioManager.stop();
+        }
+        this.loadCurrentChart();
+        
+        console.log('🔄 游戏重置');
+    }
+    
+    /**
+     * 游戏主循环 (使用 requestAnimationFrame)
+     * @param {number} timestamp - 当前时间戳
+     */
+    gameLoop(timestamp) {
+        if (!this.isRunning) return;
+        
+        // 计算帧时间差
+        this.deltaTime = (timestamp - this.lastFrameTime) / 1000; // 转换为秒
+        this.lastFrameTime = timestamp;
+        
+        // 更新逻辑
+        this.update(timestamp);
+        
+        // 渲染
+        this.render();
+        
+        // 继续下一帧
+        requestAnimationFrame((t) => this.gameLoop(t));
+    }
+    
+    /**
+     * 更新游戏逻辑
+     * @param {number} timestamp
+     */
+    update(timestamp) {
+        // 轮询手柄（按下/松开与键盘一样经过 inputManager）
+        gamepadInput.poll();
+        
+        // 更新 Conductor 时间
+        conductor.update(timestamp);
+        
+        // 前奏留白结束，开始播放音乐
+        if (this.waitingForAudio && conductor.getCurrentTime() >= 0) {
+            this.waitingForAudio = false;
+            audioManager.play();
+        }
+        
+        // 如果有音乐，跟随音频时钟修正漂移
+        if (this.hasMusic && audioManager.isPlaying) {
+            conductor.syncToAudio(audioManager.getClockTime());
+        }
+        
+        // 练习模式到达 B 点时回到 A 点
+        practiceMode.update(conductor.getCurrentTime());
+        
+        // 更新音符系统（判定时间已扣除校准的延迟）
+        const currentTime = conductor.getJudgeTime();
+        noteManager.update(currentTime, this.deltaTime);
+        
+        // 长按期间轨道已松开（例如暂停时松开按键）则结算尾部
+        noteManager.getHoldingTracks().forEach(track => {
+            if (!inputManager.isTrackActive(track)) {
+                noteManager.release(track, currentTime);
+            }
+        });
+        
+        // 血条耗尽（试玩、录制和练习的不会失败模式下继续）
+        if (lifeGauge.failed && !this.playtest && !tapRecorder.isRecording && !(practiceMode.isActive && practiceMode.noFail)) {
+            this.onGameFail();
+            return;
+        }
+        
+        // 检查音乐是否结束
+        if (this.hasMusic && audioManager.isEnded()) {
+            this.onGameEnd();
+        }
+        
+        // 计算 FPS（每秒更新一次）
+        this.frameCount++;
+        if (this.frameCount % 60 === 0) {
+            this.fps = Math.round(1 / this.deltaTime);
+        }
+    }
+    
+    /**
+     * 游戏结束
+     */
+    onGameEnd() {
+        // 试玩结束直接回到编辑器
+        if (this.playtest) {
+            this.stopPlaytest();
+            return;
+        }
+        
+        // 录制结束打开编辑器
+        if (tapRecorder.isRecording) {
+            this.stopRecording();
+            return;
+        }
+        
+        // 练习模式播放到结尾时从头循环（不保存成绩）
+        if (practiceMode.isActive) {
+            practiceMode.loop();
+            return;
+        }
+        
+        this.pause();
+        this.showResults();
+    }
+    
+    /**
+     * 血条耗尽：练习中从 A 点重来；否则停止游戏，音乐淡出的同时显示结算（Failed）
+     */
+    onGameFail() {
+        if (practiceMode.isActive) {
+            console.log('💀 血条耗尽，从 A 点重来');
+            practiceMode.loop();
+            return;
+        }
+        
+        this.isRunning = false;
+        conductor.pause();
+        if (this.hasMusic) {
+            audioManager.fadeOut(GAUGE_CONFIG.fadeOutTime);
+        }
+        this.pollGamepadsWhilePaused();
+        console.log('💀 血条耗尽，游戏失败');
+        this.showResults();
+    }
+    
+    /**
+     * 保存成绩并显示结算界面
+     */
+    showResults() {
+        const stats = noteManager.getStats();
+        console.log('🎮 游戏结束！');
+        console.log('📊 最终统计:', stats);
+        if (this.hasMusic) {
+            console.log('🎚️ 音频同步:', conductor.getDriftStats());
+        }
+        
+        const chartInfo = this.getChartInfo();
+        this.saveResult(stats, chartInfo);
+        
+        // 结算界面打开期间不响应暂停和重新开始的快捷键
+        this.isReady = false;
+        inputManager.reset();
+        resultsScreen.open(stats, noteManager.getJudgmentLog(), chartInfo, this.getSongDuration());
+    }
+    
+    /**
+     * 保存成绩到 localStorage（包含种子、难度和判定规则，方便重新生成同一谱面并比较成绩）
+     * @param {Object} stats - noteManager.getStats() 的结果
+     * @param {Object} chartInfo - getChartInfo() 的结果
+     */
+    saveResult(stats, chartInfo) {
+        try {
+            const results = JSON.parse(localStorage.getItem(RESULTS_STORAGE_KEY) || '[]');
+            results.unshift({
+                date: new Date().toISOString(),
+                title: audioManager.getMusicInfo().title,
+                ...chartInfo,
+                score: stats.score,
+                maxCombo: stats.maxCombo,
+                accuracy: stats.accuracy,
+                clearType: stats.clearType,
+                scoring: stats.scoring,
+                gaugeType: stats.gaugeType,
+                hitErrorMean: stats.hitErrorMean,
+                unstableRate: stats.unstableRate,
+                judgmentCounts: stats.judgmentCounts,
+                ghostTaps: stats.ghostTaps,
+                ignoredPresses: stats.ignoredPresses,
+                rules: stats.rules
+            });
+            localStorage.setItem(RESULTS_STORAGE_KEY, JSON.stringify(results.slice(0, RESULTS_MAX_COUNT)));
+        } catch (error) {
+            console.warn('⚠️ 成绩保存失败:', error);
+        }
+    }
+    
+    /**
+     * 渲染游戏画面
+     */
+    render() {
+        // 更新时间显示
+        if (this.timeDisplay) {
+            const currentTime = conductor.getFormattedTime();
+            const drift = this.hasMusic ? ` | Drift: ${(conductor.getDrift() * 1000).toFixed(1)}ms` : '';
+            this.timeDisplay.textContent = `Current Time: ${currentTime}s${drift}`;
+        }
+        
+        // 更新分数和连击显示
+        const stats = noteManager.getStats();
+        
+        if (this.scoreDisplay) {
+            this.scoreDisplay.textContent = `分数: ${stats.score}`;
+        }
+        
+        if (this.accuracyDisplay) {
+            this.accuracyDisplay.textContent = formatAccuracy(stats.accuracy);
+        }
+        
+        if (this.comboDisplay) {
+            if (stats.combo > 0) {
+                this.comboDisplay.textContent = `${stats.combo} COMBO`;
+                this.comboDisplay.style.display = 'block';
+            } else {
+                this.comboDisplay.style.display = 'none';
+            }
+        }
+    }
+    
+    /**
+     * 处理轨道点击事件
+     * 按事件发生的时间判定，而不是上一帧的时间（60 fps 下每帧约 16ms）
+     * @param {number} trackIndex - 轨道索引 (0 到键数-1)
+     * @param {number} timeStamp - 按下的时间（performance 时间，毫秒）
+     */
+    handleTrackHit(trackIndex, timeStamp = performance.now()) {
+        const currentTime = conductor.getJudgeTimeAt(timeStamp);
+        
+        // 录制模式只记录时间，不判定
+        if (tapRecorder.isRecording) {
+            if (this.isRunning) {
+                tapRecorder.press(trackIndex, currentTime);
+                this.updateRecordIndicator();
+            }
+            return;
+        }
+        
+        // 暂停和倒计时期间不判定
+        if (!this.isRunning) return;
+        
+        // 判定音符
+        const judgment = noteManager.hit(trackIndex, currentTime);
+        
+        if (judgment) {
+            console.log(`🎯 轨道 ${trackIndex} | 判定: ${judgment} | 连击: ${noteManager.combo}`);
+        }
+    }
+    
+    /**
+     * 处理轨道松开事件
+     * @param {number} trackIndex - 轨道索引 (0 到键数-1)
+     * @param {number} timeStamp - 松开的时间（performance 时间，毫秒）
+     */
+    handleTrackRelease(trackIndex, timeStamp = performance.now()) {
+        const currentTime = conductor.getJudgeTimeAt(timeStamp);
+        
+        // 录制模式记录松开时间（用于长按）
+        if (tapRecorder.isRecording) {
+            tapRecorder.release(trackIndex, currentTime);
+            return;
+        }
+        
+        // 暂停期间的松开留到恢复后在 update 中结算
+        if (!this.isRunning) return;
+        
+        const judgment = noteManager.release(trackIndex, currentTime);
+        
+        if (judgment) {
+            console.log(`🎯 轨道 ${trackIndex} | 长按尾判: ${judgment} | 连击: ${noteManager.combo}`);
+        }
+    }
+    
+    /**
+     * 获取当前游戏状态
+     * @returns {Object}
+     */
+    getGameState() {
+        return {
+            isRunning: this.isRunning,
+            currentTime: conductor.getCurrentTime(),
+            currentBeat: conductor.getCurrentBeat(),
+            bpm: conductor.getBPM(),
+            fps: this.fps,
+            drift: conductor.getDriftStats(),
+            activeTracks: inputManager.getActiveTracks()
+        };
+    }
+}
+
+// 创建并启动游戏实例
+let game;
+
+// 确保在 DOM 加载后创建游戏实例
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        game = new Game();
+    });
+} else {
+    game = new Game();
+}
+
+// 暴露到全局作用域（方便调试）
+window.game = game;
+window.conductor = conductor;
+window.inputManager = inputManager;
+window.noteManager = noteManager;
+window.audioManager = audioManager;
+
+// 添加一些便捷的调试命令
+console.log('');
+console.log('🎮 ===== 指尖跳动 (Finger Flow) =====');
+console.log('💡 调试命令:');
+console.log('   game.pause() - 暂停游戏');
+console.log('   game.resume() - 继续游戏');
+console.log('   game.reset() - 重置游戏');
+console.log('   game.getGameState() - 获取游戏状态');
+console.log('   noteManager.getStats() - 查看统计数据');
+console.log('   audioManager.setVolume(0.5) - 设置音量');
+console.log('   conductor.setBPM(176) - 设置BPM');
+console.log('=====================================');
+console.log('');
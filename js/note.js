@@ -1,418 +1,1149 @@
-/**
- * Note - 音符系统
- * 包含音符类和音符管理器
- */
-
-// 判定时间窗口（秒）
-const JUDGMENT_WINDOWS = {
-    PERFECT: 0.050,  // ±50ms
-    GREAT: 0.100,    // ±100ms
-    GOOD: 0.150,     // ±150ms
-    MISS: 0.200      // ±200ms
-};
-
-// 判定分数
-const JUDGMENT_SCORES = {
-    PERFECT: 100,
-    GREAT: 80,
-    GOOD: 50,
-    MISS: 0
-};
-
-/**
- * 音符类
- */
-class Note {
-    constructor(track, hitTime) {
-        this.track = track;           // 轨道索引 (0-3)
-        this.hitTime = hitTime;       // 应该被击中的时间（秒）
-        this.isHit = false;           // 是否已被击中
-        this.isMissed = false;        // 是否已错过
-        this.element = null;          // DOM 元素
-        this.fallSpeed = 400;         // 下落速度（像素/秒）- 已调慢到原来的一半
-        
-        this.createElement();
-    }
-    
-    /**
-     * 创建音符的 DOM 元素
-     */
-    createElement() {
-        this.element = document.createElement('div');
-        this.element.className = 'note';
-        this.element.dataset.track = this.track;
-        
-        // 添加音符内部发光效果
-        const glow = document.createElement('div');
-        glow.className = 'note-glow';
-        this.element.appendChild(glow);
-        
-        // 添加到对应的轨道
-        const trackElement = document.querySelector(`.track[data-track="${this.track}"]`);
-        if (trackElement) {
-            trackElement.appendChild(this.element);
-        }
-    }
-    
-    /**
-     * 更新音符位置
-     * @param {number} currentTime - 当前游戏时间
-     * @param {number} deltaTime - 帧时间差
-     */
-    update(currentTime, deltaTime) {
-        if (this.isHit || this.isMissed) return;
-        
-        // 计算距离判定线的时间差
-        const timeDiff = this.hitTime - currentTime;
-        
-        // 如果音符已经过了 Miss 窗口，标记为错过
-        if (timeDiff < -JUDGMENT_WINDOWS.MISS) {
-            this.miss();
-            return;
-        }
-        
-        // 计算音符位置（从上往下掉落）
-        // timeDiff > 0 表示音符还未到达判定线
-        const position = timeDiff * this.fallSpeed;
-        
-        // 更新 DOM 位置（从底部往上计算）
-        if (this.element) {
-            // 判定线在底部约 130px 的位置
-            const judgmentLineY = 130;
-            this.element.style.bottom = `${judgmentLineY + position}px`;
-            
-            // 接近判定线时改变颜色
-            if (Math.abs(timeDiff) < JUDGMENT_WINDOWS.GREAT) {
-                this.element.classList.add('near-judgment');
-            }
-        }
-    }
-    
-    /**
-     * 判定音符击中
-     * @param {number} currentTime - 当前游戏时间
-     * @returns {string|null} - 判定结果 (PERFECT/GREAT/GOOD/null)
-     */
-    judge(currentTime) {
-        if (this.isHit || this.isMissed) return null;
-        
-        const timeDiff = Math.abs(this.hitTime - currentTime);
-        let judgment = null;
-        
-        if (timeDiff <= JUDGMENT_WINDOWS.PERFECT) {
-            judgment = 'PERFECT';
-        } else if (timeDiff <= JUDGMENT_WINDOWS.GREAT) {
-            judgment = 'GREAT';
-        } else if (timeDiff <= JUDGMENT_WINDOWS.GOOD) {
-            judgment = 'GOOD';
-        } else if (timeDiff <= JUDGMENT_WINDOWS.MISS) {
-            judgment = 'MISS';
-        }
-        
-        if (judgment) {
-            this.hit(judgment);
-        }
-        
-        return judgment;
-    }
-    
-    /**
-     * 标记音符为已击中
-     * @param {string} judgment - 判定结果
-     */
-    hit(judgment) {
-        this.isHit = true;
-        
-        if (this.element) {
-            this.element.classList.add('hit', judgment.toLowerCase());
-            
-            // 动画结束后移除元素
-            setTimeout(() => {
-                if (this.element && this.element.parentNode) {
-                    this.element.parentNode.removeChild(this.element);
-                }
-            }, 300);
-        }
-    }
-    
-    /**
-     * 标记音符为已错过
-     */
-    miss() {
-        this.isMissed = true;
-        
-        if (this.element) {
-            this.element.classList.add('missed');
-            
-            // 淡出后移除
-            setTimeout(() => {
-                if (this.element && this.element.parentNode) {
-                    this.element.parentNode.removeChild(this.element);
-                }
-            }, 300);
-        }
-    }
-    
-    /**
-     * 销毁音符
-     */
-    destroy() {
-        if (this.element && this.element.parentNode) {
-            this.element.parentNode.removeChild(this.element);
-        }
-    }
-}
-
-/**
- * 音符管理器
- */
-class NoteManager {
-    constructor() {
-        this.notes = [];              // 所有音符
-        this.activeNotes = [];        // 活跃的音符（未击中/未错过）
-        this.chart = [];              // 谱面数据
-        this.chartIndex = 0;          // 当前谱面索引
-        
-        // 统计数据
-        this.score = 0;
-        this.combo = 0;
-        this.maxCombo = 0;
-        this.judgmentCounts = {
-            PERFECT: 0,
-            GREAT: 0,
-            GOOD: 0,
-            MISS: 0
-        };
-        
-        // 预生成时间（提前多久生成音符）
-        this.spawnTime = 2.0; // 2秒
-    }
-    
-    /**
-     * 加载谱面
-     * @param {Array} chart - 谱面数据 [{track, time}, ...]
-     */
-    loadChart(chart) {
-        this.chart = chart.sort((a, b) => a.time - b.time);
-        this.chartIndex = 0;
-        console.log(`📝 谱面加载完成: ${chart.length} 个音符`);
-    }
-    
-    /**
-     * 生成测试谱面
-     */
-    generateTestChart() {
-        const testChart = [];
-        const startTime = 3.0; // 3秒后开始（给更多准备时间）
-        const interval = 1.0;  // 每1秒一个音符（降低密度）
-        const duration = 30;   // 30秒的谱面
-        
-        for (let time = startTime; time < startTime + duration; time += interval) {
-            // 随机选择轨道
-            const track = Math.floor(Math.random() * 4);
-            testChart.push({ track, time });
-            
-            // 偶尔生成双押
-            if (Math.random() > 0.7) {
-                let track2 = Math.floor(Math.random() * 4);
-                // 确保不是同一轨道
-                while (track2 === track) {
-                    track2 = Math.floor(Math.random() * 4);
-                }
-                testChart.push({ track: track2, time });
-            }
-        }
-        
-        this.loadChart(testChart);
-    }
-    
-    /**
-     * 更新音符管理器
-     * @param {number} currentTime - 当前游戏时间
-     * @param {number} deltaTime - 帧时间差
-     */
-    update(currentTime, deltaTime) {
-        // 生成新音符
-        this.spawnNotes(currentTime);
-        
-        // 更新所有活跃音符
-        this.activeNotes.forEach(note => {
-            note.update(currentTime, deltaTime);
-        });
-        
-        // 清理已击中或错过的音符
-        this.activeNotes = this.activeNotes.filter(note => !note.isHit && !note.isMissed);
-        
-        // 检查是否有自动 Miss 的音符
-        this.checkAutoMiss(currentTime);
-    }
-    
-    /**
-     * 生成音符
-     * @param {number} currentTime - 当前游戏时间
-     */
-    spawnNotes(currentTime) {
-        while (this.chartIndex < this.chart.length) {
-            const noteData = this.chart[this.chartIndex];
-            
-            // 如果音符应该在未来 spawnTime 秒内出现，就生成它
-            if (noteData.time <= currentTime + this.spawnTime) {
-                const note = new Note(noteData.track, noteData.time);
-                this.notes.push(note);
-                this.activeNotes.push(note);
-                this.chartIndex++;
-            } else {
-                break;
-            }
-        }
-    }
-    
-    /**
-     * 检查自动 Miss
-     * @param {number} currentTime - 当前游戏时间
-     */
-    checkAutoMiss(currentTime) {
-        this.activeNotes.forEach(note => {
-            if (!note.isHit && !note.isMissed) {
-                const timeDiff = currentTime - note.hitTime;
-                if (timeDiff > JUDGMENT_WINDOWS.MISS) {
-                    note.miss();
-                    this.addJudgment('MISS');
-                }
-            }
-        });
-    }
-    
-    /**
-     * 处理玩家击打
-     * @param {number} track - 轨道索引
-     * @param {number} currentTime - 当前游戏时间
-     * @returns {string|null} - 判定结果
-     */
-    hit(track, currentTime) {
-        // 找到该轨道上最接近判定线的未击中音符
-        let closestNote = null;
-        let minTimeDiff = Infinity;
-        
-        this.activeNotes.forEach(note => {
-            if (note.track === track && !note.isHit && !note.isMissed) {
-                const timeDiff = Math.abs(note.hitTime - currentTime);
-                if (timeDiff < minTimeDiff && timeDiff <= JUDGMENT_WINDOWS.MISS) {
-                    minTimeDiff = timeDiff;
-                    closestNote = note;
-                }
-            }
-        });
-        
-        if (closestNote) {
-            const judgment = closestNote.judge(currentTime);
-            if (judgment) {
-                this.addJudgment(judgment);
-                return judgment;
-            }
-        }
-        
-        return null;
-    }
-    
-    /**
-     * 添加判定结果
-     * @param {string} judgment - 判定结果
-     */
-    addJudgment(judgment) {
-        this.judgmentCounts[judgment]++;
-        
-        // 更新分数
-        this.score += JUDGMENT_SCORES[judgment];
-        
-        // 更新连击
-        if (judgment === 'MISS') {
-            this.combo = 0;
-        } else {
-            this.combo++;
-            if (this.combo > this.maxCombo) {
-                this.maxCombo = this.combo;
-            }
-        }
-        
-        // 显示判定文字
-        this.showJudgmentText(judgment);
-    }
-    
-    /**
-     * 显示判定文字
-     * @param {string} judgment - 判定结果
-     */
-    showJudgmentText(judgment) {
-        const judgmentDisplay = document.getElementById('judgment-display');
-        if (judgmentDisplay) {
-            judgmentDisplay.textContent = judgment;
-            judgmentDisplay.className = 'judgment-text ' + judgment.toLowerCase();
-            
-            // 触发动画（移除后重新添加类）
-            judgmentDisplay.style.animation = 'none';
-            setTimeout(() => {
-                judgmentDisplay.style.animation = '';
-            }, 10);
-        }
-    }
-    
-    /**
-     * 重置音符管理器
-     */
-    reset() {
-        // 清理所有音符
-        this.activeNotes.forEach(note => note.destroy());
-        this.notes = [];
-        this.activeNotes = [];
-        this.chartIndex = 0;
-        
-        // 重置统计
-        this.score = 0;
-        this.combo = 0;
-        this.maxCombo = 0;
-        this.judgmentCounts = {
-            PERFECT: 0,
-            GREAT: 0,
-            GOOD: 0,
-            MISS: 0
-        };
-        
-        console.log('🔄 音符管理器已重置');
-    }
-    
-    /**
-     * 获取统计数据
-     * @returns {Object}
-     */
-    getStats() {
-        return {
-            score: this.score,
-            combo: this.combo,
-            maxCombo: this.maxCombo,
-            judgmentCounts: { ...this.judgmentCounts },
-            totalNotes: this.chart.length,
-            hitNotes: this.judgmentCounts.PERFECT + this.judgmentCounts.GREAT + this.judgmentCounts.GOOD,
-            accuracy: this.calculateAccuracy()
-        };
-    }
-    
-    /**
-     * 计算准确率
-     * @returns {number}
-     */
-    calculateAccuracy() {
-        const total = Object.values(this.judgmentCounts).reduce((a, b) => a + b, 0);
-        if (total === 0) return 100;
-        
-        const weighted = 
-            this.judgmentCounts.PERFECT * 100 +
-            this.judgmentCounts.GREAT * 80 +
-            this.judgmentCounts.GOOD * 50;
-        
-        return (weighted / (total * 100) * 100).toFixed(2);
-    }
-}
-
-// 创建全局实例
-const noteManager = new NoteManager();
+/**
+ * Note - 音符系统
+ * 包含音符类和音符管理器
+ */
+
+// 判定时间窗口（秒）
+const JUDGMENT_WINDOWS = {
+    PERFECT: 0.050,  // ±50ms
+    GREAT: 0.100,    // ±100ms
+    GOOD: 0.150,     // ±150ms
+    MISS: 0.200      // ±200ms
+};
+
+// 判定分数（也是准确率的权重）
+const JUDGMENT_SCORES = {
+    PERFECT: 100,
+    GREAT: 80,
+    GOOD: 50,
+    MISS: 0
+};
+
+// 标准化计分：全部 PERFECT 为 max 分，与谱面长度无关
+const SCORE_CONFIG = {
+    max: 1000000,
+    comboBonusRatio: 0.2,   // 连击加成模式下按连击数加权的分数比例
+    comboBonusCap: 100      // 连击数达到该值后权重不再增加
+};
+
+// 计分方式（localStorage）
+const SCORING_STORAGE_KEY = 'fingerflow-scoring';
+const SCORING_MODES = {
+    STANDARD: '标准',
+    COMBO_BONUS: '连击加成'
+};
+const DEFAULT_SCORING = 'STANDARD';
+
+// 通关类型（从低到高，血条耗尽为 Failed）
+const CLEAR_TYPES = {
+    FAILED: 'Failed',
+    CLEAR: 'Clear',
+    FULL_COMBO: 'Full Combo',
+    ALL_PERFECT: 'All Perfect'
+};
+
+// 判定规则（localStorage）
+const JUDGE_RULES_STORAGE_KEY = 'fingerflow-judge-rules';
+
+// 空击（按下时轨道上没有可判定的音符）的处理方式
+const GHOST_TAP_RULES = {
+    ALLOW: '允许空击',
+    BREAK_COMBO: '空击断连',
+    MISS: '空击计为 MISS'
+};
+
+// 过早按下（比 GOOD 窗口更早、仍在 MISS 窗口内）的处理方式
+const EARLY_PRESS_RULES = {
+    CONSUME: '判 MISS 并消耗音符',
+    IGNORE: '忽略（不消耗音符，不计空击）'
+};
+
+const DEFAULT_JUDGE_RULES = { ghostTap: 'ALLOW', earlyPress: 'CONSUME' };
+
+// 下落速度设置
+const SCROLL_CONFIG = {
+    baseSpeed: 400,         // 1.0 倍速时的下落速度（像素/秒）
+    minHiSpeed: 0.5,
+    maxHiSpeed: 4.0,
+    hiSpeedStep: 0.1,
+    judgmentLineY: 130      // 判定线距轨道底部的距离（像素）
+};
+
+/**
+ * 根据时间差计算判定结果
+ * @param {number} timeDiff - 与目标时间的绝对时间差（秒）
+ * @returns {string|null} - PERFECT/GREAT/GOOD/MISS，超出窗口返回 null
+ */
+function getJudgment(timeDiff) {
+    if (timeDiff <= JUDGMENT_WINDOWS.PERFECT) return 'PERFECT';
+    if (timeDiff <= JUDGMENT_WINDOWS.GREAT) return 'GREAT';
+    if (timeDiff <= JUDGMENT_WINDOWS.GOOD) return 'GOOD';
+    if (timeDiff <= JUDGMENT_WINDOWS.MISS) return 'MISS';
+    return null;
+}
+
+/**
+ * 格式化准确率（HUD、暂停界面和结算共用）
+ * @param {number} accuracy - 准确率（%）
+ * @returns {string} 例如 "98.50%"
+ */
+function formatAccuracy(accuracy) {
+    return `${accuracy.toFixed(2)}%`;
+}
+
+/**
+ * 音符类
+ */
+class Note {
+    constructor(track, hitTime) {
+        this.track = track;           // 轨道索引 (0 到键数-1)
+        this.hitTime = hitTime;       // 应该被击中的时间（秒）
+        this.isHit = false;           // 是否已被击中
+        this.isMissed = false;        // 是否已错过
+        this.element = null;          // DOM 元素
+        this.fallSpeed = SCROLL_CONFIG.baseSpeed;  // 下落速度（像素/秒），由 NoteManager 按倍速设置
+        this.hitPosition = hitTime;   // 判定时间对应的卷轴位置（有下落速度变化时与 hitTime 不同）
+        this.index = -1;              // 在谱面中的索引
+        this.isReplay = false;        // 回退后重新显示的已判定音符（只显示，不再判定）
+        
+        this.createElement();
+    }
+    
+    /**
+     * 该音符产生的判定次数
+     * @returns {number}
+     */
+    get judgmentCount() {
+        return 1;
+    }
+    
+    /**
+     * 创建音符的 DOM 元素
+     */
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'note';
+        this.element.dataset.track = this.track;
+        
+        // 添加音符内部发光效果
+        const glow = document.createElement('div');
+        glow.className = 'note-glow';
+        this.element.appendChild(glow);
+        
+        // 添加到对应的轨道
+        const trackElement = document.querySelector(`.track[data-track="${this.track}"]`);
+        if (trackElement) {
+            trackElement.appendChild(this.element);
+        }
+    }
+    
+    /**
+     * 标记为回退重放的音符（半透明显示，不参与判定）
+     */
+    setReplay() {
+        this.isReplay = true;
+        if (this.element) {
+            this.element.classList.add('replay');
+        }
+    }
+    
+    /**
+     * 更新音符位置
+     * @param {number} currentTime - 当前游戏时间
+     * @param {number} deltaTime - 帧时间差
+     * @param {number} scrollPosition - 当前卷轴位置（没有下落速度变化时等于 currentTime）
+     */
+    update(currentTime, deltaTime, scrollPosition = currentTime) {
+        if (this.isHit || this.isMissed) return;
+        
+        // 计算距离判定线的时间差（错过判定由 NoteManager.checkAutoMiss 负责）
+        const timeDiff = this.hitTime - currentTime;
+        
+        // 计算音符位置（从上往下掉落）
+        // 卷轴位置差 > 0 表示音符还未到达判定线
+        const position = (this.hitPosition - scrollPosition) * this.fallSpeed;
+        
+        // 更新 DOM 位置（从底部往上计算）
+        if (this.element) {
+            this.element.style.bottom = `${SCROLL_CONFIG.judgmentLineY + position}px`;
+            
+            // 接近判定线时改变颜色
+            if (Math.abs(timeDiff) < JUDGMENT_WINDOWS.GREAT) {
+                this.element.classList.add('near-judgment');
+            }
+        }
+    }
+    
+    /**
+     * 判定音符击中
+     * @param {number} currentTime - 当前游戏时间
+     * @returns {string|null} - 判定结果 (PERFECT/GREAT/GOOD/MISS/null)
+     */
+    judge(currentTime) {
+        if (this.isHit || this.isMissed) return null;
+        
+        const judgment = getJudgment(Math.abs(this.hitTime - currentTime));
+        
+        if (judgment) {
+            this.hit(judgment);
+        }
+        
+        return judgment;
+    }
+    
+    /**
+     * 标记音符为已击中
+     * @param {string} judgment - 判定结果
+     */
+    hit(judgment) {
+        this.isHit = true;
+        
+        if (this.element) {
+            this.element.classList.add('hit', judgment.toLowerCase());
+            
+            // 动画结束后移除元素
+            setTimeout(() => {
+                if (this.element && this.element.parentNode) {
+                    this.element.parentNode.removeChild(this.element);
+                }
+            }, 300);
+        }
+    }
+    
+    /**
+     * 标记音符为已错过
+     */
+    miss() {
+        this.isMissed = true;
+        
+        if (this.element) {
+            this.element.classList.add('missed');
+            
+            // 淡出后移除
+            setTimeout(() => {
+                if (this.element && this.element.parentNode) {
+                    this.element.parentNode.removeChild(this.element);
+                }
+            }, 300);
+        }
+    }
+    
+    /**
+     * 销毁音符
+     */
+    destroy() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
+
+/**
+ * 长按音符类
+ * 头部按下时判定一次，松开（或按满到结束时间）时再判定一次
+ */
+class HoldNote extends Note {
+    constructor(track, hitTime, endTime) {
+        super(track, hitTime);
+        this.endTime = endTime;       // 长按结束时间（秒）
+        this.endPosition = endTime;   // 结束时间对应的卷轴位置
+        this.isHolding = false;       // 头部已击中，正在按住
+        this.headJudgment = null;     // 头部判定
+        this.tailJudgment = null;     // 尾部判定
+    }
+    
+    /**
+     * 长按音符需要两次判定（头 + 尾）
+     * @returns {number}
+     */
+    get judgmentCount() {
+        return 2;
+    }
+    
+    /**
+     * 创建长按音符的 DOM 元素（头部 + 身体）
+     */
+    createElement() {
+        super.createElement();
+        this.element.classList.add('hold-head');
+        
+        this.bodyElement = document.createElement('div');
+        this.bodyElement.className = 'hold-body';
+        this.bodyElement.dataset.track = this.track;
+        
+        // 身体放在头部之前，保证头部绘制在上层
+        if (this.element.parentNode) {
+            this.element.parentNode.insertBefore(this.bodyElement, this.element);
+        }
+    }
+    
+    /**
+     * 标记为回退重放的音符（身体同样半透明）
+     */
+    setReplay() {
+        super.setReplay();
+        if (this.bodyElement) {
+            this.bodyElement.classList.add('replay');
+        }
+    }
+    
+    /**
+     * 更新长按音符位置和长度
+     * @param {number} currentTime - 当前游戏时间
+     * @param {number} deltaTime - 帧时间差
+     * @param {number} scrollPosition - 当前卷轴位置
+     */
+    update(currentTime, deltaTime, scrollPosition = currentTime) {
+        if (this.isHit || this.isMissed) return;
+        
+        const judgmentLineY = SCROLL_CONFIG.judgmentLineY;
+        
+        // 按住时头部停在判定线上，身体逐渐缩短
+        const headDiff = this.isHolding ? 0 : this.hitTime - currentTime;
+        const headPosition = this.isHolding ? 0 : (this.hitPosition - scrollPosition) * this.fallSpeed;
+        const tailPosition = (this.endPosition - scrollPosition) * this.fallSpeed;
+        
+        if (this.element) {
+            this.element.style.bottom = `${judgmentLineY + headPosition}px`;
+            
+            if (!this.isHolding && Math.abs(headDiff) < JUDGMENT_WINDOWS.GREAT) {
+                this.element.classList.add('near-judgment');
+            }
+        }
+        
+        if (this.bodyElement) {
+            // 身体从头部中心延伸到尾部
+            const headHeight = this.element ? this.element.offsetHeight : 0;
+            this.bodyElement.style.bottom = `${judgmentLineY + headPosition + headHeight / 2}px`;
+            this.bodyElement.style.height = `${Math.max(0, tailPosition - headPosition)}px`;
+        }
+    }
+    
+    /**
+     * 判定头部击中
+     * @param {number} currentTime - 当前游戏时间
+     * @returns {string|null}
+     */
+    judge(currentTime) {
+        if (this.isHit || this.isMissed || this.isHolding) return null;
+        
+        const judgment = getJudgment(Math.abs(this.hitTime - currentTime));
+        
+        if (judgment === 'MISS') {
+            this.miss();
+        } else if (judgment) {
+            this.headJudgment = judgment;
+            this.isHolding = true;
+            this.element.classList.remove('near-judgment');
+            this.element.classList.add('holding');
+            this.bodyElement.classList.add('holding');
+        }
+        
+        return judgment;
+    }
+    
+    /**
+     * 松开长按，判定尾部
+     * 提前超过 GOOD 窗口松开视为 MISS
+     * @param {number} currentTime - 当前游戏时间
+     * @returns {string|null}
+     */
+    release(currentTime) {
+        if (!this.isHolding) return null;
+        
+        const timeLeft = Math.max(0, this.endTime - currentTime);
+        const judgment = timeLeft > JUDGMENT_WINDOWS.GOOD ? 'MISS' : getJudgment(timeLeft);
+        
+        this.isHolding = false;
+        this.tailJudgment = judgment;
+        
+        if (judgment === 'MISS') {
+            this.miss();
+        } else {
+            this.hit(judgment);
+        }
+        
+        return judgment;
+    }
+    
+    /**
+     * 标记为已击中（同时移除身体）
+     * @param {string} judgment
+     */
+    hit(judgment) {
+        this.removeBody();
+        super.hit(judgment);
+    }
+    
+    /**
+     * 标记为已错过
+     */
+    miss() {
+        this.isHolding = false;
+        if (this.bodyElement) {
+            this.bodyElement.classList.add('missed');
+        }
+        setTimeout(() => this.removeBody(), 300);
+        super.miss();
+    }
+    
+    /**
+     * 移除身体元素
+     */
+    removeBody() {
+        if (this.bodyElement && this.bodyElement.parentNode) {
+            this.bodyElement.parentNode.removeChild(this.bodyElement);
+        }
+    }
+    
+    /**
+     * 销毁音符
+     */
+    destroy() {
+        this.removeBody();
+        super.destroy();
+    }
+}
+
+/**
+ * 音符管理器
+ */
+class NoteManager {
+    constructor() {
+        this.notes = [];              // 所有音符
+        this.activeNotes = [];        // 活跃的音符（未击中/未错过）
+        this.chart = [];              // 谱面数据
+        this.chartIndex = 0;          // 当前谱面索引
+        this.totalJudgments = 0;      // 谱面的判定总数（长按算头尾两次）
+        this.maxComboWeight = 0;      // 全连时的连击加权总和
+        
+        // 回退后需要特殊处理的谱面音符：索引 -> 'replay'（已判定，只重放显示）| 'active'（仍在画面上，不再生成）
+        this.rewound = new Map();
+        
+        // 统计数据
+        this.score = 0;
+        this.combo = 0;
+        this.maxCombo = 0;
+        this.judgmentCounts = {
+            PERFECT: 0,
+            GREAT: 0,
+            GOOD: 0,
+            MISS: 0
+        };
+        this.ghostTaps = 0;           // 空击次数
+        this.ignoredPresses = 0;      // 被忽略的过早按下次数
+        this.judgedWeight = 0;        // 判定权重之和（PERFECT = 1）
+        this.comboWeight = 0;         // 按连击数加权的判定权重之和
+        this.hitErrorCount = 0;       // 击中（非 MISS）的偏移统计：次数、和、平方和（秒）
+        this.hitErrorSum = 0;
+        this.hitErrorSquareSum = 0;
+        
+        // 计分方式（见 SCORING_MODES）
+        this.scoring = this.loadScoring();
+        
+        // 判定记录 [{time, offset, judgment}, ...]：time 为音符时间（空击为按下时间）
+        // offset 为按下时间 − 音符时间（秒，正数偏晚）；自动 Miss、长按尾部和空击为 null
+        this.judgmentLog = [];
+        
+        // 空击与过早按下的判定规则 {ghostTap, earlyPress}
+        this.rules = this.loadRules();
+        
+        // 下落速度：倍速 × 基础速度；预生成距离由轨道可见长度决定
+        this.hiSpeed = 1.0;
+        this.fallSpeed = SCROLL_CONFIG.baseSpeed;
+        this.laneLength = 0;          // 判定线以上的可见长度（像素）
+        this.spawnTime = 2.0;         // 提前多久生成音符（1 倍速下的卷轴位置差，秒）
+        
+        // 谱面的时间点表（提供下落速度变化），为空时卷轴位置等于时间
+        this.timing = null;
+        
+        // 画面偏移（秒）：正数让音符提前到达判定线，用于补偿显示延迟
+        this.visualOffset = 0;
+        
+        // 播放速度（画面偏移是真实时间，放慢播放时按速度换算）
+        this.playbackRate = 1;
+    }
+    
+    /**
+     * 从 localStorage 读取判定规则（无效的项使用默认值）
+     * @returns {{ghostTap: string, earlyPress: string}}
+     */
+    loadRules() {
+        const rules = { ...DEFAULT_JUDGE_RULES };
+        try {
+            const saved = JSON.parse(localStorage.getItem(JUDGE_RULES_STORAGE_KEY) || '{}');
+            if (saved && GHOST_TAP_RULES[saved.ghostTap]) rules.ghostTap = saved.ghostTap;
+            if (saved && EARLY_PRESS_RULES[saved.earlyPress]) rules.earlyPress = saved.earlyPress;
+        } catch (error) {
+            console.warn('⚠️ 判定规则读取失败:', error);
+        }
+        return rules;
+    }
+    
+    /**
+     * 设置并保存判定规则
+     * @param {Object} rules - {ghostTap?, earlyPress?}，省略的项保持不变
+     */
+    setRules(rules) {
+        if (GHOST_TAP_RULES[rules.ghostTap]) this.rules.ghostTap = rules.ghostTap;
+        if (EARLY_PRESS_RULES[rules.earlyPress]) this.rules.earlyPress = rules.earlyPress;
+        
+        try {
+            localStorage.setItem(JUDGE_RULES_STORAGE_KEY, JSON.stringify(this.rules));
+        } catch (error) {
+            console.warn('⚠️ 判定规则保存失败:', error);
+        }
+        console.log(`⚖️ 判定规则: ${this.describeRules()}`);
+    }
+    
+    /**
+     * 判定规则的文字描述（例如 "允许空击 / 判 MISS 并消耗音符"）
+     * @param {Object} rules - 默认为当前规则
+     * @returns {string}
+     */
+    describeRules(rules = this.rules) {
+        return `${GHOST_TAP_RULES[rules.ghostTap]} / 过早按下${EARLY_PRESS_RULES[rules.earlyPress]}`;
+    }
+    
+    /**
+     * 从 localStorage 读取计分方式
+     * @returns {string}
+     */
+    loadScoring() {
+        try {
+            const saved = localStorage.getItem(SCORING_STORAGE_KEY);
+            if (SCORING_MODES[saved]) return saved;
+        } catch (error) {
+            console.warn('⚠️ 计分方式读取失败:', error);
+        }
+        return DEFAULT_SCORING;
+    }
+    
+    /**
+     * 设置并保存计分方式
+     * @param {string} scoring - SCORING_MODES 的键
+     */
+    setScoring(scoring) {
+        if (!SCORING_MODES[scoring]) return;
+        
+        this.scoring = scoring;
+        try {
+            localStorage.setItem(SCORING_STORAGE_KEY, scoring);
+        } catch (error) {
+            console.warn('⚠️ 计分方式保存失败:', error);
+        }
+        console.log(`🧮 计分方式: ${SCORING_MODES[scoring]}`);
+    }
+    
+    /**
+     * 设置画面偏移（只影响音符位置，不影响判定）
+     * @param {number} offset - 偏移（秒）
+     */
+    setVisualOffset(offset) {
+        this.visualOffset = offset;
+    }
+    
+    /**
+     * 设置播放速度
+     * @param {number} rate - 1 为原速
+     */
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+    }
+    
+    /**
+     * 设置下落倍速（同时作用于已生成的音符）
+     * @param {number} hiSpeed
+     * @returns {number} 限制范围后的倍速
+     */
+    setHiSpeed(hiSpeed) {
+        const clamped = Math.max(SCROLL_CONFIG.minHiSpeed, Math.min(SCROLL_CONFIG.maxHiSpeed, hiSpeed));
+        this.hiSpeed = Math.round(clamped * 100) / 100;
+        this.fallSpeed = SCROLL_CONFIG.baseSpeed * this.hiSpeed;
+        this.activeNotes.forEach(note => {
+            note.fallSpeed = this.fallSpeed;
+        });
+        this.updateSpawnTime();
+        return this.hiSpeed;
+    }
+    
+    /**
+     * 根据游戏区域高度重新计算可见长度（窗口大小改变时调用）
+     */
+    updateLaneLength() {
+        const gameArea = document.getElementById('game-area');
+        const height = gameArea ? gameArea.clientHeight : 0;
+        this.laneLength = Math.max(0, (height || window.innerHeight) - SCROLL_CONFIG.judgmentLineY);
+        this.updateSpawnTime();
+    }
+    
+    /**
+     * 音符从轨道顶端落到判定线所需的卷轴距离
+     */
+    updateSpawnTime() {
+        if (this.laneLength > 0) {
+            this.spawnTime = this.laneLength / this.fallSpeed;
+        }
+    }
+    
+    /**
+     * 设置时间点表（读取其中的下落速度变化）
+     * @param {TimingMap|null} timing
+     */
+    setTimingMap(timing) {
+        this.timing = timing;
+    }
+    
+    /**
+     * 秒 -> 卷轴位置
+     * @param {number} time
+     * @returns {number}
+     */
+    getScrollPosition(time) {
+        return this.timing ? this.timing.getScrollPosition(time) : time;
+    }
+    
+    /**
+     * 加载谱面
+     * @param {Array} chart - 谱面数据 [{track, time, endTime?}, ...]，带 endTime 的为长按音符
+     */
+    loadChart(chart) {
+        this.chart = chart.sort((a, b) => a.time - b.time);
+        this.chartIndex = 0;
+        this.rewound.clear();
+        this.totalJudgments = chart.reduce((total, note) => total + (note.endTime !== undefined ? 2 : 1), 0);
+        this.maxComboWeight = this.getComboWeightTotal(this.totalJudgments);
+        console.log(`📝 谱面加载完成: ${chart.length} 个音符`);
+    }
+    
+    /**
+     * 生成测试谱面
+     * @param {number} seed - 随机种子
+     * @param {string} difficulty - 难度键名
+     * @param {TimingMap} timing - 时间点表（第一拍在 3 秒，120 BPM）
+     * @param {number} lanes - 键数
+     */
+    generateTestChart(seed, difficulty, timing, lanes = DEFAULT_LANE_COUNT) {
+        // 3秒后开始（给更多准备时间），120 BPM，30秒的谱面
+        const testChart = chartGenerator.generate({
+            seed,
+            difficulty,
+            timing,
+            duration: 33,
+            startTime: 3.0,
+            endPadding: 0,
+            lanes
+        });
+        
+        this.loadChart(testChart);
+    }
+    
+    /**
+     * 跳转到指定时间：清除画面上的音符，从该时间之后的第一个音符重新生成
+     * 跳过的音符不计入统计（需要时由调用方 resetStats）
+     * @param {number} time - 跳转到的时间（秒）
+     * @param {number} firstNoteTime - 只保留不早于该时间的音符，默认与 time 相同
+     */
+    seekTo(time, firstNoteTime = time) {
+        this.activeNotes.forEach(note => note.destroy());
+        this.notes = [];
+        this.activeNotes = [];
+        this.rewound.clear();
+        this.chartIndex = this.findChartIndex(firstNoteTime);
+        
+        console.log(`⏩ 音符跳转到 ${time.toFixed(2)}s（从第 ${this.chartIndex + 1} 个音符开始）`);
+    }
+    
+    /**
+     * 回退到指定时间（暂停恢复前调用，不重置统计）
+     * 区间内已判定的音符重新生成为只显示的重放音符，未判定的照常生成，正在按住的长按保持不变
+     * @param {number} time - 回退到的判定时间（秒）
+     */
+    rewindTo(time) {
+        const index = this.findChartIndex(time);
+        
+        // 上次回退中还没生成到的音符保留原来的状态，本次区间内的音符先全部视为已判定
+        const rewound = new Map();
+        this.rewound.forEach((state, i) => {
+            if (i >= this.chartIndex) rewound.set(i, state);
+        });
+        for (let i = index; i < this.chartIndex; i++) {
+            rewound.set(i, 'replay');
+        }
+        
+        this.activeNotes.forEach(note => {
+            if (note.isHolding) {
+                rewound.set(note.index, 'active');
+                return;
+            }
+            if (!note.isReplay && !note.isHit && !note.isMissed) {
+                rewound.delete(note.index);
+            }
+            note.destroy();
+        });
+        
+        this.activeNotes = this.activeNotes.filter(note => note.isHolding);
+        this.rewound = rewound;
+        this.chartIndex = Math.min(index, this.chartIndex);
+        
+        console.log(`⏪ 音符回退到 ${time.toFixed(2)}s（从第 ${this.chartIndex + 1} 个音符开始）`);
+    }
+    
+    /**
+     * 二分查找第一个不早于给定时间的音符（谱面已按时间排序）
+     * @param {number} time
+     * @returns {number} 谱面索引
+     */
+    findChartIndex(time) {
+        let low = 0;
+        let high = this.chart.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.chart[mid].time < time) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+    
+    /**
+     * 更新音符管理器
+     * @param {number} currentTime - 当前游戏时间
+     * @param {number} deltaTime - 帧时间差
+     */
+    update(currentTime, deltaTime) {
+        // 音符位置按画面偏移后的时间绘制
+        const renderTime = currentTime + this.visualOffset * this.playbackRate;
+        const scrollPosition = this.getScrollPosition(renderTime);
+        
+        // 生成新音符
+        this.spawnNotes(scrollPosition);
+        
+        // 检查是否有自动 Miss 的音符（需在音符自身更新前计入判定）
+        this.checkAutoMiss(currentTime);
+        
+        // 按满到结束时间的长按自动完成
+        this.checkHoldComplete(currentTime);
+        
+        // 更新所有活跃音符
+        this.activeNotes.forEach(note => {
+            note.update(renderTime, deltaTime, scrollPosition);
+        });
+        
+        // 清理已击中或错过的音符
+        this.activeNotes = this.activeNotes.filter(note => !note.isHit && !note.isMissed);
+    }
+    
+    /**
+     * 生成音符
+     * @param {number} scrollPosition - 当前卷轴位置
+     */
+    spawnNotes(scrollPosition) {
+        while (this.chartIndex < this.chart.length) {
+            const noteData = this.chart[this.chartIndex];
+            const hitPosition = this.getScrollPosition(noteData.time);
+            
+            // 如果音符即将进入轨道可见范围，就生成它
+            if (hitPosition <= scrollPosition + this.spawnTime) {
+                const state = this.rewound.get(this.chartIndex);
+                if (state === 'active') {
+                    this.chartIndex++;
+                    continue;
+                }
+                
+                const note = noteData.endTime !== undefined
+                    ? new HoldNote(noteData.track, noteData.time, noteData.endTime)
+                    : new Note(noteData.track, noteData.time);
+                note.fallSpeed = this.fallSpeed;
+                note.hitPosition = hitPosition;
+                if (noteData.endTime !== undefined) {
+                    note.endPosition = this.getScrollPosition(noteData.endTime);
+                }
+                note.index = this.chartIndex;
+                if (state === 'replay') {
+                    note.setReplay();
+                }
+                this.notes.push(note);
+                this.activeNotes.push(note);
+                this.chartIndex++;
+            } else {
+                break;
+            }
+        }
+    }
+    
+    /**
+     * 检查自动 Miss
+     * @param {number} currentTime - 当前游戏时间
+     */
+    checkAutoMiss(currentTime) {
+        this.activeNotes.forEach(note => {
+            // 重放音符已经判定过，越过判定线后直接移除
+            if (note.isReplay) {
+                const endTime = note.endTime !== undefined ? note.endTime : note.hitTime;
+                if (currentTime - endTime > JUDGMENT_WINDOWS.MISS) {
+                    note.isMissed = true;
+                    note.destroy();
+                }
+                return;
+            }
+            
+            if (!note.isHit && !note.isMissed && !note.isHolding) {
+                const timeDiff = currentTime - note.hitTime;
+                if (timeDiff > JUDGMENT_WINDOWS.MISS) {
+                    note.miss();
+                    // 长按音符的头尾都算 Miss
+                    this.addJudgment('MISS', note.hitTime);
+                    if (note.judgmentCount > 1) {
+                        this.addJudgment('MISS', note.endTime);
+                    }
+                }
+            }
+        });
+    }
+    
+    /**
+     * 检查按满的长按音符
+     * @param {number} currentTime - 当前游戏时间
+     */
+    checkHoldComplete(currentTime) {
+        this.activeNotes.forEach(note => {
+            if (note.isHolding && currentTime >= note.endTime) {
+                this.addJudgment(note.release(note.endTime), note.endTime);
+            }
+        });
+    }
+    
+    /**
+     * 处理玩家击打
+     * @param {number} track - 轨道索引
+     * @param {number} currentTime - 当前游戏时间
+     * @returns {string|null} - 判定结果（空击计为 MISS 时返回 MISS，其余空击返回 null）
+     */
+    hit(track, currentTime) {
+        // 找到该轨道上最接近判定线的未击中音符
+        let closestNote = null;
+        let minTimeDiff = Infinity;
+        let nearReplay = false;
+        let holding = false;
+        
+        this.activeNotes.forEach(note => {
+            if (note.track !== track) return;
+            if (note.isHolding) {
+                holding = true;
+            } else if (note.isReplay) {
+                nearReplay = nearReplay || Math.abs(note.hitTime - currentTime) <= JUDGMENT_WINDOWS.MISS;
+            } else if (!note.isHit && !note.isMissed) {
+                const timeDiff = Math.abs(note.hitTime - currentTime);
+                if (timeDiff < minTimeDiff && timeDiff <= JUDGMENT_WINDOWS.MISS) {
+                    minTimeDiff = timeDiff;
+                    closestNote = note;
+                }
+            }
+        });
+        
+        // 过早按下可以设置为忽略：不消耗音符（之后仍可正常击打），也不按空击处罚
+        if (closestNote && this.rules.earlyPress === 'IGNORE' &&
+            closestNote.hitTime - currentTime > JUDGMENT_WINDOWS.GOOD) {
+            this.ignoredPresses++;
+            return null;
+        }
+        
+        if (closestNote) {
+            const judgment = closestNote.judge(currentTime);
+            if (judgment) {
+                this.addJudgment(judgment, closestNote.hitTime, currentTime - closestNote.hitTime);
+                // 长按头部 Miss 时尾部同样 Miss
+                if (judgment === 'MISS' && closestNote.judgmentCount > 1) {
+                    this.addJudgment('MISS', closestNote.endTime);
+                }
+                return judgment;
+            }
+        }
+        
+        // 按住长按时同一轨道的其他按键、回退重放的音符附近的按下都不算空击
+        if (holding || (nearReplay && !closestNote)) return null;
+        
+        return this.ghostTap(currentTime);
+    }
+    
+    /**
+     * 按判定规则处理空击
+     * @param {number} currentTime - 按下时间
+     * @returns {string|null} 计为 MISS 时返回 'MISS'
+     */
+    ghostTap(currentTime) {
+        this.ghostTaps++;
+        
+        if (this.rules.ghostTap === 'MISS') {
+            this.addJudgment('MISS', currentTime);
+            return 'MISS';
+        }
+        if (this.rules.ghostTap === 'BREAK_COMBO') {
+            this.combo = 0;
+        }
+        return null;
+    }
+    
+    /**
+     * 处理玩家松开轨道
+     * @param {number} track - 轨道索引
+     * @param {number} currentTime - 当前游戏时间
+     * @returns {string|null} - 长按尾部判定结果
+     */
+    release(track, currentTime) {
+        const holdingNote = this.activeNotes.find(note => note.track === track && note.isHolding);
+        if (!holdingNote) return null;
+        
+        const judgment = holdingNote.release(currentTime);
+        if (judgment) {
+            this.addJudgment(judgment, holdingNote.endTime);
+        }
+        return judgment;
+    }
+    
+    /**
+     * 获取正在按住长按音符的轨道
+     * @returns {number[]}
+     */
+    getHoldingTracks() {
+        return this.activeNotes
+            .filter(note => note.isHolding)
+            .map(note => note.track);
+    }
+    
+    /**
+     * 添加判定结果
+     * @param {string} judgment - 判定结果
+     * @param {number} time - 音符时间（空击为按下时间）
+     * @param {number|null} offset - 按下时间 − 音符时间（秒），没有按下时为 null
+     */
+    addJudgment(judgment, time, offset = null) {
+        this.judgmentCounts[judgment]++;
+        this.judgmentLog.push({ time, offset, judgment });
+        
+        // 击中的偏移（过早按下的 MISS 不计入）
+        if (offset !== null && judgment !== 'MISS') {
+            this.hitErrorCount++;
+            this.hitErrorSum += offset;
+            this.hitErrorSquareSum += offset * offset;
+            hitErrorBar.add(offset, judgment);
+        }
+        
+        // 更新连击
+        if (judgment === 'MISS') {
+            this.combo = 0;
+        } else {
+            this.combo++;
+            if (this.combo > this.maxCombo) {
+                this.maxCombo = this.combo;
+            }
+        }
+        
+        // 更新分数
+        const weight = JUDGMENT_SCORES[judgment] / JUDGMENT_SCORES.PERFECT;
+        this.judgedWeight += weight;
+        this.comboWeight += weight * Math.min(this.combo, SCORE_CONFIG.comboBonusCap) / SCORE_CONFIG.comboBonusCap;
+        this.score = this.calculateScore();
+        lifeGauge.apply(judgment);
+        
+        // 显示判定文字
+        this.showJudgmentText(judgment);
+        this.showTimingText(judgment, offset);
+    }
+    
+    /**
+     * 显示判定文字
+     * @param {string} judgment - 判定结果
+     */
+    showJudgmentText(judgment) {
+        const judgmentDisplay = document.getElementById('judgment-display');
+        if (judgmentDisplay) {
+            judgmentDisplay.textContent = judgment;
+            judgmentDisplay.className = 'judgment-text ' + judgment.toLowerCase();
+            
+            // 触发动画（移除后重新添加类）
+            judgmentDisplay.style.animation = 'none';
+            setTimeout(() => {
+                judgmentDisplay.style.animation = '';
+            }, 10);
+        }
+    }
+    
+    /**
+     * 在判定文字旁显示 EARLY / LATE（PERFECT 和没有按下的判定不显示）
+     * @param {string} judgment - 判定结果
+     * @param {number|null} offset - 按下时间 − 音符时间（秒）
+     */
+    showTimingText(judgment, offset) {
+        const timingDisplay = document.getElementById('timing-display');
+        if (!timingDisplay) return;
+        
+        if (offset === null || judgment === 'PERFECT') {
+            timingDisplay.textContent = '';
+            timingDisplay.className = 'timing-text';
+            return;
+        }
+        
+        const timing = offset < 0 ? 'early' : 'late';
+        timingDisplay.textContent = `${timing.toUpperCase()} ${Math.round(Math.abs(offset) * 1000)}ms`;
+        timingDisplay.className = `timing-text ${timing}`;
+        
+        // 触发动画（与判定文字相同）
+        timingDisplay.style.animation = 'none';
+        setTimeout(() => {
+            timingDisplay.style.animation = '';
+        }, 10);
+    }
+    
+    /**
+     * 重置音符管理器
+     */
+    reset() {
+        // 清理所有音符
+        this.activeNotes.forEach(note => note.destroy());
+        this.notes = [];
+        this.activeNotes = [];
+        this.chartIndex = 0;
+        this.rewound.clear();
+        
+        this.resetStats();
+        
+        console.log('🔄 音符管理器已重置');
+    }
+    
+    /**
+     * 重置统计（练习模式每次循环时调用）
+     */
+    resetStats() {
+        this.score = 0;
+        this.combo = 0;
+        this.maxCombo = 0;
+        this.judgmentCounts = {
+            PERFECT: 0,
+            GREAT: 0,
+            GOOD: 0,
+            MISS: 0
+        };
+        this.ghostTaps = 0;
+        this.ignoredPresses = 0;
+        this.judgedWeight = 0;
+        this.comboWeight = 0;
+        this.hitErrorCount = 0;
+        this.hitErrorSum = 0;
+        this.hitErrorSquareSum = 0;
+        this.judgmentLog = [];
+        hitErrorBar.reset();
+        lifeGauge.reset();
+    }
+    
+    /**
+     * 获取统计数据
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            score: this.score,
+            combo: this.combo,
+            maxCombo: this.maxCombo,
+            judgmentCounts: { ...this.judgmentCounts },
+            totalNotes: this.chart.length,
+            hitNotes: this.judgmentCounts.PERFECT + this.judgmentCounts.GREAT + this.judgmentCounts.GOOD,
+            accuracy: this.calculateAccuracy(),
+            clearType: this.getClearType(),
+            scoring: this.scoring,
+            gaugeType: lifeGauge.type,
+            ...this.getHitErrorStats(),
+            ghostTaps: this.ghostTaps,
+            ignoredPresses: this.ignoredPresses,
+            rules: { ...this.rules }
+        };
+    }
+    
+    /**
+     * 击中偏移统计（毫秒，保留两位小数；没有击中时为 null）
+     * 负数平均值表示整体偏早；UR（unstable rate）为标准差 × 10
+     * @returns {{hitErrorMean: number|null, hitErrorStdDev: number|null, unstableRate: number|null}}
+     */
+    getHitErrorStats() {
+        if (this.hitErrorCount === 0) {
+            return { hitErrorMean: null, hitErrorStdDev: null, unstableRate: null };
+        }
+        
+        const mean = this.hitErrorSum / this.hitErrorCount;
+        const variance = Math.max(0, this.hitErrorSquareSum / this.hitErrorCount - mean * mean);
+        const stdDev = Math.sqrt(variance) * 1000;
+        const round = (value) => Math.round(value * 100) / 100;
+        return {
+            hitErrorMean: round(mean * 1000),
+            hitErrorStdDev: round(stdDev),
+            unstableRate: round(stdDev * 10)
+        };
+    }
+    
+    /**
+     * 获取判定记录（结算界面的偏移分布和 Miss 时间线）
+     * @returns {Array} [{time, offset, judgment}, ...]
+     */
+    getJudgmentLog() {
+        return this.judgmentLog.map(entry => ({ ...entry }));
+    }
+    
+    /**
+     * 计算准确率
+     * @returns {number} 百分比（保留两位小数）
+     */
+    calculateAccuracy() {
+        const total = Object.values(this.judgmentCounts).reduce((a, b) => a + b, 0);
+        if (total === 0) return 100;
+        
+        const weighted = Object.entries(this.judgmentCounts)
+            .reduce((sum, [judgment, count]) => sum + count * JUDGMENT_SCORES[judgment], 0);
+        
+        return Math.round(weighted / (total * JUDGMENT_SCORES.PERFECT) * 10000) / 100;
+    }
+    
+    /**
+     * 计算标准化分数：判定权重占谱面判定总数的比例 × 满分
+     * 连击加成模式下 comboBonusRatio 的分数改为按连击数加权（断连后需要重新积累）
+     * @returns {number} 0 - SCORE_CONFIG.max 的整数
+     */
+    calculateScore() {
+        if (this.totalJudgments === 0) return 0;
+        
+        let ratio = this.judgedWeight / this.totalJudgments;
+        if (this.scoring === 'COMBO_BONUS') {
+            const bonus = this.comboWeight / this.maxComboWeight;
+            ratio = ratio * (1 - SCORE_CONFIG.comboBonusRatio) + bonus * SCORE_CONFIG.comboBonusRatio;
+        }
+        return Math.round(Math.min(1, ratio) * SCORE_CONFIG.max);
+    }
+    
+    /**
+     * 全部判定都为 PERFECT 且不断连时的连击加权总和
+     * @param {number} count - 判定数
+     * @returns {number}
+     */
+    getComboWeightTotal(count) {
+        const cap = SCORE_CONFIG.comboBonusCap;
+        const ramp = Math.min(count, cap);
+        return ramp * (ramp + 1) / 2 / cap + Math.max(0, count - cap);
+    }
+    
+    /**
+     * 获取通关类型（见 CLEAR_TYPES）
+     * @returns {string}
+     */
+    getClearType() {
+        const counts = this.judgmentCounts;
+        const hitNotes = counts.PERFECT + counts.GREAT + counts.GOOD;
+        
+        if (lifeGauge.failed) return 'FAILED';
+        // 空击断连时最大连击小于击中数，同样不算全连
+        if (counts.MISS > 0 || this.maxCombo < hitNotes) return 'CLEAR';
+        if (counts.GREAT + counts.GOOD > 0) return 'FULL_COMBO';
+        return 'ALL_PERFECT';
+    }
+}
+
+// 创建全局实例
+const noteManager = new NoteManager();
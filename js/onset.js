@@ -0,0 +1,388 @@
+/**
+ * Onset - 音频起音检测与谱面生成
+ * 对解码后的音频做分频段频谱通量分析，把检测到的起音转换为音符
+ */
+
+// 分析参数
+const ONSET_CONFIG = {
+    fftSize: 1024,          // FFT 窗口大小（采样点）
+    hopSize: 512,           // 帧移（采样点），44.1kHz 下约 11.6ms
+    peakRadius: 3,          // 峰值检测半径（帧）
+    thresholdRadius: 12,    // 自适应阈值的均值窗口半径（帧）
+    chunkFrames: 400        // 每处理多少帧让出一次主线程
+};
+
+// 频段划分（Hz），从左到右依次对应轨道（键数多于频段数时，每个频段对应相邻的几条轨道）
+const ONSET_BANDS = [
+    [30, 150],      // 低频 - 底鼓、贝斯
+    [150, 600],     // 中低频 - 军鼓、人声基频
+    [600, 2500],    // 中高频 - 旋律、吉他
+    [2500, 10000]   // 高频 - 镲片、hi-hat
+];
+
+// 生成谱面的默认参数
+const ONSET_CHART_DEFAULTS = {
+    minStrength: 1.0,       // 起音强度下限（标准化后的通量），越小音符越多
+    minTime: 1.0,           // 最早的音符时间（秒）
+    groupWindow: 0.03,      // 多个频段在此时间内的起音视为同一时刻（秒）
+    minGap: 0.09,           // 相邻两组音符的最小间隔（秒）
+    laneGap: 0.15,          // 同一轨道相邻音符的最小间隔（秒）
+    chordStrength: 0.85     // 强度分位数，超过后在多频段同时起音时生成双押
+};
+
+/**
+ * 起音检测器
+ */
+class OnsetDetector {
+    constructor() {
+        this.fftSize = ONSET_CONFIG.fftSize;
+        this.hopSize = ONSET_CONFIG.hopSize;
+        
+        // 预计算 Hann 窗、位反转表和旋转因子
+        this.window = new Float32Array(this.fftSize);
+        for (let i = 0; i < this.fftSize; i++) {
+            this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (this.fftSize - 1));
+        }
+        
+        this.bitReverse = new Uint32Array(this.fftSize);
+        const bits = Math.log2(this.fftSize);
+        for (let i = 0; i < this.fftSize; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            this.bitReverse[i] = reversed;
+        }
+        
+        this.cosTable = new Float32Array(this.fftSize / 2);
+        this.sinTable = new Float32Array(this.fftSize / 2);
+        for (let i = 0; i < this.fftSize / 2; i++) {
+            this.cosTable[i] = Math.cos(2 * Math.PI * i / this.fftSize);
+            this.sinTable[i] = -Math.sin(2 * Math.PI * i / this.fftSize);
+        }
+    }
+    
+    /**
+     * 分析音频，计算每个频段的频谱通量并检测起音
+     * @param {AudioBuffer} audioBuffer - 解码后的音频
+     * @param {Function} onProgress - 进度回调 (0-1)
+     * @returns {Promise<Object>} { frameRate, timeOffset, duration, bandFlux, envelope, onsets }
+     *          第 i 帧对应的时间为 i / frameRate + timeOffset
+     */
+    async analyze(audioBuffer, onProgress = () => {}) {
+        const samples = this.mixToMono(audioBuffer);
+        const sampleRate = audioBuffer.sampleRate;
+        const frameCount = Math.max(0, Math.floor((samples.length - this.fftSize) / this.hopSize) + 1);
+        const binCount = this.fftSize / 2;
+        
+        // 每个频段对应的 FFT bin 范围
+        const bandBins = ONSET_BANDS.map(([low, high]) => [
+            Math.max(1, Math.floor(low * this.fftSize / sampleRate)),
+            Math.min(binCount - 1, Math.ceil(high * this.fftSize / sampleRate))
+        ]);
+        
+        const bandFlux = ONSET_BANDS.map(() => new Float32Array(frameCount));
+        const real = new Float32Array(this.fftSize);
+        const imag = new Float32Array(this.fftSize);
+        let previous = new Float32Array(binCount);
+        let current = new Float32Array(binCount);
+        
+        for (let frame = 0; frame < frameCount; frame++) {
+            const start = frame * this.hopSize;
+            for (let i = 0; i < this.fftSize; i++) {
+                real[i] = samples[start + i] * this.window[i];
+                imag[i] = 0;
+            }
+            this.fft(real, imag);
+            
+            // 对数压缩幅度谱
+            for (let k = 0; k < binCount; k++) {
+                current[k] = Math.log1p(100 * Math.sqrt(real[k] * real[k] + imag[k] * imag[k]));
+            }
+            
+            // 半波整流的频谱通量（只统计能量上升）
+            bandBins.forEach(([low, high], band) => {
+                let flux = 0;
+                for (let k = low; k <= high; k++) {
+                    const diff = current[k] - previous[k];
+                    if (diff > 0) flux += diff;
+                }
+                bandFlux[band][frame] = flux / (high - low + 1);
+            });
+            
+            [previous, current] = [current, previous];
+            
+            // 分块让出主线程，避免页面卡死
+            if (frame % ONSET_CONFIG.chunkFrames === 0) {
+                onProgress(frame / frameCount);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        onProgress(1);
+        
+        const frameRate = sampleRate / this.hopSize;
+        // 帧时间取窗口中心
+        const timeOffset = this.fftSize / 2 / sampleRate;
+        bandFlux.forEach(flux => this.normalize(flux));
+        
+        // 所有频段叠加的起音强度包络（供节拍分析使用）
+        const envelope = new Float32Array(frameCount);
+        bandFlux.forEach(flux => {
+            for (let i = 0; i < frameCount; i++) {
+                envelope[i] += flux[i] / bandFlux.length;
+            }
+        });
+        
+        const onsets = [];
+        bandFlux.forEach((flux, band) => {
+            this.pickPeaks(flux).forEach(frame => {
+                onsets.push({
+                    time: frame / frameRate + timeOffset,
+                    band,
+                    strength: flux[frame]
+                });
+            });
+        });
+        onsets.sort((a, b) => a.time - b.time);
+        
+        console.log(`🔍 起音检测完成: ${frameCount} 帧, ${onsets.length} 个起音`);
+        return { frameRate, timeOffset, duration: audioBuffer.duration, bandFlux, envelope, onsets };
+    }
+    
+    /**
+     * 将检测结果转换为谱面
+     * @param {Object} analysis - analyze() 的返回值
+     * @param {Object} options - 覆盖 ONSET_CHART_DEFAULTS 的参数
+     * @param {number} lanes - 键数
+     * @returns {Array} 谱面数据 [{track, time}, ...]
+     */
+    createChart(analysis, options = {}, lanes = DEFAULT_LANE_COUNT) {
+        const config = { ...ONSET_CHART_DEFAULTS, ...options };
+        
+        const candidates = analysis.onsets.filter(onset =>
+            onset.time >= config.minTime && onset.strength >= config.minStrength
+        );
+        const strengths = candidates.map(onset => onset.strength).sort((a, b) => a - b);
+        const chordThreshold = strengths.length > 0
+            ? strengths[Math.floor((strengths.length - 1) * config.chordStrength)]
+            : Infinity;
+        
+        // 把相近时间的起音合并为一组
+        const groups = [];
+        candidates.forEach(onset => {
+            const last = groups[groups.length - 1];
+            if (last && onset.time - last.time <= config.groupWindow) {
+                last.onsets.push(onset);
+            } else {
+                groups.push({ time: onset.time, onsets: [onset] });
+            }
+        });
+        
+        const chart = [];
+        const laneFreeAt = new Array(lanes).fill(-Infinity);
+        let lastTime = -Infinity;
+        
+        groups.forEach(group => {
+            if (group.time - lastTime < config.minGap) return;
+            
+            // 同一频段只保留最强的一次，按强度排序
+            const byBand = new Map();
+            group.onsets.forEach(onset => {
+                const existing = byBand.get(onset.band);
+                if (!existing || onset.strength > existing.strength) {
+                    byBand.set(onset.band, onset);
+                }
+            });
+            const ranked = [...byBand.values()].sort((a, b) => b.strength - a.strength);
+            
+            // 多个频段同时出现强起音时生成双押
+            const isChord = ranked.length >= 2 && ranked[0].strength >= chordThreshold;
+            const wanted = isChord ? ranked.slice(0, 2) : ranked.slice(0, 1);
+            
+            const used = [];
+            wanted.forEach(onset => {
+                const preferred = this.getBandLane(onset.band, laneFreeAt, used);
+                const track = this.findFreeLane(preferred, group.time, laneFreeAt, used, config.laneGap);
+                if (track !== -1) {
+                    used.push(track);
+                }
+            });
+            if (used.length === 0) return;
+            
+            used.forEach(track => {
+                chart.push({ track, time: group.time });
+                laneFreeAt[track] = group.time;
+            });
+            lastTime = group.time;
+        });
+        
+        console.log(`📝 根据起音生成谱面 (${lanes}K): ${chart.length} 个音符`);
+        return chart;
+    }
+    
+    /**
+     * 频段对应的轨道：在频段覆盖的轨道中选空闲最久的一条（4 键时每个频段正好一条轨道）
+     * @param {number} band - 频段索引
+     * @param {number[]} laneFreeAt - 每条轨道上一个音符的时间
+     * @param {number[]} used - 本组已使用的轨道
+     * @returns {number} 轨道索引
+     */
+    getBandLane(band, laneFreeAt, used) {
+        const laneCount = laneFreeAt.length;
+        const first = Math.floor(band * laneCount / ONSET_BANDS.length);
+        const last = Math.max(first, Math.ceil((band + 1) * laneCount / ONSET_BANDS.length) - 1);
+        
+        let best = first;
+        for (let track = first; track <= last; track++) {
+            if (used.includes(track)) continue;
+            if (used.includes(best) || laneFreeAt[track] < laneFreeAt[best]) {
+                best = track;
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * 找到可用的轨道（优先频段对应的轨道，其次相邻轨道）
+     * @param {number} preferred - 首选轨道
+     * @param {number} time - 音符时间
+     * @param {number[]} laneFreeAt - 每条轨道上一个音符的时间
+     * @param {number[]} used - 本组已使用的轨道
+     * @param {number} laneGap - 同一轨道的最小间隔
+     * @returns {number} 轨道索引，没有可用轨道时返回 -1
+     */
+    findFreeLane(preferred, time, laneFreeAt, used, laneGap) {
+        const laneCount = laneFreeAt.length;
+        for (let distance = 0; distance < laneCount; distance++) {
+            for (const track of [preferred - distance, preferred + distance]) {
+                if (track < 0 || track >= laneCount || used.includes(track)) continue;
+                if (time - laneFreeAt[track] >= laneGap) {
+                    return track;
+                }
+            }
+        }
+        return -1;
+    }
+    
+    /**
+     * 自适应阈值峰值检测
+     * @param {Float32Array} flux - 归一化后的通量
+     * @returns {number[]} 峰值所在帧
+     */
+    pickPeaks(flux) {
+        const peaks = [];
+        const { peakRadius, thresholdRadius } = ONSET_CONFIG;
+        
+        for (let i = 0; i < flux.length; i++) {
+            const value = flux[i];
+            if (value <= 0) continue;
+            
+            // 必须是局部最大值
+            let isPeak = true;
+            for (let j = Math.max(0, i - peakRadius); j <= Math.min(flux.length - 1, i + peakRadius); j++) {
+                if (flux[j] > value || (flux[j] === value && j < i)) {
+                    isPeak = false;
+                    break;
+                }
+            }
+            if (!isPeak) continue;
+            
+            // 必须高于局部均值 + 固定增量
+            let sum = 0;
+            let count = 0;
+            for (let j = Math.max(0, i - thresholdRadius); j <= Math.min(flux.length - 1, i + thresholdRadius); j++) {
+                sum += flux[j];
+                count++;
+            }
+            if (value > sum / count + 0.5) {
+                peaks.push(i);
+            }
+        }
+        
+        return peaks;
+    }
+    
+    /**
+     * 标准化为 z-score（原地修改）
+     * @param {Float32Array} values
+     */
+    normalize(values) {
+        if (values.length === 0) return;
+        
+        let mean = 0;
+        for (let i = 0; i < values.length; i++) mean += values[i];
+        mean /= values.length;
+        
+        let variance = 0;
+        for (let i = 0; i < values.length; i++) variance += (values[i] - mean) ** 2;
+        const std = Math.sqrt(variance / values.length) || 1;
+        
+        for (let i = 0; i < values.length; i++) {
+            values[i] = (values[i] - mean) / std;
+        }
+    }
+    
+    /**
+     * 混合所有声道为单声道
+     * @param {AudioBuffer} audioBuffer
+     * @returns {Float32Array}
+     */
+    mixToMono(audioBuffer) {
+        const channels = audioBuffer.numberOfChannels;
+        if (channels === 1) {
+            return audioBuffer.getChannelData(0);
+        }
+        
+        const mono = new Float32Array(audioBuffer.length);
+        for (let c = 0; c < channels; c++) {
+            const data = audioBuffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] / channels;
+            }
+        }
+        return mono;
+    }
+    
+    /**
+     * 原地基 2 FFT
+     * @param {Float32Array} real - 实部
+     * @param {Float32Array} imag - 虚部
+     */
+    fft(real, imag) {
+        const n = this.fftSize;
+        
+        for (let i = 0; i < n; i++) {
+            const j = this.bitReverse[i];
+            if (j > i) {
+                let temp = real[i];
+                real[i] = real[j];
+                real[j] = temp;
+                temp = imag[i];
+                imag[i] = imag[j];
+                imag[j] = temp;
+            }
+        }
+        
+        for (let size = 2; size <= n; size *= 2) {
+            const half = size / 2;
+            const step = n / size;
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const cos = this.cosTable[k * step];
+                    const sin = this.sinTable[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = real[b] * cos - imag[b] * sin;
+                    const ti = real[b] * sin + imag[b] * cos;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+    }
+}
+
+// 创建全局实例
+const onsetDetector = new OnsetDetector();
@@ -0,0 +1,289 @@
+/**
+ * Osu - osu!mania 谱面导入
+ * 解析 .osu 文件的 [General]、[Metadata]、[Difficulty]、[TimingPoints]、[HitObjects]，
+ * 转换为本游戏的谱面格式（支持 4K-7K）；绿线的滚动速度转换为下落速度变化
+ */
+
+// osu!mania 的模式编号
+const OSU_MANIA_MODE = 3;
+
+// osu! 的横向坐标范围（列由 x 坐标决定）
+const OSU_PLAYFIELD_WIDTH = 512;
+
+// 长按物件的类型位
+const OSU_HOLD_TYPE = 128;
+
+// 绿线滚动速度倍率的范围（与 osu! 相同）
+const OSU_MIN_SCROLL_SPEED = 0.01;
+const OSU_MAX_SCROLL_SPEED = 10;
+
+/**
+ * osu!mania 谱面导入器
+ */
+class OsuImporter {
+    /**
+     * 解析 .osu 文本
+     * @param {string} text - .osu 文件内容
+     * @param {string} source - 来源名称（用于错误提示）
+     * @returns {Object} 规范化后的谱面对象（与 chartLoader.parse 的返回值相同）
+     */
+    parse(text, source = '谱面') {
+        if (!/^\uFEFF?\s*osu file format v\d+/.test(text)) {
+            throw new Error(`${source}: 不是有效的 osu! 谱面文件`);
+        }
+        
+        const sections = this.readSections(text);
+        const general = this.readKeyValues(sections.General);
+        const metadata = this.readKeyValues(sections.Metadata);
+        const difficulty = this.readKeyValues(sections.Difficulty);
+        
+        const mode = parseInt(general.Mode || '0', 10);
+        if (mode !== OSU_MANIA_MODE) {
+            throw new Error(`${source}: 不是 osu!mania 谱面（Mode ${mode}）`);
+        }
+        
+        const keyCount = Math.round(parseFloat(difficulty.CircleSize));
+        if (!LANE_LAYOUTS[keyCount]) {
+            throw new Error(`${source}: 只支持 ${LANE_COUNTS.map(count => `${count}K`).join('、')} 谱面，该谱面为 ${keyCount || '?'}K`);
+        }
+        
+        const points = this.readTiming(sections.TimingPoints || [], source);
+        const notes = this.readHitObjects(sections.HitObjects || [], keyCount, source);
+        if (notes.length === 0) {
+            throw new Error(`${source}: 谱面中没有音符`);
+        }
+        
+        const { bpm, offset, timing } = this.buildTiming(points, notes[0].time);
+        timing.scrolls = this.buildScrolls(this.readVelocities(sections.TimingPoints || []), new TimingMap(bpm, offset, timing));
+        
+        const chart = chartLoader.createChart(notes, {
+            title: metadata.Title || source,
+            artist: metadata.Artist || '',
+            audio: general.AudioFilename || '',
+            lanes: keyCount,
+            bpm,
+            offset,
+            timing,
+            leadIn: (parseInt(general.AudioLeadIn || '0', 10) || 0) / 1000,
+            difficulty: metadata.Version || '',
+            charter: metadata.Creator || ''
+        });
+        
+        const errors = [];
+        chartLoader.validateNotes(chart.notes, errors, keyCount);
+        if (errors.length > 0) {
+            throw new Error(`${source}: 音符校验失败\n${errors.slice(0, CHART_MAX_ERRORS).join('\n')}`);
+        }
+        
+        console.log(`📄 osu! 谱面导入完成: ${chart.meta.title} [${chart.meta.difficulty}] ${keyCount}K (${chart.notes.length} 个音符)`);
+        return chart;
+    }
+    
+    /**
+     * 按 [Section] 拆分文件
+     * @param {string} text
+     * @returns {Object} 节名 -> 行数组（已去掉空行和注释）
+     */
+    readSections(text) {
+        const sections = {};
+        let current = null;
+        
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (line === '' || line.startsWith('//')) return;
+            
+            const header = line.match(/^\[(\w+)\]$/);
+            if (header) {
+                current = header[1];
+                sections[current] = [];
+            } else if (current) {
+                sections[current].push(line);
+            }
+        });
+        
+        return sections;
+    }
+    
+    /**
+     * 解析 "Key: Value" 形式的节
+     * @param {string[]} lines
+     * @returns {Object}
+     */
+    readKeyValues(lines = []) {
+        const values = {};
+        lines.forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0) {
+                values[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+            }
+        });
+        return values;
+    }
+    
+    /**
+     * 读取所有红线（非继承时间点）的 BPM、起点和拍号
+     * @param {string[]} lines - [TimingPoints] 的行
+     * @param {string} source
+     * @returns {Array} [{time, beatLength, meter}, ...]（秒，按时间排序）
+     */
+    readTiming(lines, source) {
+        const points = lines
+            .map(line => line.split(','))
+            .filter(fields => isUninherited(fields) && parseFloat(fields[1]) > 0);
+        
+        if (points.length === 0) {
+            throw new Error(`${source}: 缺少有效的 [TimingPoints]`);
+        }
+        
+        return points
+            .map(fields => ({
+                time: parseFloat(fields[0]) / 1000,
+                beatLength: parseFloat(fields[1]) / 1000,
+                meter: parseInt(fields[2], 10) || 4
+            }))
+            .sort((a, b) => a.time - b.time);
+    }
+    
+    /**
+     * 把红线转换为第一拍时间和 meta.timing（拍子从第一个红线算起）
+     * osu! 的每个红线都会重新开始小节，不在小节线上或拍号改变时记为拍号变化
+     * @param {Array} points - readTiming() 的返回值
+     * @param {number} firstNoteTime - 第一个音符的时间（秒）
+     * @returns {{bpm: number, offset: number, timing: Object}}
+     */
+    buildTiming(points, firstNoteTime) {
+        const first = points[0];
+        const round = (value) => Math.round(value * 1000) / 1000;
+        
+        // 第一个音符早于第一个红线时，按整小节向前移动网格起点，保证音符时间非负
+        const measure = first.beatLength * first.meter;
+        const shift = firstNoteTime < first.time ? Math.ceil((first.time - firstNoteTime) / measure) : 0;
+        const offset = first.time - shift * measure;
+        
+        const timing = { bpms: [], signatures: [] };
+        let beat = shift * first.meter;
+        let measureStart = 0;
+        let meter = first.meter;
+        if (meter !== 4) {
+            timing.signatures.push({ beat: 0, numerator: meter, denominator: 4 });
+        }
+        
+        points.slice(1).forEach((point, index) => {
+            const previous = points[index];
+            beat = round(beat + (point.time - previous.time) / previous.beatLength);
+            if (point.beatLength !== previous.beatLength) {
+                timing.bpms.push({ beat, bpm: round(60 / point.beatLength) });
+            }
+            
+            const aligned = Math.abs((beat - measureStart) / meter - Math.round((beat - measureStart) / meter)) < 1e-3;
+            if (!aligned || point.meter !== meter) {
+                timing.signatures.push({ beat, numerator: point.meter, denominator: 4 });
+                measureStart = beat;
+                meter = point.meter;
+            }
+        });
+        
+        return {
+            bpm: round(60 / first.beatLength),
+            offset: round(offset),
+            timing
+        };
+    }
+    
+    /**
+     * 读取所有时间点的滚动速度（红线恢复 1 倍，绿线的 beatLength 为 -100 / 倍率）
+     * @param {string[]} lines - [TimingPoints] 的行
+     * @returns {Array} [{time, speed}, ...]（秒，按时间排序）
+     */
+    readVelocities(lines) {
+        return lines
+            .map(line => line.split(','))
+            .map(fields => {
+                const beatLength = parseFloat(fields[1]);
+                const speed = isUninherited(fields) ? 1 : -100 / beatLength;
+                return {
+                    time: parseFloat(fields[0]) / 1000,
+                    speed: Math.max(OSU_MIN_SCROLL_SPEED, Math.min(OSU_MAX_SCROLL_SPEED, speed))
+                };
+            })
+            .filter(point => Number.isFinite(point.time) && Number.isFinite(point.speed))
+            .sort((a, b) => a.time - b.time);
+    }
+    
+    /**
+     * 把滚动速度变化换算到拍子上（只保留倍率改变的点）
+     * @param {Array} velocities - readVelocities() 的返回值
+     * @param {TimingMap} timing - 由红线生成的时间点表
+     * @returns {Array} [{beat, speed}, ...]
+     */
+    buildScrolls(velocities, timing) {
+        const scrolls = [];
+        let speed = 1;
+        
+        velocities.forEach(point => {
+            if (point.speed === speed) return;
+            const beat = Math.max(0, Math.round(timing.timeToBeat(point.time) * 1000) / 1000);
+            
+            // 同一拍上的多个时间点只保留最后一个
+            if (scrolls.length > 0 && scrolls[scrolls.length - 1].beat === beat) {
+                scrolls.pop();
+            }
+            scrolls.push({ beat, speed: Math.round(point.speed * 1000) / 1000 });
+            speed = point.speed;
+        });
+        
+        return scrolls;
+    }
+    
+    /**
+     * 读取音符
+     * @param {string[]} lines - [HitObjects] 的行
+     * @param {number} keyCount - 键数
+     * @param {string} source
+     * @returns {Array} [{track, time, endTime?}, ...]（秒，按时间排序）
+     */
+    readHitObjects(lines, keyCount, source) {
+        const notes = [];
+        
+        lines.forEach((line, index) => {
+            const fields = line.split(',');
+            const x = parseFloat(fields[0]);
+            const time = parseFloat(fields[2]);
+            const type = parseInt(fields[3], 10);
+            if (!Number.isFinite(x) || !Number.isFinite(time) || !Number.isInteger(type)) {
+                throw new Error(`${source}: [HitObjects] 第 ${index + 1} 行格式错误`);
+            }
+            
+            const column = Math.floor(x * keyCount / OSU_PLAYFIELD_WIDTH);
+            const note = {
+                track: Math.max(0, Math.min(keyCount - 1, column)),
+                time: time / 1000
+            };
+            
+            // 长按：endTime:hitSample
+            if (type & OSU_HOLD_TYPE) {
+                const endTime = parseFloat((fields[5] || '').split(':')[0]);
+                if (Number.isFinite(endTime) && endTime > time) {
+                    note.endTime = endTime / 1000;
+                }
+            }
+            
+            notes.push(note);
+        });
+        
+        return notes.sort((a, b) => a.time - b.time || a.track - b.track);
+    }
+}
+
+/**
+ * 是否为红线（非继承时间点）
+ * 旧格式没有 uninherited 字段，以 beatLength 为正数判断
+ * @param {string[]} fields - 时间点的字段
+ * @returns {boolean}
+ */
+function isUninherited(fields) {
+    return fields[6] === undefined ? parseFloat(fields[1]) > 0 : fields[6] === '1';
+}
+
+// 创建全局实例
+const osuImporter = new OsuImporter();
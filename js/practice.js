@@ -0,0 +1,400 @@
+/**
+ * Practice - 练习模式
+ * 在时间轴上选择 A-B 区间循环练习，支持放慢播放（保持音高）和快速跳转
+ */
+
+// 练习参数
+const PRACTICE_CONFIG = {
+    rates: [0.5, 0.75, 1.0],    // 可选的播放速度
+    seekStep: 5,                // , / . 跳转的步长（秒）
+    minLoop: 1.0,               // A-B 区间的最短长度（秒）
+    preRoll: 2.0,               // 循环时提前多少秒开始，留出看清第一个音符的时间
+    dragThreshold: 5            // 在时间轴上拖动超过该距离（像素）才算选择区间，否则为跳转
+};
+
+/**
+ * 练习模式控制器
+ */
+class PracticeMode {
+    constructor() {
+        this.isActive = false;
+        this.duration = 0;            // 时间轴长度（秒）
+        this.loopStart = null;        // A 点（秒），为空时从头开始
+        this.loopEnd = null;          // B 点（秒），为空时到结尾
+        this.rate = 1.0;
+        this.loopCount = 0;           // 已完成的循环次数
+        this.lastAccuracy = null;     // 上一遍的准确率
+        this.noFail = true;           // 不会失败：血条耗尽后继续（关闭时从 A 点重来）
+        this.currentTime = 0;
+        this.dragStart = null;        // 时间轴拖动起点 {x, time}
+        
+        // DOM 元素
+        this.container = null;
+        this.timeline = null;
+        this.range = null;
+        this.cursor = null;
+        this.info = null;
+        this.rateSelect = null;
+        this.noFailCheckbox = null;
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+    
+    /**
+     * 获取 DOM 元素并绑定事件（DOM 加载完成后调用一次）
+     */
+    setup() {
+        this.container = document.getElementById('practice-bar');
+        if (!this.container) return;
+        
+        this.timeline = document.getElementById('practice-timeline');
+        this.range = document.getElementById('practice-range');
+        this.cursor = document.getElementById('practice-cursor');
+        this.info = document.getElementById('practice-info');
+        this.rateSelect = document.getElementById('practice-rate');
+        this.noFailCheckbox = document.getElementById('practice-nofail');
+        
+        if (this.rateSelect) {
+            PRACTICE_CONFIG.rates.forEach(rate => {
+                const option = document.createElement('option');
+                option.value = rate;
+                option.textContent = `${rate}x`;
+                this.rateSelect.appendChild(option);
+            });
+            this.rateSelect.value = this.rate;
+            this.rateSelect.addEventListener('change', () => {
+                this.setRate(parseFloat(this.rateSelect.value));
+                this.rateSelect.blur();
+            });
+        }
+        
+        if (this.noFailCheckbox) {
+            this.noFailCheckbox.checked = this.noFail;
+            this.noFailCheckbox.addEventListener('change', () => {
+                this.noFail = this.noFailCheckbox.checked;
+                this.noFailCheckbox.blur();
+            });
+        }
+        
+        const buttons = {
+            'practice-a-btn': () => this.setLoopPoint('start', this.currentTime),
+            'practice-b-btn': () => this.setLoopPoint('end', this.currentTime),
+            'practice-clear-btn': () => this.clearLoop(),
+            'practice-exit-btn': () => this.close()
+        };
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    // 避免按钮保持焦点后被空格键再次触发
+                    e.currentTarget.blur();
+                    handler();
+                });
+            }
+        });
+        
+        // 在时间轴上点击跳转，拖动选择 A-B 区间
+        if (this.timeline) {
+            this.timeline.addEventListener('pointerdown', (e) => {
+                this.timeline.setPointerCapture(e.pointerId);
+                this.dragStart = { x: e.clientX, time: this.xToTime(e.clientX) };
+            });
+            this.timeline.addEventListener('pointermove', (e) => {
+                if (!this.dragStart || Math.abs(e.clientX - this.dragStart.x) < PRACTICE_CONFIG.dragThreshold) return;
+                this.renderRange(this.dragStart.time, this.xToTime(e.clientX));
+            });
+            this.timeline.addEventListener('pointerup', (e) => {
+                if (!this.dragStart) return;
+                const { x, time } = this.dragStart;
+                this.dragStart = null;
+                
+                if (Math.abs(e.clientX - x) < PRACTICE_CONFIG.dragThreshold) {
+                    this.seek(time);
+                } else {
+                    this.setLoop(time, this.xToTime(e.clientX));
+                }
+            });
+        }
+    }
+    
+    /**
+     * 进入练习模式
+     * @param {number} duration - 歌曲（或谱面）长度（秒）
+     */
+    open(duration) {
+        if (!this.container) return;
+        
+        this.isActive = true;
+        this.duration = Math.max(duration, PRACTICE_CONFIG.minLoop);
+        this.loopStart = null;
+        this.loopEnd = null;
+        this.loopCount = 0;
+        this.lastAccuracy = null;
+        this.currentTime = 0;
+        this.container.classList.remove('hidden');
+        document.addEventListener('keydown', this.handleKeyDown);
+        this.onRateChange(this.rate);
+        this.render();
+        console.log(`🎯 练习模式已开启（${this.duration.toFixed(1)}s）`);
+    }
+    
+    /**
+     * 退出练习模式
+     */
+    close() {
+        if (!this.isActive) return;
+        
+        this.isActive = false;
+        this.dragStart = null;
+        this.container.classList.add('hidden');
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.onClose();
+        console.log('🎯 练习模式已关闭');
+    }
+    
+    /**
+     * 跳转回调（供外部实现）
+     * @param {number} time - 跳转到的时间（秒）
+     */
+    onSeek(time) {
+        // 这个方法可以被 main.js 重写
+    }
+    
+    /**
+     * 循环回调：到达 B 点后回到 A 点
+     * @param {number} startTime - A 点（秒）
+     */
+    onLoop(startTime) {
+        // 这个方法可以被 main.js 重写
+    }
+    
+    /**
+     * 播放速度变化回调
+     * @param {number} rate
+     */
+    onRateChange(rate) {
+        // 这个方法可以被 main.js 重写
+    }
+    
+    /**
+     * 关闭回调
+     */
+    onClose() {
+        // 这个方法可以被 main.js 重写
+    }
+    
+    /**
+     * 每帧更新：移动时间轴光标，到达 B 点时循环
+     * @param {number} time - 当前歌曲时间（秒）
+     */
+    update(time) {
+        if (!this.isActive) return;
+        
+        this.currentTime = time;
+        if (time >= this.getLoopEnd()) {
+            this.loop();
+            return;
+        }
+        this.renderCursor();
+    }
+    
+    /**
+     * 回到 A 点开始下一遍
+     */
+    loop() {
+        this.loopCount++;
+        this.currentTime = this.getLoopStart();
+        this.onLoop(this.currentTime);
+        this.render();
+    }
+    
+    /**
+     * 跳转到指定时间（重新开始统计，不计入循环次数）
+     * @param {number} time
+     */
+    seek(time) {
+        this.currentTime = time;
+        this.onSeek(time);
+        this.render();
+    }
+    
+    /**
+     * 获取循环起点
+     * @returns {number}
+     */
+    getLoopStart() {
+        return this.loopStart !== null ? this.loopStart : 0;
+    }
+    
+    /**
+     * 获取循环终点
+     * @returns {number}
+     */
+    getLoopEnd() {
+        return this.loopEnd !== null ? this.loopEnd : this.duration;
+    }
+    
+    /**
+     * 设置 A-B 区间（顺序无关，过短时向后延长）
+     * @param {number} a
+     * @param {number} b
+     */
+    setLoop(a, b) {
+        const start = this.clampTime(Math.min(a, b));
+        const end = Math.min(this.duration, Math.max(this.clampTime(Math.max(a, b)), start + PRACTICE_CONFIG.minLoop));
+        this.loopStart = Math.max(0, Math.min(start, end - PRACTICE_CONFIG.minLoop));
+        this.loopEnd = end;
+        this.loopCount = 0;
+        this.lastAccuracy = null;
+        this.render();
+        console.log(`🎯 练习区间: ${this.loopStart.toFixed(2)}s - ${this.loopEnd.toFixed(2)}s`);
+        
+        // 当前位置不在区间内时跳到 A 点
+        if (this.currentTime < this.loopStart - PRACTICE_CONFIG.preRoll || this.currentTime >= this.loopEnd) {
+            this.currentTime = this.loopStart;
+            this.onLoop(this.loopStart);
+            this.renderCursor();
+        }
+    }
+    
+    /**
+     * 把当前时间设为 A 点或 B 点
+     * @param {string} point - 'start' | 'end'
+     * @param {number} time
+     */
+    setLoopPoint(point, time) {
+        if (point === 'start') {
+            this.setLoop(time, this.loopEnd !== null && this.loopEnd > time ? this.loopEnd : this.duration);
+        } else {
+            this.setLoop(this.loopStart !== null && this.loopStart < time ? this.loopStart : 0, time);
+        }
+    }
+    
+    /**
+     * 清除 A-B 区间（整首循环）
+     */
+    clearLoop() {
+        this.loopStart = null;
+        this.loopEnd = null;
+        this.render();
+        console.log('🎯 已清除练习区间');
+    }
+    
+    /**
+     * 设置播放速度
+     * @param {number} rate
+     */
+    setRate(rate) {
+        if (!PRACTICE_CONFIG.rates.includes(rate)) return;
+        
+        this.rate = rate;
+        if (this.rateSelect) {
+            this.rateSelect.value = rate;
+        }
+        this.onRateChange(rate);
+        this.render();
+    }
+    
+    /**
+     * 记录一遍结束时的准确率
+     * @param {Object} stats - noteManager.getStats() 的结果
+     */
+    recordPass(stats) {
+        const judged = Object.values(stats.judgmentCounts).reduce((a, b) => a + b, 0);
+        this.lastAccuracy = judged > 0 ? stats.accuracy : null;
+    }
+    
+    /**
+     * 练习快捷键：[ / ] 设置 A/B 点，\ 清除区间，, / . 前后跳转
+     * @param {KeyboardEvent} e
+     */
+    handleKeyDown(e) {
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT')) return;
+        
+        if (e.code === 'BracketLeft') {
+            e.preventDefault();
+            this.setLoopPoint('start', this.currentTime);
+        } else if (e.code === 'BracketRight') {
+            e.preventDefault();
+            this.setLoopPoint('end', this.currentTime);
+        } else if (e.code === 'Backslash') {
+            e.preventDefault();
+            this.clearLoop();
+        } else if (e.code === 'Comma' || e.code === 'Period') {
+            e.preventDefault();
+            const direction = e.code === 'Period' ? 1 : -1;
+            this.seek(this.clampTime(this.currentTime + direction * PRACTICE_CONFIG.seekStep));
+        }
+    }
+    
+    /**
+     * 限制在时间轴范围内
+     * @param {number} time
+     * @returns {number}
+     */
+    clampTime(time) {
+        return Math.max(0, Math.min(this.duration, time));
+    }
+    
+    /**
+     * 屏幕 x 坐标 -> 时间
+     * @param {number} clientX
+     * @returns {number}
+     */
+    xToTime(clientX) {
+        const rect = this.timeline.getBoundingClientRect();
+        return this.clampTime((clientX - rect.left) / rect.width * this.duration);
+    }
+    
+    /**
+     * 更新区间、光标和文字
+     */
+    render() {
+        this.renderRange(this.getLoopStart(), this.getLoopEnd());
+        this.renderCursor();
+        
+        if (this.info) {
+            const range = this.loopStart !== null
+                ? `A ${formatPracticeTime(this.loopStart)} - B ${formatPracticeTime(this.loopEnd)}`
+                : '整首循环';
+            const accuracy = this.lastAccuracy !== null ? ` · 上一遍 ${formatAccuracy(this.lastAccuracy)}` : '';
+            this.info.textContent = `${range} · ${this.rate}x · 第 ${this.loopCount + 1} 遍${accuracy}`;
+        }
+    }
+    
+    /**
+     * 绘制区间高亮
+     * @param {number} a
+     * @param {number} b
+     */
+    renderRange(a, b) {
+        if (!this.range) return;
+        
+        const start = Math.min(a, b) / this.duration * 100;
+        const end = Math.max(a, b) / this.duration * 100;
+        this.range.style.left = `${start}%`;
+        this.range.style.width = `${end - start}%`;
+    }
+    
+    /**
+     * 移动时间轴光标
+     */
+    renderCursor() {
+        if (!this.cursor) return;
+        this.cursor.style.left = `${this.clampTime(this.currentTime) / this.duration * 100}%`;
+    }
+}
+
+/**
+ * 格式化练习时间（分:秒.十分之一秒）
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatPracticeTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+    return `${minutes}:${rest}`;
+}
+
+// 创建全局实例
+const practiceMode = new PracticeMode();
@@ -0,0 +1,116 @@
+/**
+ * Recorder - 实时打拍录制谱面
+ * 跟随音乐按键，记录每次按下/松开的时间，生成可编辑的谱面
+ */
+
+// 按住超过该时长（秒）的按键记录为长按
+const RECORD_HOLD_THRESHOLD = 0.3;
+
+/**
+ * 打拍录制器
+ */
+class TapRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.taps = [];               // 录制到的按键 [{track, time, endTime}]
+        this.pressed = [];            // 每条轨道当前按下的记录
+    }
+    
+    /**
+     * 开始录制（清空之前的记录）
+     * @param {number} lanes - 键数
+     */
+    start(lanes = DEFAULT_LANE_COUNT) {
+        this.taps = [];
+        this.pressed = new Array(lanes).fill(null);
+        this.isRecording = true;
+        console.log('🎙️ 开始录制');
+    }
+    
+    /**
+     * 停止录制（仍按住的键在停止时刻松开）
+     * @param {number} time - 停止时间
+     */
+    stop(time) {
+        this.pressed.forEach((tap, track) => {
+            if (tap) this.release(track, time);
+        });
+        this.isRecording = false;
+        console.log(`🎙️ 录制结束: ${this.taps.length} 次按键`);
+    }
+    
+    /**
+     * 记录按下
+     * @param {number} track - 轨道索引
+     * @param {number} time - 按下时的歌曲时间
+     */
+    press(track, time) {
+        if (!this.isRecording || this.pressed[track]) return;
+        
+        const tap = { track, time, endTime: null };
+        this.pressed[track] = tap;
+        this.taps.push(tap);
+    }
+    
+    /**
+     * 记录松开
+     * @param {number} track - 轨道索引
+     * @param {number} time - 松开时的歌曲时间
+     */
+    release(track, time) {
+        const tap = this.pressed[track];
+        if (!tap) return;
+        
+        tap.endTime = time;
+        this.pressed[track] = null;
+    }
+    
+    /**
+     * 获取录制次数
+     * @returns {number}
+     */
+    getCount() {
+        return this.taps.length;
+    }
+    
+    /**
+     * 转换为谱面（可选吸附到节拍细分）
+     * @param {number} snap - 每拍细分数，0 表示不吸附
+     * @returns {Array} [{track, time, endTime?}, ...]
+     */
+    getNotes(snap = 0) {
+        const quantize = (time) => {
+            if (!snap) return Math.round(time * 1000) / 1000;
+            return conductor.snapTime(time, snap);
+        };
+        
+        const notes = [];
+        const laneEnd = this.pressed.map(() => -Infinity);
+        
+        this.taps
+            .slice()
+            .sort((a, b) => a.time - b.time)
+            .forEach(tap => {
+                const time = quantize(tap.time);
+                // 吸附后与同轨道上一个音符重叠则丢弃
+                if (time < 0 || time <= laneEnd[tap.track]) return;
+                
+                const note = { track: tap.track, time };
+                const held = tap.endTime !== null ? tap.endTime - tap.time : 0;
+                if (held >= RECORD_HOLD_THRESHOLD) {
+                    const endTime = quantize(tap.endTime);
+                    if (endTime > time) {
+                        note.endTime = endTime;
+                    }
+                }
+                
+                notes.push(note);
+                laneEnd[tap.track] = note.endTime !== undefined ? note.endTime : time;
+            });
+        
+        return notes;
+    }
+}
+
+// 创建全局实例
+const tapRecorder = new TapRecorder();
@@ -0,0 +1,393 @@
+/**
+ * Results - 结算界面
+ * 显示评级、各判定数量、最大连击和准确率，绘制早晚偏移分布和 Miss 时间线
+ * 可以重新开始、换歌，或在失误最多的段落打开练习模式
+ */
+
+// 评级：准确率（%）不低于 accuracy 时获得（从高到低）
+const RESULT_GRADES = [
+    { grade: 'SSS', accuracy: 100 },
+    { grade: 'SS', accuracy: 97 },
+    { grade: 'S', accuracy: 94 },
+    { grade: 'A', accuracy: 90 },
+    { grade: 'B', accuracy: 80 },
+    { grade: 'C', accuracy: 70 },
+    { grade: 'D', accuracy: 0 }
+];
+
+// 结算参数
+const RESULTS_CONFIG = {
+    histogramBin: 0.01,     // 偏移分布的分组宽度（秒）
+    sectionLength: 8,       // 练习段落长度（秒）
+    sectionLead: 1          // 段落从第一个失误之前多少秒开始
+};
+
+// 判定颜色（与判定文字相同）
+const JUDGMENT_COLORS = {
+    PERFECT: '#ffff00',
+    GREAT: '#00ffff',
+    GOOD: '#00ff00',
+    MISS: '#ff0000'
+};
+
+/**
+ * 根据准确率获取评级
+ * @param {number} accuracy - 准确率（%）
+ * @returns {string}
+ */
+function getGrade(accuracy) {
+    const entry = RESULT_GRADES.find(({ accuracy: min }) => accuracy >= min);
+    return entry ? entry.grade : RESULT_GRADES[RESULT_GRADES.length - 1].grade;
+}
+
+/**
+ * 结算界面
+ */
+class ResultsScreen {
+    constructor() {
+        this.isOpen = false;
+        this.stats = null;            // noteManager.getStats() 的结果
+        this.log = [];                // noteManager.getJudgmentLog() 的结果
+        this.duration = 0;            // 歌曲（或谱面）长度（秒）
+        this.worstSection = null;     // 失误最多的段落 {start, end}，没有失误时为空
+        
+        // DOM 元素
+        this.container = null;
+        this.grade = null;
+        this.clear = null;
+        this.judgments = null;
+        this.summary = null;
+        this.offsets = null;
+        this.histogram = null;
+        this.timeline = null;
+        this.practiceButton = null;
+        
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+    
+    /**
+     * 获取 DOM 元素并绑定事件（DOM 加载完成后调用一次）
+     */
+    setup() {
+        this.container = document.getElementById('results');
+        if (!this.container) return;
+        
+        this.grade = document.getElementById('results-grade');
+        this.clear = document.getElementById('results-clear');
+        this.judgments = document.getElementById('results-judgments');
+        this.summary = document.getElementById('results-summary');
+        this.offsets = document.getElementById('results-offsets');
+        this.histogram = document.getElementById('results-histogram');
+        this.timeline = document.getElementById('results-timeline');
+        this.practiceButton = document.getElementById('results-practice-btn');
+        
+        const buttons = {
+            'results-retry-btn': () => this.retry(),
+            'results-practice-btn': () => this.practice(),
+            'results-loader-btn': () => this.changeSong()
+        };
+        Object.entries(buttons).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    // 避免按钮保持焦点后被空格键再次触发
+                    e.currentTarget.blur();
+                    handler();
+                });
+            }
+        });
+        
+        window.addEventListener('resize', () => {
+            if (this.isOpen) this.renderCharts();
+        });
+    }
+    
+    /**
+     * 显示结算
+     * @param {Object} stats - noteManager.getStats() 的结果
+     * @param {Array} log - noteManager.getJudgmentLog() 的结果
+     * @param {Object} chartInfo - 谱面信息 {difficulty, lanes, seed}
+     * @param {number} duration - 歌曲（或谱面）长度（秒）
+     */
+    open(stats, log, chartInfo, duration) {
+        if (!this.container) return;
+        
+        this.isOpen = true;
+        this.stats = stats;
+        this.log = log;
+        this.duration = Math.max(duration, ...log.map(entry => entry.time), 1);
+        this.worstSection = this.findWorstSection(log);
+        this.container.classList.remove('hidden');
+        document.addEventListener('keydown', this.handleKeyDown);
+        this.render(chartInfo);
+        console.log(`🏁 结算: ${getGrade(stats.accuracy)} ${CLEAR_TYPES[stats.clearType]}（${formatAccuracy(stats.accuracy)}）`);
+    }
+    
+    /**
+     * 关闭结算界面
+     */
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.container.classList.add('hidden');
+        document.removeEventListener('keydown', this.handleKeyDown);
+    }
+    
+    /**
+     * 重新开始回调
+     */
+    onRetry() {
+        // 这个方法可以被 main.js 重写
+    }
+    
+    /**
+     * 换歌回调（回到加载界面）
+     */
+    onChangeSong() {
+        // 这个方法可以被 main.js 重写
+    }
+    
+    /**
+     * 练习回调
+     * @param {{start: number, end: number}} section - 练习区间（秒）
+     */
+    onPractice(section) {
+        // 这个方法可以被 main.js 重写
+    }
+    
+    /**
+     * 重新开始
+     */
+    retry() {
+        this.close();
+        this.onRetry();
+    }
+    
+    /**
+     * 换歌
+     */
+    changeSong() {
+        this.close();
+        this.onChangeSong();
+    }
+    
+    /**
+     * 在失误最多的段落练习
+     */
+    practice() {
+        if (!this.worstSection) return;
+        
+        const section = this.worstSection;
+        this.close();
+        this.onPractice(section);
+    }
+    
+    /**
+     * 找到失误最多的段落：按每个判定损失的分数加权，取 sectionLength 秒内损失最多的区间
+     * @param {Array} log - 判定记录
+     * @returns {{start: number, end: number}|null} 全部 PERFECT 时返回 null
+     */
+    findWorstSection(log) {
+        const losses = log
+            .map(entry => ({ time: entry.time, loss: 1 - JUDGMENT_SCORES[entry.judgment] / JUDGMENT_SCORES.PERFECT }))
+            .filter(entry => entry.loss > 0)
+            .sort((a, b) => a.time - b.time);
+        
+        // 双指针：以每个失误为起点，累计之后 sectionLength 秒内的损失
+        let best = null;
+        let total = 0;
+        let next = 0;
+        losses.forEach(entry => {
+            while (next < losses.length && losses[next].time < entry.time + RESULTS_CONFIG.sectionLength) {
+                total += losses[next].loss;
+                next++;
+            }
+            if (!best || total > best.loss) {
+                best = { time: entry.time, loss: total };
+            }
+            total -= entry.loss;
+        });
+        if (!best) return null;
+        
+        const start = Math.max(0, best.time - RESULTS_CONFIG.sectionLead);
+        return { start, end: best.time + RESULTS_CONFIG.sectionLength };
+    }
+    
+    /**
+     * 结算快捷键：R 重新开始，ESC 换歌
+     * @param {KeyboardEvent} e
+     */
+    handleKeyDown(e) {
+        if (e.repeat) return;
+        
+        if (e.code === 'KeyR' || e.keyCode === 82) {
+            e.preventDefault();
+            this.retry();
+        } else if (e.code === 'Escape' || e.keyCode === 27) {
+            e.preventDefault();
+            this.changeSong();
+        }
+    }
+    
+    /**
+     * 绘制评级、判定数量和统计
+     * @param {Object} chartInfo
+     */
+    render(chartInfo) {
+        const stats = this.stats;
+        
+        if (this.grade) {
+            const grade = getGrade(stats.accuracy);
+            this.grade.textContent = grade;
+            this.grade.className = `results-grade grade-${grade.toLowerCase()}`;
+        }
+        
+        if (this.clear) {
+            this.clear.textContent = CLEAR_TYPES[stats.clearType];
+            this.clear.className = `results-clear ${stats.clearType.toLowerCase()}`;
+        }
+        
+        if (this.judgments) {
+            this.judgments.innerHTML = '';
+            Object.entries(stats.judgmentCounts).forEach(([judgment, count]) => {
+                const item = document.createElement('div');
+                item.className = `results-judgment ${judgment.toLowerCase()}`;
+                item.innerHTML = `<span>${judgment}</span><strong>${count}</strong>`;
+                this.judgments.appendChild(item);
+            });
+        }
+        
+        if (this.summary) {
+            const seedText = chartInfo.seed !== null ? ` · 种子 ${chartInfo.seed}` : '';
+            this.summary.innerHTML = `
+                <div>分数 <strong>${stats.score.toLocaleString('en-US')}</strong> · 最大连击 <strong>${stats.maxCombo}</strong> · 准确率 <strong>${formatAccuracy(stats.accuracy)}</strong></div>
+                <div>${chartInfo.difficulty} (${chartInfo.lanes}K)${seedText} · 计分: ${SCORING_MODES[stats.scoring]} · 血条: ${GAUGE_TYPES[stats.gaugeType].label} · 空击 ${stats.ghostTaps} 次</div>
+                <div>规则: ${noteManager.describeRules(stats.rules)}</div>
+            `;
+        }
+        
+        if (this.offsets) {
+            const offsets = this.log
+                .filter(entry => entry.offset !== null && entry.judgment !== 'MISS')
+                .map(entry => entry.offset);
+            const early = offsets.filter(offset => offset < 0).length;
+            const late = offsets.filter(offset => offset > 0).length;
+            const spread = stats.hitErrorMean !== null
+                ? ` · 平均 ${stats.hitErrorMean > 0 ? '+' : ''}${stats.hitErrorMean.toFixed(1)}ms · 标准差 ${stats.hitErrorStdDev.toFixed(1)}ms · UR ${stats.unstableRate.toFixed(1)}`
+                : '';
+            this.offsets.textContent = `EARLY ${early} · LATE ${late}${spread}`;
+        }
+        
+        if (this.practiceButton) {
+            this.practiceButton.disabled = !this.worstSection;
+            this.practiceButton.textContent = this.worstSection
+                ? `🎯 练习 ${this.worstSection.start.toFixed(1)}s - ${this.worstSection.end.toFixed(1)}s`
+                : '🎯 没有失误';
+        }
+        
+        this.renderCharts();
+    }
+    
+    /**
+     * 绘制偏移分布和 Miss 时间线
+     */
+    renderCharts() {
+        this.renderHistogram();
+        this.renderTimeline();
+    }
+    
+    /**
+     * 按显示尺寸设置画布大小
+     * @param {HTMLCanvasElement} canvas
+     * @returns {CanvasRenderingContext2D}
+     */
+    prepareCanvas(canvas) {
+        const rect = canvas.getBoundingClientRect();
+        canvas.width = Math.max(1, Math.floor(rect.width));
+        canvas.height = Math.max(1, Math.floor(rect.height));
+        
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        return ctx;
+    }
+    
+    /**
+     * 绘制早晚偏移分布（左侧偏早，右侧偏晚，颜色为对应的判定）
+     */
+    renderHistogram() {
+        if (!this.histogram) return;
+        
+        const ctx = this.prepareCanvas(this.histogram);
+        const { width, height } = this.histogram;
+        const range = JUDGMENT_WINDOWS.MISS;
+        const binCount = Math.round(range * 2 / RESULTS_CONFIG.histogramBin);
+        const bins = new Array(binCount).fill(0);
+        
+        this.log.forEach(entry => {
+            if (entry.offset === null || entry.judgment === 'MISS') return;
+            const index = Math.floor((entry.offset + range) / RESULTS_CONFIG.histogramBin);
+            bins[Math.max(0, Math.min(binCount - 1, index))]++;
+        });
+        
+        const labelHeight = 16;
+        const chartHeight = height - labelHeight;
+        const maxCount = Math.max(1, ...bins);
+        const binWidth = width / binCount;
+        bins.forEach((count, index) => {
+            if (count === 0) return;
+            const center = (index + 0.5) * RESULTS_CONFIG.histogramBin - range;
+            const barHeight = count / maxCount * (chartHeight - 4);
+            ctx.fillStyle = JUDGMENT_COLORS[getJudgment(Math.abs(center)) || 'MISS'];
+            ctx.fillRect(index * binWidth + 1, chartHeight - barHeight, Math.max(1, binWidth - 2), barHeight);
+        });
+        
+        // 中线（准时）、平均偏移和标签
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(Math.floor(width / 2), 0, 1, chartHeight);
+        if (this.stats.hitErrorMean !== null) {
+            const meanX = (this.stats.hitErrorMean / 1000 / range + 1) / 2 * width;
+            ctx.fillStyle = '#ff00ff';
+            ctx.fillRect(Math.floor(meanX) - 1, 0, 2, chartHeight);
+        }
+        ctx.fillStyle = '#0ff';
+        ctx.font = '12px sans-serif';
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'left';
+        ctx.fillText(`EARLY -${Math.round(range * 1000)}ms`, 2, height);
+        ctx.textAlign = 'center';
+        ctx.fillText('0', width / 2, height);
+        ctx.textAlign = 'right';
+        ctx.fillText(`+${Math.round(range * 1000)}ms LATE`, width - 2, height);
+    }
+    
+    /**
+     * 绘制整首歌的 Miss 时间线（标出练习段落）
+     */
+    renderTimeline() {
+        if (!this.timeline) return;
+        
+        const ctx = this.prepareCanvas(this.timeline);
+        const { width, height } = this.timeline;
+        const timeToX = (time) => Math.max(0, Math.min(width - 1, time / this.duration * width));
+        
+        ctx.fillStyle = 'rgba(0, 255, 255, 0.15)';
+        ctx.fillRect(0, 0, width, height);
+        
+        if (this.worstSection) {
+            const startX = timeToX(this.worstSection.start);
+            const endX = timeToX(this.worstSection.end);
+            ctx.fillStyle = 'rgba(255, 0, 255, 0.4)';
+            ctx.fillRect(startX, 0, endX - startX, height);
+        }
+        
+        ctx.fillStyle = JUDGMENT_COLORS.MISS;
+        this.log.forEach(entry => {
+            if (entry.judgment !== 'MISS') return;
+            ctx.fillRect(Math.floor(timeToX(entry.time)), 0, 2, height);
+        });
+    }
+}
+
+// 创建全局实例
+const resultsScreen = new ResultsScreen();
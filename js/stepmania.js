@@ -0,0 +1,279 @@
+/**
+ * StepMania - .sm / .ssc 谱面导入
+ * 解析 #BPMS、#STOPS、#TIMESIGNATURES、#SCROLLS、#OFFSET 和 #NOTES，按变速与停顿把拍子换算成秒
+ * 支持 dance-single（4 键）、pump-single（5 键）、dance-solo（6 键）和 kb7-single（7 键），每列对应一条轨道
+ */
+
+// 支持的谱面类型 -> 键数
+const SM_STEPS_TYPES = {
+    'dance-single': 4,
+    'pump-single': 5,
+    'dance-solo': 6,
+    'kb7-single': 7
+};
+
+// 每小节的拍数
+const SM_BEATS_PER_MEASURE = 4;
+
+/**
+ * StepMania 谱面导入器
+ */
+class StepManiaImporter {
+    /**
+     * 解析 .sm / .ssc 文本
+     * @param {string} text - 文件内容
+     * @param {string} source - 来源名称（用于错误提示）
+     * @returns {{meta: Object, charts: Array}} 歌曲信息和所有支持的难度
+     */
+    parse(text, source = '谱面') {
+        const tags = this.readTags(text);
+        if (tags.length === 0) {
+            throw new Error(`${source}: 不是有效的 StepMania 谱面文件`);
+        }
+        
+        // .sm 的难度信息写在 #NOTES 的冒号字段里；.ssc 在 #NOTEDATA 之后逐项给出
+        const header = {};
+        const charts = [];
+        let current = null;
+        tags.forEach(({ name, value }) => {
+            if (name === 'NOTEDATA') {
+                current = {};
+            } else if (name === 'NOTES' && current) {
+                current.NOTES = value;
+                charts.push(current);
+                current = null;
+            } else if (name === 'NOTES') {
+                const fields = value.split(':');
+                if (fields.length >= 6) {
+                    charts.push({
+                        STEPSTYPE: fields[0],
+                        DESCRIPTION: fields[1],
+                        DIFFICULTY: fields[2],
+                        METER: fields[3],
+                        NOTES: fields.slice(5).join(':')
+                    });
+                }
+            } else if (current) {
+                current[name] = value;
+            } else {
+                header[name] = value;
+            }
+        });
+        
+        const supported = charts.filter(chart => SM_STEPS_TYPES[(chart.STEPSTYPE || '').trim()]);
+        if (supported.length === 0) {
+            const types = [...new Set(charts.map(chart => (chart.STEPSTYPE || '').trim()))].filter(Boolean);
+            throw new Error(`${source}: 没有支持的谱面（只支持 ${Object.keys(SM_STEPS_TYPES).join('、')}）${types.length > 0 ? `，文件中为 ${types.join('、')}` : ''}`);
+        }
+        
+        const result = {
+            meta: {
+                title: (header.TITLE || '').trim() || source,
+                artist: (header.ARTIST || '').trim(),
+                audio: (header.MUSIC || '').trim(),
+                charter: (header.CREDIT || '').trim()
+            },
+            charts: supported.map((chart, index) => this.readChart(chart, header, `${source} #${index + 1}`))
+        };
+        
+        console.log(`📄 StepMania 谱面解析完成: ${result.meta.title} (${result.charts.length} 个难度)`);
+        return result;
+    }
+    
+    /**
+     * 生成某个难度的谱面对象
+     * @param {Object} simfile - parse() 的返回值
+     * @param {number} index - 难度索引
+     * @returns {Object} 规范化后的谱面对象（与 chartLoader.parse 的返回值相同）
+     */
+    createChart(simfile, index) {
+        const { name, charter, lanes, bpm, offset, timing, notes } = simfile.charts[index];
+        const chart = chartLoader.createChart(notes, {
+            title: simfile.meta.title,
+            artist: simfile.meta.artist,
+            audio: simfile.meta.audio,
+            lanes,
+            bpm,
+            offset,
+            timing,
+            difficulty: name,
+            charter: charter || simfile.meta.charter
+        });
+        
+        const errors = [];
+        chartLoader.validateNotes(chart.notes, errors, lanes);
+        if (errors.length > 0) {
+            throw new Error(`${name}: 音符校验失败\n${errors.slice(0, CHART_MAX_ERRORS).join('\n')}`);
+        }
+        
+        return chart;
+    }
+    
+    /**
+     * 读取所有 #TAG:value; 标签（按出现顺序）
+     * @param {string} text
+     * @returns {Array} [{name, value}, ...]
+     */
+    readTags(text) {
+        const tags = [];
+        const cleaned = text.replace(/\/\/[^\n]*/g, '');
+        const pattern = /#([A-Za-z0-9_]+):([^;]*);/g;
+        let match;
+        while ((match = pattern.exec(cleaned)) !== null) {
+            tags.push({ name: match[1].toUpperCase(), value: match[2] });
+        }
+        return tags;
+    }
+    
+    /**
+     * 读取一个难度（.ssc 的难度可以有自己的 #BPMS/#STOPS/#TIMESIGNATURES/#SCROLLS/#OFFSET）
+     * @param {Object} chart - 难度的标签
+     * @param {Object} header - 歌曲的标签
+     * @param {string} source
+     * @returns {{name: string, charter: string, lanes: number, bpm: number, offset: number, timing: Object, notes: Array, mines: number}}
+     */
+    readChart(chart, header, source) {
+        const lanes = SM_STEPS_TYPES[(chart.STEPSTYPE || '').trim()];
+        const pick = (name, fallback) => chart[name] !== undefined ? chart[name] : (header[name] || fallback);
+        const smOffset = parseFloat(pick('OFFSET')) || 0;
+        const bpms = this.readPairs(pick('BPMS'));
+        const stops = this.readPairs(pick('STOPS', header.FREEZES));
+        const signatures = this.readSignatures(pick('TIMESIGNATURES'));
+        const scrolls = this.readPairs(pick('SCROLLS'));
+        
+        if (bpms.length === 0) {
+            throw new Error(`${source}: 缺少 #BPMS`);
+        }
+        if (bpms.some(change => change.value <= 0)) {
+            throw new Error(`${source}: 不支持 BPM ≤ 0 的变速（warp）`);
+        }
+        if (stops.some(stop => stop.value < 0)) {
+            throw new Error(`${source}: 不支持负数停顿（delay/warp）`);
+        }
+        if (scrolls.some(scroll => scroll.value < 0)) {
+            console.warn(`⚠️ ${source}: 不支持反向滚动，负数 #SCROLLS 按 0 处理`);
+        }
+        
+        // #OFFSET 是第 0 拍相对音频开头的偏移（取反后为第一拍时间）
+        const offset = Math.round(-smOffset * 1000) / 1000;
+        const timing = {
+            bpms: bpms.filter(change => change.beat > 0).map(change => ({ beat: change.beat, bpm: change.value })),
+            stops: stops.filter(stop => stop.value > 0).map(stop => ({ beat: stop.beat, duration: stop.value })),
+            signatures: signatures.filter(sig => !(sig.beat === 0 && sig.numerator === 4 && sig.denominator === 4)),
+            scrolls: scrolls
+                .filter((scroll, index) => !(index === 0 && scroll.beat <= 0 && scroll.value === 1))
+                .map(scroll => ({ beat: Math.max(0, scroll.beat), speed: Math.max(0, scroll.value) }))
+        };
+        const timingMap = new TimingMap(bpms[0].value, -smOffset, timing);
+        
+        const { notes, mines } = this.readNotes(chart.NOTES || '', timingMap, lanes, source);
+        if (mines > 0) {
+            console.log(`ℹ️ ${source}: 忽略 ${mines} 个地雷`);
+        }
+        
+        const difficulty = (chart.DIFFICULTY || '').trim() || 'Edit';
+        const meter = (chart.METER || '').trim();
+        const description = (chart.DESCRIPTION || '').trim();
+        return {
+            name: [difficulty, meter, description && description !== difficulty ? `(${description})` : '']
+                .filter(Boolean).join(' '),
+            charter: (chart.CREDIT || '').trim(),
+            lanes,
+            bpm: bpms[0].value,
+            offset,
+            timing,
+            notes,
+            mines             // 忽略的地雷数（在加载界面提示）
+        };
+    }
+    
+    /**
+     * 解析 "拍=值" 列表（#BPMS、#STOPS、#SCROLLS）
+     * @param {string} text
+     * @returns {Array} [{beat, value}, ...]（按拍排序）
+     */
+    readPairs(text = '') {
+        return text
+            .split(',')
+            .map(pair => pair.split('=').map(part => parseFloat(part)))
+            .filter(([beat, value]) => Number.isFinite(beat) && Number.isFinite(value))
+            .map(([beat, value]) => ({ beat, value }))
+            .sort((a, b) => a.beat - b.beat);
+    }
+    
+    /**
+     * 解析 #TIMESIGNATURES（"拍=分子=分母" 列表）
+     * @param {string} text
+     * @returns {Array} [{beat, numerator, denominator}, ...]（按拍排序）
+     */
+    readSignatures(text = '') {
+        return text
+            .split(',')
+            .map(entry => entry.split('=').map(part => parseFloat(part)))
+            .filter(([beat, numerator, denominator]) =>
+                Number.isFinite(beat) && Number.isInteger(numerator) && numerator > 0 && Number.isInteger(denominator) && denominator > 0)
+            .map(([beat, numerator, denominator]) => ({ beat, numerator, denominator }))
+            .sort((a, b) => a.beat - b.beat);
+    }
+    
+    /**
+     * 解析小节数据
+     * 每小节的行数决定细分（4 行 = 四分音符 ... 192 行 = 192 分音符）
+     * 0 空，1 单点，2/4 长按/连打开始，3 结束，M 地雷，L 抬起（按单点处理），F 假音符
+     * @param {string} data - #NOTES 的小节数据
+     * @param {TimingMap} timing - 拍子 -> 秒（停顿发生在该拍的音符之后）
+     * @param {number} lanes - 列数（键数）
+     * @param {string} source
+     * @returns {{notes: Array, mines: number}}
+     */
+    readNotes(data, timing, lanes, source) {
+        const notes = [];
+        const holdStarts = new Array(lanes).fill(null);
+        let mines = 0;
+        
+        data.split(',').forEach((measure, measureIndex) => {
+            const rows = measure
+                .split(/\r?\n/)
+                .map(row => row.trim())
+                .filter(row => row !== '');
+            if (rows.length === 0) return;
+            
+            rows.forEach((row, rowIndex) => {
+                if (row.length < lanes) {
+                    throw new Error(`${source}: 第 ${measureIndex + 1} 小节的行 "${row}" 不是 ${lanes} 列`);
+                }
+                
+                const beat = (measureIndex + rowIndex / rows.length) * SM_BEATS_PER_MEASURE;
+                for (let track = 0; track < lanes; track++) {
+                    const type = row[track].toUpperCase();
+                    if (type === '1' || type === 'L') {
+                        notes.push({ track, time: timing.beatToTime(beat) });
+                    } else if (type === '2' || type === '4') {
+                        holdStarts[track] = beat;
+                    } else if (type === '3' && holdStarts[track] !== null) {
+                        notes.push({
+                            track,
+                            time: timing.beatToTime(holdStarts[track]),
+                            endTime: timing.beatToTime(beat)
+                        });
+                        holdStarts[track] = null;
+                    } else if (type === 'M') {
+                        mines++;
+                    }
+                }
+            });
+        });
+        
+        if (notes.length === 0) {
+            throw new Error(`${source}: 谱面中没有音符`);
+        }
+        
+        return {
+            notes: notes.sort((a, b) => a.time - b.time || a.track - b.track),
+            mines
+        };
+    }
+}
+
+// 创建全局实例
+const stepManiaImporter = new StepManiaImporter();
@@ -0,0 +1,204 @@
+/**
+ * Tempo - BPM 与第一拍偏移检测
+ * 基于起音强度包络的自相关粗估 BPM，再用梳状滤波精确搜索 BPM 和相位
+ */
+
+// 检测参数
+const TEMPO_CONFIG = {
+    minBPM: 60,
+    maxBPM: 200,
+    preferredBPM: 120,      // 先验中心，用于减少倍频/半频误判
+    preferredWidth: 1.0,    // 先验宽度（以 2 为底的对数，1 = 一个八度）
+    refineRange: 0.03,      // 精细搜索范围（相对粗估值 ±3%）
+    refineStep: 0.02,       // 精细搜索步长（BPM）
+    beatsPerMeasure: 4
+};
+
+/**
+ * 节拍检测器
+ */
+class TempoDetector {
+    /**
+     * 检测 BPM 和第一个强拍的时间
+     * @param {Object} analysis - onsetDetector.analyze() 的返回值
+     * @returns {{bpm: number, offset: number, confidence: number}|null} 无法检测时返回 null
+     */
+    detect(analysis) {
+        const { envelope, frameRate, timeOffset } = analysis;
+        
+        // 只保留能量上升部分
+        const onsetCurve = new Float32Array(envelope.length);
+        for (let i = 0; i < envelope.length; i++) {
+            onsetCurve[i] = Math.max(0, envelope[i]);
+        }
+        
+        const coarse = this.estimateByAutocorrelation(onsetCurve, frameRate);
+        if (!coarse) {
+            console.warn('⚠️ 无法检测 BPM（音频过短或没有明显节奏）');
+            return null;
+        }
+        
+        const refined = this.refineByCombFilter(onsetCurve, frameRate, coarse.bpm);
+        
+        // 用低频（底鼓）通量判断哪一拍是小节第一拍
+        const lowBand = analysis.bandFlux[0];
+        const downbeatFrame = this.findDownbeat(lowBand, refined.period, refined.phase);
+        
+        const beatDuration = 60 / refined.bpm;
+        const measureDuration = beatDuration * TEMPO_CONFIG.beatsPerMeasure;
+        let offset = downbeatFrame / frameRate + timeOffset;
+        // 取第一个不早于 0 的强拍
+        offset -= Math.floor(offset / measureDuration) * measureDuration;
+        
+        const result = {
+            bpm: Math.round(refined.bpm * 100) / 100,
+            offset: Math.round(offset * 1000) / 1000,
+            confidence: coarse.confidence
+        };
+        console.log(`🥁 节拍检测: ${result.bpm} BPM, 第一拍 ${result.offset}s (置信度 ${result.confidence.toFixed(2)})`);
+        return result;
+    }
+    
+    /**
+     * 自相关粗估 BPM
+     * @param {Float32Array} curve - 起音强度曲线
+     * @param {number} frameRate - 每秒帧数
+     * @returns {{bpm: number, confidence: number}|null}
+     */
+    estimateByAutocorrelation(curve, frameRate) {
+        const minLag = Math.floor(60 * frameRate / TEMPO_CONFIG.maxBPM);
+        const maxLag = Math.ceil(60 * frameRate / TEMPO_CONFIG.minBPM);
+        if (curve.length < maxLag * 4) return null;
+        
+        const acf = new Float32Array(maxLag * 2 + 2);
+        for (let lag = Math.floor(minLag / 2); lag < acf.length; lag++) {
+            let sum = 0;
+            for (let i = lag; i < curve.length; i++) {
+                sum += curve[i] * curve[i - lag];
+            }
+            acf[lag] = sum / (curve.length - lag);
+        }
+        
+        // 加上二倍周期的相关性，并乘以对数高斯先验
+        let bestLag = -1;
+        let bestScore = 0;
+        let totalScore = 0;
+        const scores = new Float32Array(maxLag + 1);
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const bpm = 60 * frameRate / lag;
+            const octaves = Math.log2(bpm / TEMPO_CONFIG.preferredBPM) / TEMPO_CONFIG.preferredWidth;
+            const prior = Math.exp(-0.5 * octaves * octaves);
+            const half = 0.5 * (acf[Math.floor(lag / 2)] + acf[Math.ceil(lag / 2)]);
+            const score = (acf[lag] + 0.5 * acf[lag * 2] + 0.5 * half) * prior;
+            scores[lag] = score;
+            totalScore += score;
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+        if (bestLag < 0 || totalScore <= 0) return null;
+        
+        // 抛物线插值得到小数周期
+        let lag = bestLag;
+        if (bestLag > minLag && bestLag < maxLag) {
+            const a = scores[bestLag - 1];
+            const b = scores[bestLag];
+            const c = scores[bestLag + 1];
+            const denominator = a - 2 * b + c;
+            if (denominator !== 0) {
+                lag += 0.5 * (a - c) / denominator;
+            }
+        }
+        
+        return {
+            bpm: 60 * frameRate / lag,
+            // 最佳得分相对平均得分的比值，越大越可信
+            confidence: bestScore / (totalScore / (maxLag - minLag + 1))
+        };
+    }
+    
+    /**
+     * 梳状滤波精确搜索 BPM 和相位
+     * @param {Float32Array} curve - 起音强度曲线
+     * @param {number} frameRate - 每秒帧数
+     * @param {number} coarseBPM - 粗估 BPM
+     * @returns {{bpm: number, period: number, phase: number}}
+     */
+    refineByCombFilter(curve, frameRate, coarseBPM) {
+        const low = coarseBPM * (1 - TEMPO_CONFIG.refineRange);
+        const high = coarseBPM * (1 + TEMPO_CONFIG.refineRange);
+        
+        let best = { bpm: coarseBPM, period: 60 * frameRate / coarseBPM, phase: 0, score: -Infinity };
+        for (let bpm = low; bpm <= high; bpm += TEMPO_CONFIG.refineStep) {
+            const period = 60 * frameRate / bpm;
+            const { phase, score } = this.bestPhase(curve, period);
+            if (score > best.score) {
+                best = { bpm, period, phase, score };
+            }
+        }
+        return best;
+    }
+    
+    /**
+     * 找到给定周期下得分最高的相位
+     * @param {Float32Array} curve
+     * @param {number} period - 周期（帧，可为小数）
+     * @returns {{phase: number, score: number}}
+     */
+    bestPhase(curve, period) {
+        let bestPhase = 0;
+        let bestScore = -Infinity;
+        for (let phase = 0; phase < period; phase++) {
+            const score = this.combScore(curve, period, phase);
+            if (score > bestScore) {
+                bestScore = score;
+                bestPhase = phase;
+            }
+        }
+        return { phase: bestPhase, score: bestScore };
+    }
+    
+    /**
+     * 计算某一节拍网格上的平均起音强度
+     * @param {Float32Array} curve
+     * @param {number} period - 周期（帧）
+     * @param {number} phase - 相位（帧）
+     * @returns {number}
+     */
+    combScore(curve, period, phase) {
+        let sum = 0;
+        let count = 0;
+        for (let position = phase; position < curve.length; position += period) {
+            // 允许 ±1 帧的误差
+            const index = Math.round(position);
+            sum += Math.max(curve[index - 1] || 0, curve[index] || 0, curve[index + 1] || 0);
+            count++;
+        }
+        return count > 0 ? sum / count : 0;
+    }
+    
+    /**
+     * 判断小节中哪一拍是强拍
+     * @param {Float32Array} lowBand - 低频通量
+     * @param {number} period - 节拍周期（帧）
+     * @param {number} phase - 节拍相位（帧）
+     * @returns {number} 强拍所在帧
+     */
+    findDownbeat(lowBand, period, phase) {
+        const beats = TEMPO_CONFIG.beatsPerMeasure;
+        let bestBeat = 0;
+        let bestScore = -Infinity;
+        for (let beat = 0; beat < beats; beat++) {
+            const score = this.combScore(lowBand, period * beats, phase + beat * period);
+            if (score > bestScore) {
+                bestScore = score;
+                bestBeat = beat;
+            }
+        }
+        return phase + bestBeat * period;
+    }
+}
+
+// 创建全局实例
+const tempoDetector = new TempoDetector();
@@ -0,0 +1,261 @@
+/**
+ * Timing - 变速、停顿、拍号与下落速度变化
+ * 拍子以四分音符为单位，第 0 拍在 offset 秒；BPM 变化、停顿和下落速度变化按拍子位置生效
+ */
+
+// 默认拍号
+const DEFAULT_SIGNATURE = { numerator: 4, denominator: 4 };
+
+/**
+ * 时间点表（拍子 <-> 秒）
+ */
+class TimingMap {
+    /**
+     * @param {number} bpm - 第 0 拍的 BPM
+     * @param {number} offset - 第 0 拍的时间（秒）
+     * @param {Object} changes - 变化列表（与谱面 meta.timing 相同）
+     * @param {Array} changes.bpms - BPM 变化 [{beat, bpm}, ...]
+     * @param {Array} changes.stops - 停顿 [{beat, duration}, ...]，停在该拍的音符之后
+     * @param {Array} changes.signatures - 拍号变化 [{beat, numerator, denominator}, ...]，应位于小节线上
+     * @param {Array} changes.scrolls - 下落速度倍率变化 [{beat, speed}, ...]，只影响音符位置，不影响判定时间
+     */
+    constructor(bpm = 120, offset = 0, changes = {}) {
+        this.bpm = bpm;
+        this.offset = offset;
+        this.changes = {
+            bpms: (changes.bpms || []).map(change => ({ ...change })).sort((a, b) => a.beat - b.beat),
+            stops: (changes.stops || []).map(stop => ({ ...stop })).sort((a, b) => a.beat - b.beat),
+            signatures: (changes.signatures || []).map(sig => ({ ...sig })).sort((a, b) => a.beat - b.beat),
+            scrolls: (changes.scrolls || []).map(scroll => ({ ...scroll })).sort((a, b) => a.beat - b.beat)
+        };
+        
+        this.segments = this.buildSegments();
+        this.measures = this.buildMeasures();
+        this.scrolls = this.buildScrolls();
+    }
+    
+    /**
+     * 是否只有一个固定的 BPM、4/4 拍且没有下落速度变化
+     * @returns {boolean}
+     */
+    isConstant() {
+        return this.segments.length === 1 && this.segments[0].stop === 0 && this.scrolls.length === 1 &&
+            this.measures.length === 1 &&
+            this.measures[0].numerator === DEFAULT_SIGNATURE.numerator &&
+            this.measures[0].denominator === DEFAULT_SIGNATURE.denominator;
+    }
+    
+    /**
+     * 生成分段：每段从 (beat, time) 开始，先停顿 stop 秒，再以 bpm 前进
+     * @returns {Array}
+     */
+    buildSegments() {
+        const segments = [{ beat: 0, time: this.offset, bpm: this.bpm, stop: 0 }];
+        const events = [
+            ...this.changes.bpms.map(change => ({ beat: change.beat, bpm: change.bpm })),
+            ...this.changes.stops.map(stop => ({ beat: stop.beat, stop: stop.duration }))
+        ]
+            .filter(event => event.beat >= 0)
+            .sort((a, b) => a.beat - b.beat);
+        
+        events.forEach(event => {
+            let last = segments[segments.length - 1];
+            if (event.beat > last.beat) {
+                last = {
+                    beat: event.beat,
+                    time: last.time + last.stop + (event.beat - last.beat) * 60 / last.bpm,
+                    bpm: last.bpm,
+                    stop: 0
+                };
+                segments.push(last);
+            }
+            if (event.bpm !== undefined) {
+                last.bpm = event.bpm;
+            } else {
+                last.stop += event.stop;
+            }
+        });
+        
+        return segments;
+    }
+    
+    /**
+     * 生成拍号分段：每段记录起始拍、起始小节号和小节长度（拍）
+     * @returns {Array}
+     */
+    buildMeasures() {
+        const measures = [{ beat: 0, measure: 0, ...DEFAULT_SIGNATURE, length: 4 }];
+        
+        this.changes.signatures
+            .filter(sig => sig.beat >= 0)
+            .forEach(sig => {
+                let last = measures[measures.length - 1];
+                if (sig.beat > last.beat) {
+                    // 不在小节线上的拍号变化，前面不完整的小节也算一个小节
+                    const count = Math.ceil((sig.beat - last.beat) / last.length - 1e-6);
+                    last = { beat: sig.beat, measure: last.measure + count };
+                    measures.push(last);
+                }
+                last.numerator = sig.numerator;
+                last.denominator = sig.denominator;
+                last.length = sig.numerator * 4 / sig.denominator;
+            });
+        
+        return measures;
+    }
+    
+    /**
+     * 生成下落速度分段：每段从 time 秒开始，卷轴位置为 position，之后以 speed 倍速前进
+     * 第一段之前（以及没有变化时）卷轴位置等于时间
+     * @returns {Array}
+     */
+    buildScrolls() {
+        const scrolls = [{ time: -Infinity, position: -Infinity, speed: 1 }];
+        
+        this.changes.scrolls.forEach(scroll => {
+            const time = this.beatToTime(scroll.beat);
+            const last = scrolls[scrolls.length - 1];
+            const position = last.time === -Infinity ? time : last.position + (time - last.time) * last.speed;
+            scrolls.push({ time, position, speed: scroll.speed });
+        });
+        
+        return scrolls;
+    }
+    
+    /**
+     * 拍子 -> 秒
+     * @param {number} beat
+     * @returns {number}
+     */
+    beatToTime(beat) {
+        let segment = this.segments[0];
+        for (const candidate of this.segments) {
+            if (candidate.beat < beat) segment = candidate;
+            else break;
+        }
+        
+        // 第 0 拍之前按第一段的 BPM 向前推算
+        if (beat <= segment.beat) {
+            return segment.time + (beat - segment.beat) * 60 / segment.bpm;
+        }
+        return segment.time + segment.stop + (beat - segment.beat) * 60 / segment.bpm;
+    }
+    
+    /**
+     * 秒 -> 拍子（停顿期间拍子不变）
+     * @param {number} time
+     * @returns {number}
+     */
+    timeToBeat(time) {
+        let segment = this.segments[0];
+        for (const candidate of this.segments) {
+            if (candidate.time <= time) segment = candidate;
+            else break;
+        }
+        
+        if (time < segment.time) {
+            return segment.beat + (time - segment.time) * segment.bpm / 60;
+        }
+        const elapsed = Math.max(0, time - segment.time - segment.stop);
+        return segment.beat + elapsed * segment.bpm / 60;
+    }
+    
+    /**
+     * 秒 -> 卷轴位置（1 倍速下等于秒数；音符与判定线的距离 = 位置差 × 下落速度）
+     * @param {number} time
+     * @returns {number}
+     */
+    getScrollPosition(time) {
+        let scroll = this.scrolls[0];
+        for (const candidate of this.scrolls) {
+            if (candidate.time <= time) scroll = candidate;
+            else break;
+        }
+        
+        if (scroll.time === -Infinity) return time;
+        return scroll.position + (time - scroll.time) * scroll.speed;
+    }
+    
+    /**
+     * 获取某一拍所在分段的 BPM
+     * @param {number} beat
+     * @returns {number}
+     */
+    getBPMAt(beat) {
+        let bpm = this.segments[0].bpm;
+        for (const segment of this.segments) {
+            if (segment.beat <= beat) bpm = segment.bpm;
+            else break;
+        }
+        return bpm;
+    }
+    
+    /**
+     * 获取某一拍所在分段的一拍时长（秒）
+     * @param {number} beat
+     * @returns {number}
+     */
+    getBeatDurationAt(beat) {
+        return 60 / this.getBPMAt(beat);
+    }
+    
+    /**
+     * 获取某一拍在小节中的位置
+     * @param {number} beat
+     * @returns {{measure: number, beat: number, numerator: number, denominator: number}}
+     *          measure 从 0 开始；beat 为小节内的拍数（以拍号的分母为单位，从 0 开始）
+     */
+    getMeasurePosition(beat) {
+        let section = this.measures[0];
+        for (const candidate of this.measures) {
+            if (candidate.beat <= beat) section = candidate;
+            else break;
+        }
+        
+        const relative = beat - section.beat;
+        const measureCount = Math.floor(relative / section.length + 1e-9);
+        const inMeasure = Math.max(0, relative - measureCount * section.length);
+        return {
+            measure: section.measure + measureCount,
+            beat: inMeasure * section.denominator / 4,
+            numerator: section.numerator,
+            denominator: section.denominator
+        };
+    }
+    
+    /**
+     * 获取某一小节第一拍的拍子位置
+     * @param {number} measure - 小节号（从 0 开始）
+     * @returns {number}
+     */
+    getMeasureStartBeat(measure) {
+        let section = this.measures[0];
+        for (const candidate of this.measures) {
+            if (candidate.measure <= measure) section = candidate;
+            else break;
+        }
+        return section.beat + (measure - section.measure) * section.length;
+    }
+    
+    /**
+     * 获取不早于给定时间的第一个小节线的时间
+     * @param {number} time
+     * @returns {number}
+     */
+    getNextMeasureTime(time) {
+        const position = this.getMeasurePosition(this.timeToBeat(time));
+        const measure = position.beat > 1e-6 ? position.measure + 1 : position.measure;
+        return this.beatToTime(this.getMeasureStartBeat(Math.max(0, measure)));
+    }
+    
+    /**
+     * 吸附到最近的拍子细分
+     * @param {number} time
+     * @param {number} subdivision - 每拍细分数
+     * @returns {number} 吸附后的时间（精确到毫秒）
+     */
+    snapTime(time, subdivision) {
+        const beat = Math.round(this.timeToBeat(time) * subdivision) / subdivision;
+        return Math.round(this.beatToTime(beat) * 1000) / 1000;
+    }
+}